@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+
+/**
+ * 🤖 PR Code Reviewer - CLI
+ *
+ * Ejecuta las mismas validaciones que la GitHub App sobre un directorio
+ * local (hooks de pre-commit, cualquier sistema de CI).
+ * Uso: pr-code-reviewer analyze [ruta] [opciones]
+ */
+
+const { run } = require('../src/cli');
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,231 @@
+const path = require('path');
+const { minimatch } = require('minimatch');
+const DiffPatch = require('../diff/diff-patch');
+const I18n = require('../i18n/i18n');
+const ImportGraph = require('../imports/import-graph');
+
+const DEFAULT_EXTENSIONS = ['.js', '.cjs', '.mjs', '.jsx', '.ts', '.tsx'];
+
+class ArchitectureAnalyzer {
+  constructor() {
+    this.name = 'Architecture Layers Analyzer';
+    this.validationRule = 'checkArchitecture';
+    this.scope = 'package'; // Las capas se declaran por tipo de proyecto
+  }
+
+  /**
+   * Construye el grafo de imports del proyecto y verifica las reglas de
+   * `architecture`: qué capas puede importar cada capa y dependencias
+   * circulares. En un PR solo se reportan los imports que agrega el diff y
+   * el grafo se limita a los archivos modificados y a los que importan.
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del proyecto a analizar
+   * @param {Object} rules - Reglas específicas del proyecto (architecture)
+   * @param {Object} context - Contexto del PR (changedFiles con su patch) e i18n, opcional
+   * @returns {Promise<Object>} Resultado del análisis
+   */
+  async analyze(fileSystem, rules, context = {}) {
+    const results = {
+      analyzer: this.name,
+      passed: [],
+      failed: [],
+      warnings: []
+    };
+    const { t } = context.i18n || new I18n();
+
+    const config = rules.project?.architecture || {};
+    const layers = this.compileLayers(config.layers || [], results, t);
+    const cycles = config.cycles || 'warning';
+    if (layers.length === 0 && cycles === 'off') return results;
+
+    const addedLines = this.listAddedLines(context.changedFiles);
+    const graph = await this.buildGraph(fileSystem, config, addedLines && [...addedLines.keys()], results, t);
+    const checked = [...graph.edges.values()].flat()
+      .filter(edge => !addedLines || Boolean(addedLines.get(edge.file)?.has(edge.line)));
+    const layerOf = file => layers.find(layer => layer.files.some(pattern => minimatch(file, pattern, { dot: true })));
+
+    // Imports entre capas no permitidos
+    checked.forEach(edge => {
+      const source = layerOf(edge.file);
+      const target = source && layerOf(edge.target);
+      if (!target || target === source || source.allow.includes(target.name)) return;
+
+      results.failed.push({
+        rule: 'layer-violation',
+        file: edge.file,
+        path: edge.file,
+        line: edge.line,
+        message: `❌ ${t('architecture.layerViolation', {
+          file: edge.file,
+          source: source.name,
+          module: edge.target,
+          target: target.name
+        })}`,
+        suggestion: source.allow.length > 0
+          ? t('architecture.layerViolationSuggestion', { source: source.name, allowed: source.allow.join(', ') })
+          : t('architecture.layerIsolatedSuggestion', { source: source.name })
+      });
+    });
+
+    // Dependencias circulares (en un PR, las que cierra algún import agregado)
+    if (cycles !== 'off') {
+      this.listCycles(graph, addedLines && checked).forEach(cycle => {
+        const edge = cycle[0];
+        const finding = {
+          rule: 'circular-dependency',
+          file: edge.file,
+          path: edge.file,
+          line: edge.line,
+          files: cycle.map(step => step.file),
+          suggestion: t('architecture.cycleSuggestion')
+        };
+        const message = t('architecture.cycle', { cycle: [...cycle.map(step => step.file), cycle[0].file].join(' → ') });
+
+        if (cycles === 'error') {
+          results.failed.push({ ...finding, message: `❌ ${message}` });
+        } else {
+          results.warnings.push({ ...finding, message: `⚠️  ${message}` });
+        }
+      });
+    }
+
+    if (results.failed.length === 0 && results.warnings.length === 0) {
+      // En un PR el mensaje habla solo de los imports agregados, que son los revisados
+      if (addedLines && checked.length > 0) {
+        results.passed.push({
+          rule: 'architecture-respected',
+          message: `✅ ${t('architecture.okInDiff', { imports: checked.length })}`
+        });
+      } else if (!addedLines && graph.edges.size > 0) {
+        results.passed.push({
+          rule: 'architecture-respected',
+          message: `✅ ${t('architecture.ok', { modules: graph.edges.size, imports: checked.length })}`
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Lee los módulos del proyecto y arma su grafo de imports. Con `roots` (los
+   * archivos modificados de un PR) solo se leen esos módulos y los que se
+   * alcanzan desde ellos: es todo lo que hace falta para saber qué ciclos
+   * cierra un import agregado, sin leer cada archivo del repositorio
+   * @param {string[]|null} roots - Archivos desde los que recorrer los imports
+   * @param {Object} results - Resultado del análisis (aviso si se alcanza maxFiles)
+   */
+  async buildGraph(fileSystem, config, roots, results, t) {
+    const extensions = config.extensions || DEFAULT_EXTENSIONS;
+    const exclude = config.exclude || ['**/node_modules/**'];
+    const maxFiles = config.maxFiles || 2000;
+    const maxFileSize = config.maxFileSize || 1024 * 1024;
+
+    const files = ((await fileSystem.listTrackedFiles?.()) || await fileSystem.listFiles())
+      .filter(file => !exclude.some(glob => minimatch(file, glob, { dot: true })));
+    const isModule = file => extensions.includes(path.posix.extname(file));
+    const graph = new ImportGraph(files);
+
+    const known = new Set(files);
+    const queue = (roots || files).filter(file => known.has(file) && isModule(file)).sort();
+    const queued = new Set(queue);
+    let read = 0;
+
+    while (queue.length > 0) {
+      if (read === maxFiles) {
+        results.warnings.push({
+          rule: 'architecture-incomplete',
+          message: `⚠️  ${t('architecture.incomplete', { maxFiles })}`,
+          suggestion: t('architecture.incompleteSuggestion')
+        });
+        break;
+      }
+
+      const file = queue.shift();
+      read++;
+
+      let content;
+      try {
+        content = await fileSystem.readFile(file);
+      } catch (error) {
+        continue;
+      }
+      if (content.length > maxFileSize) continue;
+
+      graph.addModule(file, content);
+      if (!roots) continue;
+
+      graph.edges.get(file)
+        .filter(edge => isModule(edge.target) && !queued.has(edge.target))
+        .forEach(edge => {
+          queued.add(edge.target);
+          queue.push(edge.target);
+        });
+    }
+
+    return graph;
+  }
+
+  /**
+   * Ciclos a reportar: todos fuera de un PR; en un PR, el más corto que
+   * cierra cada import agregado, con ese import primero
+   * @param {Object[]|null} newEdges - Imports agregados por el PR
+   */
+  listCycles(graph, newEdges) {
+    if (!newEdges) return graph.findCycles();
+
+    const componentOf = new Map();
+    graph.findComponents().forEach(component => {
+      const members = new Set(component);
+      component.forEach(file => componentOf.set(file, members));
+    });
+
+    const seen = new Set();
+    return newEdges
+      .map(edge => (componentOf.has(edge.file) ? graph.cycleThrough(edge, componentOf.get(edge.file)) : null))
+      .filter(cycle => {
+        // Dos imports agregados del mismo ciclo se reportan una sola vez
+        const key = cycle && cycle.map(step => `${step.file}:${step.line}`).sort().join('|');
+        if (!cycle || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Valida las capas declaradas: { name, files (glob o lista), allow (capas importables) }
+   */
+  compileLayers(layers, results, t) {
+    return layers.filter(layer => {
+      const files = typeof layer?.files === 'string' ? [layer.files] : layer?.files;
+      const valid = typeof layer?.name === 'string' && Array.isArray(files) && files.length > 0 &&
+        files.every(file => typeof file === 'string') && (layer.allow === undefined || Array.isArray(layer.allow));
+
+      if (!valid) {
+        results.warnings.push({
+          rule: 'architecture-rule-invalid',
+          message: `⚠️  ${t('architecture.ruleInvalid', { rule: JSON.stringify(layer) })}`,
+          suggestion: t('architecture.ruleInvalidSuggestion')
+        });
+      }
+      return valid;
+    }).map(layer => ({
+      name: layer.name,
+      files: typeof layer.files === 'string' ? [layer.files] : layer.files,
+      allow: layer.allow || []
+    }));
+  }
+
+  /**
+   * Líneas agregadas por archivo en un PR (null fuera de un PR: se reporta todo)
+   * @returns {Map<string, Set<number>>|null}
+   */
+  listAddedLines(changedFiles) {
+    if (!changedFiles) return null;
+
+    return new Map(changedFiles
+      .filter(file => file.status !== 'removed')
+      .map(file => [file.filename, new Set(new DiffPatch(file.patch).addedLines().map(({ line }) => line))]));
+  }
+}
+
+module.exports = ArchitectureAnalyzer;
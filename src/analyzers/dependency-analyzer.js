@@ -1,152 +1,175 @@
-const fs = require('fs');
 const path = require('path');
+const DiffPatch = require('../diff/diff-patch');
+const I18n = require('../i18n/i18n');
+const LockfileReader = require('../lockfiles/lockfile-reader');
 
 class DependencyAnalyzer {
   constructor() {
     this.name = 'Dependency Folders Analyzer';
+    this.validationRule = 'checkDependencyFolders';
+    this.scope = 'package'; // En monorepos se ejecuta en cada paquete
   }
 
   /**
    * Verifica que carpetas como node_modules, .venv no estén committeadas
-   * @param {string} projectPath - Ruta del proyecto a analizar
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del proyecto a analizar
    * @param {Object} rules - Reglas específicas del proyecto
-   * @returns {Object} Resultado del análisis
+   * @param {Object} context - Contexto del PR (changedFiles con su patch) e i18n, opcional
+   * @returns {Promise<Object>} Resultado del análisis
    */
-  analyze(projectPath, rules) {
+  async analyze(fileSystem, rules, context = {}) {
     const results = {
       analyzer: this.name,
       passed: [],
       failed: [],
       warnings: []
     };
+    const { t } = context.i18n || new I18n();
 
     // Obtener carpetas prohibidas según las reglas
-    const prohibitedFolders = rules.general?.prohibitedFolders || [
+    const prohibitedFolders = rules.project?.prohibitedFolders || [
       'node_modules', '.venv', '__pycache__', 'venv', 'env'
     ];
 
-    // Verificar cada carpeta prohibida
-    prohibitedFolders.forEach(folder => {
-      const folderPath = path.join(projectPath, folder);
-      
-      if (fs.existsSync(folderPath)) {
-        const stat = fs.statSync(folderPath);
-        
-        if (stat.isDirectory()) {
-          results.failed.push({
-            rule: `no-${folder}-committed`,
-            message: `❌ Dependency folder found: ${folder}/`,
-            suggestion: `Remove '${folder}/' from repository and add it to .gitignore`
-          });
-        }
-      } else {
+    // Verificar cada carpeta prohibida (también en subcarpetas)
+    const foundFolders = await this.findDependencyFolders(fileSystem, prohibitedFolders);
+
+    for (const folder of prohibitedFolders) {
+      const found = foundFolders.filter(folderPath => path.posix.basename(folderPath) === folder);
+
+      if (found.length === 0) {
         results.passed.push({
           rule: `no-${folder}-committed`,
-          message: `✅ No ${folder}/ folder found in repository`
+          message: `✅ ${t('dependency.notFound', { folder })}`
         });
       }
-    });
 
-    // Verificaciones específicas adicionales
-    this.checkPackageManagerFiles(projectPath, results);
+      found.forEach(folderPath => {
+        results.failed.push({
+          rule: `no-${folder}-committed`,
+          file: `${folderPath}/`,
+          ...DiffPatch.locate(context.changedFiles, `${folderPath}/`),
+          message: `❌ ${t('dependency.found', { folder: folderPath })}`,
+          suggestion: t('dependency.foundSuggestion', { folder: folderPath })
+        });
+      });
+    }
+
+    // Verificaciones específicas adicionales (en un workspace el lockfile está en la raíz)
+    const workspaceMember = Boolean(context.package?.path) && context.package.source !== 'nested';
+    await this.checkPackageManagerFiles(fileSystem, results, t, { lockfile: !workspaceMember, foundFolders });
     
     return results;
   }
 
   /**
    * Verifica archivos relacionados con gestores de paquetes
+   * @param {Object} options - { lockfile: false para no exigir lockfile (miembros de un workspace),
+   *   foundFolders: carpetas de dependencias versionadas (si no se indican, se mira el disco) }
    */
-  checkPackageManagerFiles(projectPath, results) {
+  async checkPackageManagerFiles(fileSystem, results, t = new I18n().t, { lockfile = true, foundFolders = null } = {}) {
+    const committed = async folder => (foundFolders ? foundFolders.includes(folder) : fileSystem.exists(folder));
+
     // Verificar package.json (Node.js)
-    const packageJsonPath = path.join(projectPath, 'package.json');
-    if (fs.existsSync(packageJsonPath)) {
+    if (await fileSystem.exists('package.json')) {
       results.passed.push({
         rule: 'package-json-exists',
-        message: '✅ package.json found'
+        message: `✅ ${t('dependency.packageJsonFound')}`
       });
 
       // Si existe package.json, verificar que no haya node_modules
-      const nodeModulesPath = path.join(projectPath, 'node_modules');
-      if (!fs.existsSync(nodeModulesPath)) {
+      if (!(await committed('node_modules'))) {
         results.passed.push({
           rule: 'node-modules-not-committed',
-          message: '✅ node_modules/ not in repository (good!)'
+          message: `✅ ${t('dependency.nodeModulesAbsent')}`
         });
       }
 
-      // Verificar package-lock.json o yarn.lock
-      const packageLockPath = path.join(projectPath, 'package-lock.json');
-      const yarnLockPath = path.join(projectPath, 'yarn.lock');
-      
-      if (fs.existsSync(packageLockPath)) {
-        results.passed.push({
-          rule: 'lockfile-exists',
-          message: '✅ package-lock.json found (dependency versions locked)'
-        });
-      } else if (fs.existsSync(yarnLockPath)) {
-        results.passed.push({
-          rule: 'lockfile-exists',
-          message: '✅ yarn.lock found (dependency versions locked)'
-        });
-      } else {
-        results.warnings.push({
-          rule: 'lockfile-recommended',
-          message: '⚠️  No lockfile found (package-lock.json or yarn.lock)',
-          suggestion: 'Consider committing your lockfile to ensure consistent dependency versions'
-        });
+      // Verificar el lockfile (el de un workspace lo revisa el paquete raíz)
+      if (lockfile) {
+        const [found] = await new LockfileReader().detect(fileSystem);
+        if (found) {
+          results.passed.push({
+            rule: 'lockfile-exists',
+            message: `✅ ${t('dependency.lockfileFound', { lockfile: found.file })}`
+          });
+        } else {
+          results.warnings.push({
+            rule: 'lockfile-recommended',
+            message: `⚠️  ${t('dependency.lockfileMissing')}`,
+            suggestion: t('dependency.lockfileMissingSuggestion')
+          });
+        }
       }
     }
 
     // Verificar requirements.txt (Python)
-    const requirementsPath = path.join(projectPath, 'requirements.txt');
-    if (fs.existsSync(requirementsPath)) {
+    if (await fileSystem.exists('requirements.txt')) {
       results.passed.push({
         rule: 'requirements-exists',
-        message: '✅ requirements.txt found'
+        message: `✅ ${t('dependency.requirementsFound')}`
       });
 
       // Si es Python, verificar que no haya .venv
-      const venvPath = path.join(projectPath, '.venv');
-      const venvPath2 = path.join(projectPath, 'venv');
-      
-      if (!fs.existsSync(venvPath) && !fs.existsSync(venvPath2)) {
+      if (!(await committed('.venv')) && !(await committed('venv'))) {
         results.passed.push({
           rule: 'venv-not-committed',
-          message: '✅ Virtual environment not in repository (good!)'
+          message: `✅ ${t('dependency.venvAbsent')}`
         });
       }
     }
   }
 
   /**
-   * Busca carpetas de dependencias recursivamente (para casos complejos)
+   * Carpetas de dependencias versionadas, a cualquier profundidad. Se deducen
+   * de las rutas de los archivos versionados (una carpeta instalada pero
+   * ignorada, como node_modules/ tras `npm install`, no cuenta); sin esa
+   * lista se recorre el disco
+   * @returns {Promise<string[]>} Rutas de las carpetas encontradas
    */
-  findDependencyFoldersRecursive(dir, prohibitedFolders, depth = 0, maxDepth = 2) {
+  async findDependencyFolders(fileSystem, prohibitedFolders) {
+    const trackedFiles = await fileSystem.listTrackedFiles?.();
+    if (!trackedFiles) {
+      return this.findDependencyFoldersRecursive(fileSystem, prohibitedFolders);
+    }
+
+    const found = new Set();
+    trackedFiles.forEach(file => {
+      // Solo la primera carpeta prohibida de la ruta: lo de dentro no se reporta aparte
+      const folders = file.split('/').slice(0, -1);
+      const index = folders.findIndex(folder => prohibitedFolders.includes(folder));
+      if (index !== -1) {
+        found.add(folders.slice(0, index + 1).join('/'));
+      }
+    });
+
+    return [...found].sort();
+  }
+
+  /**
+   * Busca carpetas de dependencias recursivamente en el disco
+   * @returns {Promise<string[]>} Rutas de las carpetas encontradas
+   */
+  async findDependencyFoldersRecursive(fileSystem, prohibitedFolders, dir = '', depth = 0, maxDepth = 2) {
     const foundFolders = [];
     
     if (depth > maxDepth) return foundFolders;
 
     try {
-      const items = fs.readdirSync(dir);
+      const items = await fileSystem.readdir(dir);
       
-      items.forEach(item => {
-        const itemPath = path.join(dir, item);
+      for (const item of items) {
+        const itemPath = path.posix.join(dir, item);
         
-        try {
-          const stat = fs.statSync(itemPath);
-          
-          if (stat.isDirectory()) {
-            if (prohibitedFolders.includes(item)) {
-              foundFolders.push(path.relative(process.cwd(), itemPath));
-            } else if (!item.startsWith('.') && item !== 'src' && item !== 'test') {
-              // Buscar recursivamente solo en algunas carpetas
-              foundFolders.push(...this.findDependencyFoldersRecursive(itemPath, prohibitedFolders, depth + 1, maxDepth));
-            }
+        if (await fileSystem.isDirectory(itemPath)) {
+          if (prohibitedFolders.includes(item)) {
+            foundFolders.push(itemPath);
+          } else if (!item.startsWith('.') && item !== 'src' && item !== 'test') {
+            // Buscar recursivamente solo en algunas carpetas
+            foundFolders.push(...await this.findDependencyFoldersRecursive(fileSystem, prohibitedFolders, itemPath, depth + 1, maxDepth));
           }
-        } catch (error) {
-          // Ignorar errores de permisos
         }
-      });
+      }
 
     } catch (error) {
       // Ignorar errores de lectura de directorio
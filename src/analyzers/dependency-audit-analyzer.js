@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const { minimatch } = require('minimatch');
+const I18n = require('../i18n/i18n');
+const LockfileReader = require('../lockfiles/lockfile-reader');
+
+// Severidades de advisory que hacen fallar la revisión (el resto son advertencias)
+const DEFAULT_FAIL_SEVERITIES = ['critical', 'high'];
+
+class DependencyAuditAnalyzer {
+  constructor() {
+    this.name = 'Dependency Audit Analyzer';
+    this.validationRule = 'checkDependencyAudit';
+    this.lockfileReader = new LockfileReader();
+  }
+
+  /**
+   * Contrasta las versiones instaladas (package-lock.json y los pins de
+   * requirements.txt) con una base de advisories y una política de licencias
+   * en archivos JSON locales, sin acceso a la red
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del proyecto a analizar
+   * @param {Object} rules - Reglas específicas del proyecto (dependencyAudit)
+   * @param {Object} context - Contexto del PR (changedFiles con su patch), i18n,
+   *   packages y serverFiles (rutas que se pueden leer del disco), opcional
+   * @returns {Promise<Object>} Resultado del análisis
+   */
+  async analyze(fileSystem, rules, context = {}) {
+    const results = {
+      analyzer: this.name,
+      passed: [],
+      failed: [],
+      warnings: []
+    };
+    const { t } = context.i18n || new I18n();
+
+    const config = rules.project?.dependencyAudit || {};
+    if (!config.advisoryDatabase && !config.licensePolicy) return results;
+
+    const serverFiles = context.serverFiles || new Set();
+    const load = file => (file ? this.loadConfigFile(fileSystem, file, serverFiles, results, t) : null);
+    const database = await load(config.advisoryDatabase);
+    const advisories = database && this.indexAdvisories(database);
+    const policy = await load(config.licensePolicy);
+    if (!advisories && !policy) return results;
+
+    const packages = context.packages || [{ path: '' }];
+
+    for (const pkg of packages) {
+      const installed = await this.listInstalled(fileSystem, pkg.path);
+      if (installed.length === 0) continue;
+
+      const scope = packages.length > 1 ? { package: pkg.path } : {};
+      const counts = { failed: results.failed.length, warnings: results.warnings.length };
+
+      if (advisories) {
+        this.checkAdvisories(installed, advisories, config, results, scope, t);
+      }
+      if (policy) {
+        this.checkLicenses(installed, policy, config, results, scope, t);
+      }
+
+      if (results.failed.length === counts.failed && results.warnings.length === counts.warnings) {
+        const files = [...new Set(installed.map(dependency => dependency.file))];
+        results.passed.push({
+          rule: 'dependency-audit-clean',
+          ...scope,
+          message: `✅ ${t('audit.clean', { count: installed.length, files: files.join(', ') })}`
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Dependencias instaladas de una carpeta
+   * @returns {Promise<Object[]>} { ecosystem, name, version, license, dev, file, line }
+   */
+  async listInstalled(fileSystem, dir) {
+    const installed = [];
+    const join = file => (dir ? `${dir}/${file}` : file);
+
+    const lockfile = (await this.lockfileReader.detect(fileSystem, dir)).find(found => found.manager === 'npm');
+    if (lockfile) {
+      try {
+        const content = await fileSystem.readFile(lockfile.file);
+        const lock = await this.lockfileReader.read(fileSystem, lockfile);
+        const seen = new Set();
+
+        this.lockfileReader.listPackages(lock).forEach(dependency => {
+          const key = `${dependency.name}@${dependency.version}`;
+          if (seen.has(key)) return;
+          seen.add(key);
+
+          installed.push({
+            ecosystem: 'npm',
+            ...dependency,
+            file: lockfile.file,
+            line: this.lineOf(content, `"${dependency.path}"`)
+          });
+        });
+      } catch (error) {
+        // LockfileAnalyzer reporta los lockfiles inválidos
+      }
+    }
+
+    const requirementsFile = join('requirements.txt');
+    if (await fileSystem.exists(requirementsFile)) {
+      const content = await fileSystem.readFile(requirementsFile);
+      installed.push(...this.parseRequirements(content).map(requirement => ({
+        ecosystem: 'pypi',
+        ...requirement,
+        license: null,
+        dev: false,
+        file: requirementsFile
+      })));
+    }
+
+    return installed;
+  }
+
+  /**
+   * Versiones fijadas con `==` en requirements.txt
+   * @returns {Object[]} { name, version, line }
+   */
+  parseRequirements(content) {
+    const pins = [];
+
+    content.split(/\r?\n/).forEach((text, index) => {
+      const line = text.replace(/\s+#.*$/, '').trim();
+      const match = line.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(?:\[[^\]]*\])?\s*===?\s*([^\s;,]+)/);
+      if (match) {
+        pins.push({ name: this.normalizeName('pypi', match[1]), version: match[2], line: index + 1 });
+      }
+    });
+
+    return pins;
+  }
+
+  /**
+   * Advisories por ecosistema y nombre
+   * @param {Object|Object[]} database - { advisories: [...] } o la lista directamente
+   * @returns {Map<string, Object[]>} "ecosistema:nombre" → advisories
+   */
+  indexAdvisories(database) {
+    const index = new Map();
+    const advisories = Array.isArray(database) ? database : database.advisories || [];
+    advisories
+      .filter(advisory => advisory && typeof advisory.package === 'string' && typeof advisory.vulnerable === 'string')
+      .forEach(advisory => {
+        const ecosystem = (advisory.ecosystem || 'npm').toLowerCase();
+        const key = `${ecosystem}:${this.normalizeName(ecosystem, advisory.package)}`;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(advisory);
+      });
+
+    return index;
+  }
+
+  checkAdvisories(installed, advisories, config, results, scope, t) {
+    const failSeverities = config.failSeverities || DEFAULT_FAIL_SEVERITIES;
+
+    installed.forEach(dependency => {
+      const version = this.comparableVersion(dependency);
+      if (!version) return;
+
+      (advisories.get(`${dependency.ecosystem}:${dependency.name}`) || [])
+        .filter(advisory => semver.satisfies(version, advisory.vulnerable, { includePrerelease: true }))
+        .forEach(advisory => {
+          const severity = (advisory.severity || 'moderate').toLowerCase();
+          const finding = {
+            rule: 'vulnerable-dependency',
+            file: dependency.file,
+            ...(dependency.line ? { path: dependency.file, line: dependency.line } : {}),
+            ...scope,
+            message: `${t('audit.vulnerable', {
+              name: dependency.name,
+              version: dependency.version,
+              id: advisory.id || '?',
+              severity
+            })}${advisory.title ? `: ${advisory.title}` : ''}`,
+            suggestion: advisory.fixed
+              ? t('audit.vulnerableSuggestion', { name: dependency.name, fixed: advisory.fixed })
+              : t('audit.vulnerableNoFixSuggestion', { name: dependency.name })
+          };
+
+          if (failSeverities.includes(severity)) {
+            results.failed.push({ ...finding, message: `❌ ${finding.message}` });
+          } else {
+            results.warnings.push({ ...finding, message: `⚠️  ${finding.message}` });
+          }
+        });
+    });
+  }
+
+  /**
+   * Licencias prohibidas (falla), fuera de la lista permitida (falla) o
+   * desconocidas (advertencia)
+   * @param {Object} policy - { allowed, denied, packages (licencia por paquete), ignore }
+   */
+  checkLicenses(installed, policy, config, results, scope, t) {
+    installed
+      .filter(dependency => config.includeDevLicenses || !dependency.dev)
+      .filter(dependency => !(policy.ignore || []).includes(dependency.name))
+      .forEach(dependency => {
+        const license = policy.packages?.[dependency.name] || this.licenseName(dependency.license);
+        const verdict = this.evaluateLicense(license, policy);
+        if (!verdict) return;
+
+        const location = {
+          file: dependency.file,
+          ...(dependency.line ? { path: dependency.file, line: dependency.line } : {}),
+          ...scope
+        };
+        const params = { name: dependency.name, version: dependency.version, license };
+
+        if (verdict === 'unknown') {
+          results.warnings.push({
+            rule: 'license-unknown',
+            ...location,
+            message: `⚠️  ${t('audit.licenseUnknown', params)}`,
+            suggestion: t('audit.licenseUnknownSuggestion', { name: dependency.name })
+          });
+          return;
+        }
+
+        results.failed.push({
+          rule: verdict === 'denied' ? 'license-denied' : 'license-not-allowed',
+          ...location,
+          message: `❌ ${t(verdict === 'denied' ? 'audit.licenseDenied' : 'audit.licenseNotAllowed', params)}`,
+          suggestion: t('audit.licenseSuggestion', { name: dependency.name })
+        });
+      });
+  }
+
+  /**
+   * Evalúa una expresión SPDX ("MIT", "(MIT OR Apache-2.0)", "A AND B"): basta
+   * una alternativa de OR válida y todos los términos de AND deben serlo
+   * @returns {string|null} 'denied'|'not-allowed'|'unknown' o null si cumple
+   */
+  evaluateLicense(license, policy) {
+    if (!license) return 'unknown';
+
+    const matches = (term, patterns = []) => patterns.some(pattern => minimatch(term, pattern, { nocase: true }));
+    const verdicts = license.replace(/[()]/g, ' ').split(/\s+OR\s+/i).map(alternative => {
+      const terms = alternative.split(/\s+AND\s+/i).map(term => term.trim()).filter(Boolean);
+      if (terms.some(term => matches(term, policy.denied))) return 'denied';
+      if (policy.allowed?.length && !terms.every(term => matches(term, policy.allowed))) return 'not-allowed';
+      return null;
+    });
+
+    if (verdicts.includes(null)) return null;
+    return verdicts.includes('not-allowed') ? 'not-allowed' : 'denied';
+  }
+
+  /**
+   * Licencia como texto (package-lock guarda a veces { type } o una lista)
+   */
+  licenseName(license) {
+    if (!license) return null;
+    if (Array.isArray(license)) return license.map(item => this.licenseName(item)).filter(Boolean).join(' OR ') || null;
+    return typeof license === 'object' ? license.type || null : String(license);
+  }
+
+  /**
+   * Versión comparable con semver (las de Python se llevan a x.y.z)
+   */
+  comparableVersion(dependency) {
+    if (dependency.ecosystem === 'npm') return semver.valid(dependency.version);
+    return semver.coerce(dependency.version)?.version || null;
+  }
+
+  /**
+   * Nombres de PyPI normalizados (PEP 503): minúsculas y "-" como separador
+   */
+  normalizeName(ecosystem, name) {
+    return ecosystem === 'pypi' ? name.toLowerCase().replace(/[-_.]+/g, '-') : name;
+  }
+
+  /**
+   * Lee un archivo JSON de configuración. Las rutas de las reglas del servidor
+   * o de `--rules` (serverFiles) se leen del repositorio revisado si son
+   * relativas y existen en él y, si no, del disco de la máquina que ejecuta la
+   * revisión. Las que vienen de la configuración del repositorio solo pueden
+   * ser rutas dentro del repositorio.
+   * @param {Set<string>} serverFiles - Rutas indicadas por el servidor o `--rules`
+   * @returns {Promise<Object|null>} Contenido, o null si no se pudo cargar
+   */
+  async loadConfigFile(fileSystem, file, serverFiles, results, t) {
+    try {
+      const repositoryPath = this.repositoryPath(file);
+      let content;
+
+      if (repositoryPath && (!serverFiles.has(file) || await fileSystem.exists(repositoryPath))) {
+        content = await fileSystem.readFile(repositoryPath);
+      } else if (serverFiles.has(file)) {
+        content = await fs.promises.readFile(path.resolve(file), 'utf8');
+      } else {
+        throw new Error('Path outside the repository');
+      }
+      return JSON.parse(content);
+    } catch (error) {
+      // Un único mensaje: no se expone si un archivo existe ni su contenido
+      results.failed.push({
+        rule: 'dependency-audit-config-invalid',
+        message: `❌ ${t('audit.configInvalid', { file })}`,
+        suggestion: t('audit.configSuggestion')
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Ruta normalizada dentro del repositorio, o null si es absoluta o sale de él
+   */
+  repositoryPath(file) {
+    if (path.isAbsolute(file) || path.win32.isAbsolute(file)) return null;
+
+    const normalized = path.posix.normalize(file.replace(/\\/g, '/'));
+    return normalized === '..' || normalized.startsWith('../') ? null : normalized.replace(/^\.\//, '');
+  }
+
+  lineOf(content, text) {
+    const index = content.indexOf(text);
+    return index === -1 ? null : content.slice(0, index).split('\n').length;
+  }
+}
+
+module.exports = DependencyAuditAnalyzer;
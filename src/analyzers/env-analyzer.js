@@ -1,60 +1,99 @@
-const fs = require('fs');
 const path = require('path');
+const { minimatch } = require('minimatch');
+const DiffPatch = require('../diff/diff-patch');
+const I18n = require('../i18n/i18n');
+const SecretAnalyzer = require('./secret-analyzer');
+
+// Plantillas que documentan las variables y se pueden versionar
+const DEFAULT_TEMPLATES = ['.env.example', '.env.sample', '.env.template'];
+
+// Lecturas de variables de entorno en el código (el grupo 1 es el nombre):
+// process.env.<NOMBRE>, process.env[<'NOMBRE'>], os.environ[<'NOMBRE'>],
+// os.environ.get(<'NOMBRE'>) y os.getenv(<'NOMBRE'>)
+const USAGE_PATTERNS = [
+  /\bprocess\.env\.([A-Za-z_$][\w$]*)/g,
+  /\bprocess\.env\[\s*['"`]([^'"`\s]+)['"`]\s*\]/g,
+  /\b(?:os\.)?environ(?:\.get\(|\[)\s*['"]([^'"\s]+)['"]/g,
+  /\b(?:os\.)?getenv\(\s*['"]([^'"\s]+)['"]/g
+];
+
+// Desestructuración: const { <NOMBRE>, <NOMBRE>: alias, <NOMBRE> = valor } = process.env
+const DESTRUCTURING_PATTERN = /\{([^{}]*)\}\s*=\s*process\.env\b/g;
+
+// Alias de process.env en el mismo archivo: `const env = process.env` o un
+// parámetro `constructor(env = process.env)`; se leen `env.X`, `env['X']` y `{ X } = env`
+const ALIAS_PATTERN = /(?<![\w$.])([A-Za-z_$][\w$]*)\s*=\s*process\.env\b(?!\s*[.[])/g;
 
 class EnvAnalyzer {
   constructor() {
     this.name = 'Environment Files Analyzer';
+    this.validationRule = 'checkEnvFiles';
   }
 
   /**
    * Busca archivos .env que no deberían estar committeados
-   * @param {string} projectPath - Ruta del proyecto a analizar
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del proyecto a analizar
    * @param {Object} rules - Reglas específicas del proyecto
-   * @returns {Object} Resultado del análisis
+   * @param {Object} context - Contexto del PR (changedFiles con su patch) e i18n, opcional
+   * @returns {Promise<Object>} Resultado del análisis
    */
-  analyze(projectPath, rules) {
+  async analyze(fileSystem, rules, context = {}) {
     const results = {
       analyzer: this.name,
       passed: [],
       failed: [],
       warnings: []
     };
+    const { t } = context.i18n || new I18n();
 
     // Obtener lista de archivos .env prohibidos
-    const prohibitedEnvFiles = rules.general?.prohibitedFiles || [
+    const prohibitedEnvFiles = rules.project?.prohibitedFiles || [
       '.env', '.env.local', '.env.production', '.env.development'
     ];
+    const config = rules.project?.envFiles || {};
+    const templates = config.allowedTemplates || DEFAULT_TEMPLATES;
 
-    // Buscar archivos .env en el directorio raíz
-    const foundEnvFiles = this.findEnvFiles(projectPath, prohibitedEnvFiles);
+    // Buscar archivos .env en todo el árbol
+    const foundEnvFiles = await this.findEnvFiles(fileSystem, prohibitedEnvFiles, config);
 
     if (foundEnvFiles.length === 0) {
       results.passed.push({
         rule: 'no-env-files-committed',
-        message: '✅ No .env files found in repository'
+        message: `✅ ${t('env.noneFound')}`
       });
     } else {
       foundEnvFiles.forEach(envFile => {
         results.failed.push({
           rule: 'env-file-committed',
-          message: `❌ Environment file found: ${envFile}`,
-          suggestion: `Remove '${envFile}' from repository and add it to .gitignore. Use '.env.example' instead to show required variables.`
+          file: envFile,
+          ...DiffPatch.locate(context.changedFiles, envFile),
+          message: `❌ ${t('env.found', { file: envFile })}`,
+          suggestion: t('env.foundSuggestion', { file: envFile, template: templates[0] })
         });
       });
     }
 
-    // Verificar si existe .env.example (buena práctica)
-    const envExamplePath = path.join(projectPath, '.env.example');
-    if (fs.existsSync(envExamplePath)) {
-      results.passed.push({
-        rule: 'env-example-exists',
-        message: '✅ .env.example file found (good practice)'
+    // Plantillas de la raíz y de cada paquete (buena práctica)
+    const exampleFiles = await this.findTemplates(fileSystem, templates, config.exclude);
+    if (exampleFiles.size > 0) {
+      exampleFiles.forEach(exampleFile => {
+        results.passed.push({
+          rule: 'env-example-exists',
+          message: `✅ ${t('env.exampleFound', { file: exampleFile })}`
+        });
+      });
+
+      // Contrastar cada plantilla con las variables que usa el código de su carpeta
+      await this.checkEnvUsage(fileSystem, exampleFiles, rules.project || {}, results, t, {
+        changedFiles: context.changedFiles,
+        // Con el analizador de secretos activo, los valores de la plantilla ya se revisan allí
+        checkValues: rules.validationRules?.checkSecrets === false
       });
     } else {
       results.warnings.push({
         rule: 'env-example-recommended',
-        message: '⚠️  Consider creating .env.example file',
-        suggestion: 'Create .env.example with dummy values to show required environment variables'
+        message: `⚠️  ${t('env.exampleMissing', { file: templates[0] })}`,
+        suggestion: t('env.exampleMissingSuggestion', { file: templates[0] })
       });
     }
 
@@ -62,61 +101,317 @@ class EnvAnalyzer {
   }
 
   /**
-   * Busca archivos .env en el directorio del proyecto
+   * Compara las variables documentadas en las plantillas con las que lee el
+   * código: usadas sin documentar, documentadas sin usar y valores de ejemplo
+   * que parecen secretos reales. Un archivo usa las plantillas de su carpeta y
+   * de las superiores; los avisos nombran la más cercana
+   * @param {Map<string, string>} exampleFiles - Plantilla (.env.example) por carpeta
+   * @param {Object} projectRules - Reglas efectivas (envUsage y secretScanning)
+   * @param {Object} options - { changedFiles: archivos del PR (las variables sin
+   *   documentar solo se reportan en ellos), checkValues: revisar si los valores
+   *   de la plantilla parecen secretos (default true) }
    */
-  findEnvFiles(projectPath, prohibitedFiles) {
-    const foundFiles = [];
+  async checkEnvUsage(fileSystem, exampleFiles, projectRules, results, t = new I18n().t, { changedFiles = null, checkValues = true } = {}) {
+    const config = projectRules.envUsage || {};
+    const ignoredVariables = config.ignoreVariables || [];
+    const documented = new Map();
+    for (const [dir, exampleFile] of exampleFiles) {
+      documented.set(dir, this.parseEnvExample(await fileSystem.readFile(exampleFile)));
+    }
+    const documentedNames = new Set([...documented.values()].flatMap(variables => [...variables.keys()]));
+    const { usages, complete, total, maxFiles } = await this.findEnvUsages(fileSystem, config, { changedFiles, documentedNames });
+    if (!complete) {
+      results.warnings.push({
+        rule: 'env-usage-incomplete',
+        message: `⚠️  ${t('env.usageIncomplete', { count: total, maxFiles })}`,
+        suggestion: t('env.usageIncompleteSuggestion')
+      });
+    }
 
-    try {
-      const files = fs.readdirSync(projectPath);
-      
-      files.forEach(file => {
-        if (prohibitedFiles.includes(file)) {
-          foundFiles.push(file);
-        }
-        
-        // También buscar variaciones comunes
-        if (file.startsWith('.env') && file !== '.env.example') {
-          foundFiles.push(file);
-        }
+    const changed = changedFiles && new Set(changedFiles.map(file => file.filename));
+    const reported = new Set();
+
+    usages.forEach((fileUsages, name) => {
+      if (ignoredVariables.includes(name)) return;
+
+      // En un PR, los usos de archivos que no cambian ya se reportaron antes
+      fileUsages.filter(usage => !changed || changed.has(usage.file)).forEach(usage => {
+        const dirs = this.templateDirs(usage.file, exampleFiles);
+        if (dirs.length === 0 || dirs.some(dir => documented.get(dir).has(name))) return;
+
+        // Un aviso por variable y plantilla, en su primer uso
+        const exampleFile = exampleFiles.get(dirs[0]);
+        if (reported.has(`${exampleFile}:${name}`)) return;
+        reported.add(`${exampleFile}:${name}`);
+
+        results.warnings.push({
+          rule: 'env-var-undocumented',
+          file: usage.file,
+          path: usage.file,
+          line: usage.line,
+          message: `⚠️  ${t('env.varUndocumented', { name, file: usage.file, line: usage.line, example: exampleFile })}`,
+          suggestion: t('env.varUndocumentedSuggestion', { name, example: exampleFile })
+        });
       });
+    });
 
-    } catch (error) {
-      // Si no se puede leer el directorio, no es crítico para este analizador
-      console.warn(`Could not read directory: ${projectPath}`);
+    for (const [dir, exampleFile] of exampleFiles) {
+      const variables = documented.get(dir);
+      const usedInDir = name => (usages.get(name) || []).some(usage => dir === '' || usage.file.startsWith(`${dir}/`));
+
+      // Sin recorrer todo el código no se puede afirmar que una variable no se usa
+      const unused = complete
+        ? [...variables].filter(([name, entry]) => !entry.commented && !usedInDir(name) && !ignoredVariables.includes(name))
+        : [];
+      unused.forEach(([name, entry]) => {
+        results.warnings.push({
+          rule: 'env-var-unused',
+          file: exampleFile,
+          path: exampleFile,
+          line: entry.line,
+          message: `⚠️  ${t('env.varUnused', { name, example: exampleFile })}`,
+          suggestion: t('env.varUnusedSuggestion', { name, example: exampleFile })
+        });
+      });
+
+      const undocumented = [...reported].some(key => key.startsWith(`${exampleFile}:`));
+      if (!undocumented && unused.length === 0) {
+        results.passed.push({
+          rule: 'env-vars-documented',
+          message: `✅ ${t('env.varsDocumented', { example: exampleFile })}`
+        });
+      }
+
+      if (checkValues) {
+        this.checkExampleValues(exampleFile, variables, projectRules.secretScanning || {}, results, t);
+      }
+    }
+  }
+
+  /**
+   * Carpetas con plantilla que documentan las variables de un archivo: la
+   * suya y las superiores, de la más cercana a la raíz ('')
+   * @returns {string[]}
+   */
+  templateDirs(file, exampleFiles) {
+    const dirs = [];
+    let dir = path.posix.dirname(file);
+    while (dir !== '.') {
+      if (exampleFiles.has(dir)) dirs.push(dir);
+      dir = path.posix.dirname(dir);
     }
+    if (exampleFiles.has('')) dirs.push('');
+    return dirs;
+  }
+
+  /**
+   * Variables de un archivo .env ("[export] NOMBRE=valor"). Las asignaciones
+   * comentadas ("# NOMBRE=valor") documentan variables opcionales
+   * @returns {Map<string, Object>} { line, value, text, commented } por nombre
+   */
+  parseEnvExample(content) {
+    const variables = new Map();
 
-    return foundFiles;
+    content.split('\n').forEach((text, index) => {
+      const match = text.match(/^\s*(?:export\s+)?([A-Za-z_]\w*)\s*=\s*(.*?)\s*$/) ||
+        text.match(/^\s*#\s*(?:export\s+)?([A-Z_][A-Z0-9_]*)=(.*?)\s*$/);
+      if (!match) return;
+
+      const commented = text.trim().startsWith('#');
+      const existing = variables.get(match[1]);
+      if (!existing || (existing.commented && !commented)) {
+        variables.set(match[1], { line: index + 1, value: match[2].replace(/^(['"])(.*)\1$/, '$2'), text, commented });
+      }
+    });
+
+    return variables;
   }
 
   /**
-   * Busca archivos .env recursivamente (opcional, para casos más complejos)
+   * Busca las variables de entorno que lee el código fuente versionado (hasta
+   * envUsage.maxFiles archivos). En un PR se leen primero los archivos
+   * modificados y el resto del árbol solo hasta encontrar todas las variables
+   * documentadas (lo necesario para saber si alguna dejó de usarse)
+   * @param {Object} options - { changedFiles: archivos del PR, documentedNames:
+   *   Set de variables de las plantillas }
+   * @returns {Promise<Object>} { usages: Map nombre → [{ file, line }] (primer uso
+   *   en cada archivo), complete: false si no se recorrió todo el código,
+   *   total: archivos de código encontrados, maxFiles }
    */
-  findEnvFilesRecursive(dir, prohibitedFiles, depth = 0, maxDepth = 3) {
-    const foundFiles = [];
-    
-    if (depth > maxDepth) return foundFiles;
+  async findEnvUsages(fileSystem, config, { changedFiles = null, documentedNames = null } = {}) {
+    const extensions = config.extensions || ['.js', '.cjs', '.mjs', '.jsx', '.ts', '.tsx', '.py'];
+    const excludePaths = config.excludePaths || ['**/node_modules/**'];
+    const maxFiles = config.maxFiles || 2000;
+    const maxFileSize = config.maxFileSize || 1024 * 1024;
 
-    try {
-      const files = fs.readdirSync(dir);
-      
-      files.forEach(file => {
-        const filePath = path.join(dir, file);
-        const stat = fs.statSync(filePath);
-        
-        if (stat.isDirectory() && !file.startsWith('.') && file !== 'node_modules') {
-          // Buscar recursivamente en subdirectorios
-          foundFiles.push(...this.findEnvFilesRecursive(filePath, prohibitedFiles, depth + 1, maxDepth));
-        } else if (prohibitedFiles.includes(file) || (file.startsWith('.env') && file !== '.env.example')) {
-          foundFiles.push(path.relative(dir, filePath));
+    const changed = new Set((changedFiles || []).filter(file => file.status !== 'removed').map(file => file.filename));
+    const files = ((await fileSystem.listTrackedFiles?.()) || await fileSystem.listFiles())
+      .filter(file => extensions.includes(path.posix.extname(file)))
+      .filter(file => !excludePaths.some(glob => minimatch(file, glob, { dot: true })))
+      .sort((a, b) => Number(changed.has(b)) - Number(changed.has(a)) || a.localeCompare(b));
+
+    const usages = new Map();
+    for (const file of files.slice(0, maxFiles)) {
+      const allFound = documentedNames && [...documentedNames].every(name => usages.has(name));
+      if (changedFiles && !changed.has(file) && allFound) {
+        break;
+      }
+
+      let content;
+      try {
+        content = await fileSystem.readFile(file);
+      } catch (error) {
+        continue;
+      }
+
+      if (content.length > maxFileSize) {
+        continue;
+      }
+
+      this.extractEnvUsages(content).forEach(({ name, line }) => {
+        const fileUsages = usages.get(name) || [];
+        if (!fileUsages.some(usage => usage.file === file)) {
+          usages.set(name, [...fileUsages, { file, line }]);
         }
       });
+    }
+
+    return { usages, complete: files.length <= maxFiles, total: files.length, maxFiles };
+  }
+
+  /**
+   * Lecturas de variables de entorno en un archivo (JavaScript/TypeScript y Python)
+   * @returns {Object[]} { name, line }
+   */
+  extractEnvUsages(content) {
+    const lineAt = index => content.slice(0, index).split('\n').length;
+    const found = [];
+
+    USAGE_PATTERNS.forEach(pattern => {
+      for (const match of content.matchAll(pattern)) {
+        found.push({ name: match[1], line: lineAt(match.index) });
+      }
+    });
+
+    const destructuring = [DESTRUCTURING_PATTERN];
+
+    // Los alias definidos en comentarios no cuentan
+    const inComment = index => /\/\/|^\s*(\/\*|\*)/.test(content.slice(content.lastIndexOf('\n', index) + 1, index));
+    const aliases = [...content.matchAll(ALIAS_PATTERN)].filter(match => !inComment(match.index)).map(match => match[1]);
+
+    new Set(aliases).forEach(alias => {
+      const name = alias.replace(/\$/g, '\\$');
+      [
+        new RegExp(`(?<![\\w$.'"\`])${name}\\.([A-Za-z_$][\\w$]*)`, 'g'),
+        new RegExp(`(?<![\\w$.'"\`])${name}\\[\\s*['"\`]([^'"\`\\s]+)['"\`]\\s*\\]`, 'g')
+      ].forEach(pattern => {
+        for (const match of content.matchAll(pattern)) {
+          found.push({ name: match[1], line: lineAt(match.index) });
+        }
+      });
+      destructuring.push(new RegExp(`\\{([^{}]*)\\}\\s*=\\s*${name}(?![\\w$.[])`, 'g'));
+    });
+
+    destructuring.forEach(pattern => {
+      for (const match of content.matchAll(pattern)) {
+        // match.index + 1: posición de las propiedades dentro del archivo (después de "{")
+        for (const property of match[1].matchAll(/[^,]+/g)) {
+          const name = property[0].split(/[:=]/)[0].trim().replace(/^(['"])(.*)\1$/, '$2');
+          if (/^[A-Za-z_$][\w$]*$/.test(name)) {
+            found.push({ name, line: lineAt(match.index + 1 + property.index + property[0].indexOf(name)) });
+          }
+        }
+      }
+    });
+
+    return found.sort((a, b) => a.line - b.line);
+  }
+
+  /**
+   * Los valores del archivo de ejemplo deben ser placeholders: se revisan con
+   * los patrones y la allowlist de secretScanning
+   */
+  checkExampleValues(exampleFile, documented, secretConfig, results, t = new I18n().t) {
+    const secretAnalyzer = new SecretAnalyzer();
+    // Los patrones inválidos ya los reporta el analizador de secretos
+    const patterns = secretAnalyzer.compilePatterns(secretConfig.patterns || [], { warnings: [] }, t);
 
+    documented.forEach((entry, name) => {
+      if (entry.commented) return;
+
+      const [finding] = secretAnalyzer.scanLine(exampleFile, entry.line, entry.text, patterns, secretConfig);
+      if (!finding) return;
+
+      results.failed.push({
+        rule: 'env-example-secret-value',
+        file: exampleFile,
+        path: exampleFile,
+        line: entry.line,
+        message: `❌ ${t('env.exampleSecretValue', { name, example: exampleFile, value: secretAnalyzer.mask(finding.value) })}`,
+        suggestion: t('env.exampleSecretValueSuggestion', { name })
+      });
+    });
+  }
+
+  /**
+   * Busca archivos de entorno en todo el árbol: los que coinciden con
+   * envFiles.include o cuyo nombre está en prohibitedFiles, salvo los de
+   * envFiles.exclude y las plantillas permitidas
+   * @returns {Promise<string[]>} Rutas encontradas, sin duplicados
+   */
+  async findEnvFiles(fileSystem, prohibitedFiles, config = {}) {
+    const include = config.include || ['**/.env', '**/.env.*', '**/*.env'];
+    const exclude = config.exclude || ['**/node_modules/**'];
+    const templates = config.allowedTemplates || DEFAULT_TEMPLATES;
+    const matches = (file, globs) => globs.some(glob => minimatch(file, glob, { dot: true }));
+
+    // Solo importan los archivos versionados (en modo local, los de `git ls-files` si es un repositorio)
+    let files = [];
+    try {
+      files = (await fileSystem.listTrackedFiles?.()) || await fileSystem.listFiles();
+    } catch (error) {
+      // Si no se puede leer el árbol, no es crítico para este analizador
+      console.warn(`Could not list files: ${fileSystem.location}`);
+    }
+
+    const foundFiles = new Set(files.filter(file => {
+      const name = path.posix.basename(file);
+      return !templates.includes(name) &&
+        !matches(file, exclude) &&
+        (prohibitedFiles.includes(name) || prohibitedFiles.includes(file) || matches(file, include));
+    }));
+
+    return [...foundFiles].sort();
+  }
+
+  /**
+   * Plantillas de variables de entorno versionadas: la primera de `templates`
+   * presente en cada carpeta (la raíz y los paquetes de un monorepo), salvo
+   * las de envFiles.exclude
+   * @returns {Promise<Map<string, string>>} Ruta de la plantilla por carpeta ('' es la raíz)
+   */
+  async findTemplates(fileSystem, templates, exclude = ['**/node_modules/**']) {
+    let files = [];
+    try {
+      files = (await fileSystem.listTrackedFiles?.()) || await fileSystem.listFiles();
     } catch (error) {
-      // Ignorar errores de permisos o directorios inaccesibles
+      console.warn(`Could not list files: ${fileSystem.location}`);
     }
 
-    return foundFiles;
+    const found = new Map();
+    templates.forEach(template => {
+      files
+        .filter(file => path.posix.basename(file) === template)
+        .filter(file => !exclude.some(glob => minimatch(file, glob, { dot: true })))
+        .sort()
+        .forEach(file => {
+          const dir = path.posix.dirname(file);
+          const key = dir === '.' ? '' : dir;
+          if (!found.has(key)) found.set(key, file);
+        });
+    });
+
+    return new Map([...found].sort(([a], [b]) => a.localeCompare(b)));
   }
 }
 
@@ -1,59 +1,65 @@
-const fs = require('fs');
-const path = require('path');
+const DiffPatch = require('../diff/diff-patch');
+const GitCommands = require('../git/git-commands');
+const GitignoreMatcher = require('../git/gitignore-matcher');
+const I18n = require('../i18n/i18n');
 
 class GitignoreAnalyzer {
   constructor() {
     this.name = 'Gitignore Analyzer';
+    this.validationRule = 'checkGitignore';
   }
 
   /**
    * Analiza si existe .gitignore y verifica su contenido
-   * @param {string} projectPath - Ruta del proyecto a analizar
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del proyecto a analizar
    * @param {Object} rules - Reglas específicas del proyecto
-   * @returns {Object} Resultado del análisis
+   * @param {Object} context - Contexto del PR (changedFiles con su patch) e i18n, opcional
+   * @returns {Promise<Object>} Resultado del análisis
    */
-  analyze(projectPath, rules) {
+  async analyze(fileSystem, rules, context = {}) {
     const results = {
       analyzer: this.name,
       passed: [],
       failed: [],
       warnings: []
     };
+    const { t } = context.i18n || new I18n();
 
-    const gitignorePath = path.join(projectPath, '.gitignore');
-    
     // Verificar si existe .gitignore
-    if (!fs.existsSync(gitignorePath)) {
+    if (!(await fileSystem.exists('.gitignore'))) {
       results.failed.push({
         rule: 'gitignore-exists',
-        message: '❌ Missing .gitignore file',
-        suggestion: 'Create a .gitignore file to exclude unnecessary files from version control'
+        message: `❌ ${t('gitignore.missingFile')}`,
+        suggestion: t('gitignore.missingFileSuggestion')
       });
       return results;
     }
 
     results.passed.push({
       rule: 'gitignore-exists',
-      message: '✅ .gitignore file found'
+      message: `✅ ${t('gitignore.found')}`
     });
 
-    // Leer contenido del .gitignore
+    // Reglas de todos los .gitignore del proyecto (raíz y anidados)
     try {
-      const gitignoreContent = fs.readFileSync(gitignorePath, 'utf8');
-      const gitignoreLines = gitignoreContent.split('\n').map(line => line.trim());
+      const matcher = await GitignoreMatcher.fromFileSystem(fileSystem);
+      const anchor = this.getSuggestionAnchor(context);
       
       // Verificar reglas específicas según el tipo de proyecto
-      if (rules.nodejs && rules.nodejs.gitignoreRules) {
-        this.checkRequiredRules(gitignoreLines, rules.nodejs.gitignoreRules, results);
-      } else if (rules.general) {
-        this.checkGeneralRules(gitignoreLines, rules.general, results);
+      if (rules.project && rules.project.gitignoreRules) {
+        this.checkRequiredRules(matcher, rules.project.gitignoreRules, results, anchor, t);
+      } else if (rules.project) {
+        this.checkGeneralRules(matcher, rules.project, results, anchor, t);
       }
 
+      await this.checkTrackedFiles(fileSystem, matcher, results, context, t);
+
     } catch (error) {
       results.failed.push({
         rule: 'gitignore-readable',
-        message: '❌ Could not read .gitignore file',
-        suggestion: 'Make sure .gitignore file is readable'
+        file: '.gitignore',
+        message: `❌ ${t('gitignore.unreadable')}`,
+        suggestion: t('gitignore.unreadableSuggestion')
       });
     }
 
@@ -61,49 +67,132 @@ class GitignoreAnalyzer {
   }
 
   /**
-   * Verifica reglas específicas de Node.js
+   * Si el PR modifica .gitignore, la última línea de su diff sirve para
+   * sugerir las entradas faltantes en un comentario en línea
+   * @returns {Object} { path, line } o {} si .gitignore no está en el diff
+   */
+  getSuggestionAnchor(context) {
+    const changedGitignore = (context.changedFiles || []).find(file =>
+      file.filename === '.gitignore' && file.status !== 'removed'
+    );
+    const lastLine = changedGitignore && new DiffPatch(changedGitignore.patch).lastCommentableLine();
+
+    return lastLine ? { path: '.gitignore', line: lastLine.line } : {};
+  }
+
+  /**
+   * Busca archivos versionados que el propio .gitignore ignora (la entrada se
+   * agregó después de commitearlos). Se agrupan por la ruta ignorada: una
+   * carpeta ignorada genera un solo hallazgo con todos sus archivos
+   */
+  async checkTrackedFiles(fileSystem, matcher, results, context = {}, t = new I18n().t) {
+    const trackedFiles = await fileSystem.listTrackedFiles?.();
+    if (!trackedFiles) return; // Directorio local fuera de un repositorio Git
+
+    const groups = new Map();
+    trackedFiles.forEach(file => {
+      const match = matcher.explain(file);
+      if (!match) return;
+
+      if (!groups.has(match.path)) {
+        groups.set(match.path, { ...match, files: [] });
+      }
+      groups.get(match.path).files.push(file);
+    });
+
+    if (groups.size === 0) {
+      results.passed.push({
+        rule: 'gitignore-no-tracked-ignored',
+        message: `✅ ${t('gitignore.noTrackedIgnored')}`
+      });
+      return;
+    }
+
+    groups.forEach(group => {
+      const command = GitCommands.removeCached([group.path], { recursive: group.isDirectory });
+      const params = {
+        path: group.isDirectory ? `${group.path}/` : group.path,
+        count: group.files.length,
+        pattern: group.pattern,
+        source: `${group.source}:${group.line}`,
+        command
+      };
+
+      results.warnings.push({
+        rule: 'gitignore-tracked-ignored',
+        file: group.path,
+        ...(group.isDirectory ? {} : DiffPatch.locate(context.changedFiles, group.path)),
+        files: group.files,
+        message: `⚠️  ${t(group.isDirectory ? 'gitignore.trackedIgnoredDirectory' : 'gitignore.trackedIgnored', params)}`,
+        suggestion: t('gitignore.trackedIgnoredSuggestion', params)
+      });
+    });
+  }
+
+  /**
+   * Convierte una regla requerida en la ruta que debe quedar ignorada:
+   * una "/" final indica carpeta (sin ella vale como archivo o carpeta) y los
+   * comodines se reemplazan por un nombre de ejemplo (".env*" → ".env", "*.log" → "debug.log")
+   * @returns {Object} { path, isDirectory }
+   */
+  rulePath(rule) {
+    const isDirectory = rule.endsWith('/');
+    const rulePath = rule
+      .replace(/^\//, '')
+      .replace(/\/+$/, '')
+      .replace(/(^|\/)\*\*\//g, '$1')
+      .replace(/^\*(?=\.)/, 'debug')
+      .replace(/\[([^\]])[^\]]*\]/g, '$1')
+      .replace(/[*]/g, '')
+      .replace(/\?/g, 'x');
+
+    return { path: rulePath, isDirectory };
+  }
+
+  /**
+   * Verifica que las rutas de gitignoreRules queden ignoradas
    */
-  checkRequiredRules(gitignoreLines, requiredRules, results) {
+  checkRequiredRules(matcher, requiredRules, results, anchor = {}, t = new I18n().t) {
     requiredRules.forEach(rule => {
-      const found = gitignoreLines.some(line => 
-        line === rule || line.includes(rule.replace('/', ''))
-      );
+      const { path, isDirectory } = this.rulePath(rule);
       
-      if (found) {
+      if (matcher.isIgnored(path, isDirectory) || (!isDirectory && matcher.isIgnored(path, true))) {
         results.passed.push({
           rule: `gitignore-has-${rule.replace('/', '')}`,
-          message: `✅ .gitignore includes: ${rule}`
+          message: `✅ ${t('gitignore.includes', { rule })}`
         });
       } else {
         results.failed.push({
           rule: `gitignore-missing-${rule.replace('/', '')}`,
-          message: `❌ .gitignore missing: ${rule}`,
-          suggestion: `Add '${rule}' to your .gitignore file`
+          file: '.gitignore',
+          ...anchor,
+          ...(anchor.line ? { fix: { append: rule } } : {}),
+          message: `❌ ${t('gitignore.missingRule', { rule })}`,
+          suggestion: t('gitignore.missingRuleSuggestion', { rule })
         });
       }
     });
   }
 
   /**
-   * Verifica reglas generales
+   * Verifica que las carpetas prohibidas queden ignoradas
    */
-  checkGeneralRules(gitignoreLines, generalRules, results) {
+  checkGeneralRules(matcher, generalRules, results, anchor = {}, t = new I18n().t) {
     if (generalRules.prohibitedFolders) {
       generalRules.prohibitedFolders.forEach(folder => {
-        const found = gitignoreLines.some(line => 
-          line.includes(folder)
-        );
-        
-        if (found) {
+        if (matcher.isIgnored(folder, true)) {
           results.passed.push({
             rule: `gitignore-excludes-${folder}`,
-            message: `✅ .gitignore excludes: ${folder}`
+            message: `✅ ${t('gitignore.excludes', { folder })}`
           });
         } else {
           results.warnings.push({
             rule: `gitignore-should-exclude-${folder}`,
-            message: `⚠️  Consider adding '${folder}/' to .gitignore`,
-            suggestion: `Add '${folder}/' to exclude this folder from version control`
+            file: '.gitignore',
+            ...anchor,
+            ...(anchor.line ? { fix: { append: `${folder}/` } } : {}),
+            message: `⚠️  ${t('gitignore.shouldExclude', { folder })}`,
+            suggestion: t('gitignore.shouldExcludeSuggestion', { folder })
           });
         }
       });
@@ -0,0 +1,144 @@
+const { minimatch } = require('minimatch');
+const DiffPatch = require('../diff/diff-patch');
+const I18n = require('../i18n/i18n');
+const GitCommands = require('../git/git-commands');
+const GitignoreMatcher = require('../git/gitignore-matcher');
+
+// Categorías por defecto (patrones con la sintaxis de .gitignore)
+const DEFAULT_CATEGORIES = {
+  editor: { patterns: ['.vscode/', '.idea/', '*.swp', '*.swo', '*~', '*.sublime-workspace'] },
+  os: { patterns: ['.DS_Store', 'Thumbs.db', 'desktop.ini', '._*'] },
+  logs: { patterns: ['*.log', 'npm-debug.log*', 'yarn-error.log*'] },
+  build: { patterns: ['dist/', 'build/', 'coverage/', '.nyc_output/'] },
+  // Las bibliotecas y ejecutables (.dll, .so, .exe) los reporta LargeFilesAnalyzer como binarios
+  compiled: { patterns: ['*.pyc', '*.class', '*.o'] }
+};
+
+class JunkFilesAnalyzer {
+  constructor() {
+    this.name = 'Junk Files Analyzer';
+    this.validationRule = 'checkJunkFiles';
+  }
+
+  /**
+   * Busca archivos versionados que no deberían estar en el repositorio:
+   * configuración de editores, archivos del sistema operativo, logs, salida
+   * de build y binarios compilados (categorías de `junkFiles`)
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del proyecto a analizar
+   * @param {Object} rules - Reglas específicas del proyecto (junkFiles)
+   * @param {Object} context - Contexto del PR (changedFiles con su patch), i18n y packages, opcional
+   * @returns {Promise<Object>} Resultado del análisis
+   */
+  async analyze(fileSystem, rules, context = {}) {
+    const results = {
+      analyzer: this.name,
+      passed: [],
+      failed: [],
+      warnings: []
+    };
+    const { t } = context.i18n || new I18n();
+
+    const config = rules.project?.junkFiles || {};
+    const exclude = config.exclude || ['**/node_modules/**'];
+    const allow = new GitignoreMatcher().add((config.allow || []).join('\n'), '', 'allow');
+    const categories = Object.entries(config.categories || DEFAULT_CATEGORIES)
+      .filter(([, category]) => Array.isArray(category?.patterns) && category.patterns.length > 0)
+      .map(([name, category]) => ({
+        name,
+        severity: category.severity,
+        matcher: new GitignoreMatcher().add(category.patterns.join('\n'), '', name)
+      }));
+
+    // Lo que ignora el .gitignore del repositorio ya lo reporta GitignoreAnalyzer
+    // (o no se commitea, si el directorio local no es un repositorio Git)
+    let gitignore;
+    try {
+      gitignore = await GitignoreMatcher.fromFileSystem(fileSystem);
+    } catch (error) {
+      gitignore = new GitignoreMatcher();
+    }
+
+    const trackedFiles = ((await fileSystem.listTrackedFiles?.()) || await fileSystem.listFiles())
+      .filter(file => !exclude.some(glob => minimatch(file, glob, { dot: true })));
+    // Los que .gitignore vuelve a incluir con "!" (`!.vscode/extensions.json`) se commitean a propósito
+    const files = trackedFiles
+      .filter(file => !gitignore.isIgnored(file) && !gitignore.match(file, false)?.negated && !allow.isIgnored(file));
+
+    // Un hallazgo por ruta: una carpeta de build agrupa todos sus archivos
+    const groups = new Map();
+    files.forEach(file => {
+      for (const category of categories) {
+        const match = category.matcher.explain(file);
+        if (!match) continue;
+
+        if (!groups.has(match.path)) {
+          groups.set(match.path, { ...match, category, files: [] });
+        }
+        groups.get(match.path).files.push(file);
+        return;
+      }
+    });
+
+    const packages = context.packages || [];
+    groups.forEach(group => {
+      const target = group.isDirectory ? `${group.path}/` : group.path;
+      // Si la carpeta tiene archivos permitidos, solo se dejan de versionar los demás
+      const partial = group.isDirectory && trackedFiles.some(file => file.startsWith(target) && !group.files.includes(file));
+      const params = {
+        path: target,
+        count: group.files.length,
+        category: this.categoryLabel(group.category.name, t),
+        pattern: group.pattern,
+        command: partial
+          ? GitCommands.removeCached(group.files)
+          : GitCommands.removeCached([group.path], { recursive: group.isDirectory })
+      };
+      const finding = {
+        rule: 'junk-file-committed',
+        file: target,
+        ...DiffPatch.locate(context.changedFiles, target),
+        files: group.files,
+        ...this.packageOf(group.path, packages),
+        suggestion: t('junk.suggestion', params)
+      };
+      const message = t(group.isDirectory ? 'junk.directory' : 'junk.file', params);
+
+      if (group.category.severity === 'error') {
+        results.failed.push({ ...finding, message: `❌ ${message}` });
+      } else {
+        results.warnings.push({ ...finding, message: `⚠️  ${message}` });
+      }
+    });
+
+    if (groups.size === 0) {
+      results.passed.push({
+        rule: 'no-junk-files',
+        message: `✅ ${t('junk.none', { categories: categories.map(category => this.categoryLabel(category.name, t)).join(', ') })}`
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Nombre traducido de una categoría (las personalizadas usan su clave)
+   */
+  categoryLabel(name, t) {
+    const label = t(`junk.category.${name}`);
+    return label === `junk.category.${name}` ? name : label;
+  }
+
+  /**
+   * { package } del paquete más profundo que contiene la ruta (solo en monorepos)
+   */
+  packageOf(filePath, packages) {
+    if (packages.length < 2) return {};
+
+    const owner = packages
+      .filter(pkg => pkg.path === '' || filePath.startsWith(`${pkg.path}/`))
+      .sort((a, b) => b.path.length - a.path.length)[0];
+    return owner ? { package: owner.path } : {};
+  }
+}
+
+module.exports = JunkFilesAnalyzer;
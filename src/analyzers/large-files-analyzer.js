@@ -0,0 +1,172 @@
+const path = require('path');
+const { minimatch } = require('minimatch');
+const DiffPatch = require('../diff/diff-patch');
+const I18n = require('../i18n/i18n');
+const GitAttributes = require('../git/git-attributes');
+
+const DEFAULT_BINARY_EXTENSIONS = [
+  '.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.webp', '.psd', '.pdf', '.mp3', '.mp4', '.mov', '.avi', '.wav',
+  '.woff', '.woff2', '.ttf', '.otf', '.exe', '.dll', '.so', '.dylib', '.bin', '.dat', '.db', '.sqlite', '.parquet',
+  '.pkl', '.h5', '.onnx', '.pt'
+];
+const DEFAULT_ARCHIVE_EXTENSIONS = ['.zip', '.tar', '.gz', '.tgz', '.bz2', '.xz', '.7z', '.rar', '.jar', '.war'];
+
+// Firmas de formatos binarios que no siempre tienen bytes NUL al inicio
+// (el contenido llega como UTF-8: los bytes no ASCII se leen como U+FFFD)
+const BINARY_SIGNATURES = /^(%PDF-|\uFFFDPNG|GIF8[79]a|PK\u0003\u0004|\u001f\uFFFD|\u007fELF|Rar!|7z\uFFFD)/;
+
+class LargeFilesAnalyzer {
+  constructor() {
+    this.name = 'Large and Binary Files Analyzer';
+    this.validationRule = 'checkLargeFiles';
+  }
+
+  /**
+   * Detecta archivos grandes, binarios y comprimidos que no pasan por Git LFS
+   * (según .gitattributes). En un PR solo se revisan los archivos del diff y
+   * también los que agregan demasiadas líneas
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del proyecto a analizar
+   * @param {Object} rules - Reglas específicas del proyecto (largeFiles)
+   * @param {Object} context - Contexto del PR (changedFiles con su patch y additions) e i18n, opcional
+   * @returns {Promise<Object>} Resultado del análisis
+   */
+  async analyze(fileSystem, rules, context = {}) {
+    const results = {
+      analyzer: this.name,
+      passed: [],
+      failed: [],
+      warnings: []
+    };
+    const { t } = context.i18n || new I18n();
+
+    const config = rules.project?.largeFiles || {};
+    const limits = {
+      warnSize: config.warnSize || 1024 * 1024,
+      errorSize: config.errorSize || 50 * 1024 * 1024,
+      binaryMinSize: config.binaryMinSize ?? 100 * 1024,
+      maxAddedLines: config.maxAddedLines || 10000
+    };
+    const binaryExtensions = config.binaryExtensions || DEFAULT_BINARY_EXTENSIONS;
+    const archiveExtensions = config.archiveExtensions || DEFAULT_ARCHIVE_EXTENSIONS;
+    const exclude = config.exclude || ['**/node_modules/**'];
+
+    const changedFiles = context.changedFiles;
+    const files = (changedFiles
+      ? changedFiles.filter(file => file.status !== 'removed').map(file => file.filename)
+      : ((await fileSystem.listTrackedFiles?.()) || await fileSystem.listFiles()))
+      .filter(file => !exclude.some(glob => minimatch(file, glob, { dot: true })));
+
+    let attributes;
+    try {
+      attributes = await GitAttributes.fromFileSystem(fileSystem);
+    } catch (error) {
+      attributes = new GitAttributes();
+    }
+
+    // Binarios y comprimidos se agrupan por el patrón de LFS sugerido
+    const groups = { binary: new Map(), archive: new Map() };
+    const addToGroup = (kind, file) => {
+      const pattern = this.lfsPattern(file);
+      if (!groups[kind].has(pattern)) groups[kind].set(pattern, []);
+      groups[kind].get(pattern).push(file);
+    };
+
+    for (const file of files.sort()) {
+      if (attributes.isLfs(file)) continue;
+
+      const extension = path.posix.extname(file).toLowerCase();
+      const size = await fileSystem.getSize?.(file);
+      const params = { file, size: this.formatSize(size), pattern: this.lfsPattern(file) };
+
+      if (size > limits.warnSize) {
+        const tooLarge = size > limits.errorSize;
+        const finding = {
+          rule: tooLarge ? 'file-too-large' : 'large-file',
+          file,
+          ...DiffPatch.locate(changedFiles, file),
+          suggestion: t('largeFiles.lfsSuggestion', params)
+        };
+        const message = t('largeFiles.large', { ...params, limit: this.formatSize(tooLarge ? limits.errorSize : limits.warnSize) });
+
+        if (tooLarge) {
+          results.failed.push({ ...finding, message: `❌ ${message}` });
+        } else {
+          results.warnings.push({ ...finding, message: `⚠️  ${message}` });
+        }
+      } else if (archiveExtensions.includes(extension)) {
+        addToGroup('archive', file);
+      } else if (size !== null && size !== undefined && size >= limits.binaryMinSize &&
+        (binaryExtensions.includes(extension) || await this.looksBinary(fileSystem, file))) {
+        addToGroup('binary', file);
+      }
+
+      // Archivos de texto enormes (datasets, bundles generados) en el diff
+      const changed = changedFiles?.find(entry => entry.filename === file);
+      if (changed?.patch && changed.additions > limits.maxAddedLines) {
+        results.warnings.push({
+          rule: 'large-diff',
+          file,
+          ...DiffPatch.locate(changedFiles, file),
+          message: `⚠️  ${t('largeFiles.manyLines', { file, count: changed.additions, limit: limits.maxAddedLines })}`,
+          suggestion: t('largeFiles.manyLinesSuggestion')
+        });
+      }
+    }
+
+    Object.entries(groups).forEach(([kind, byPattern]) => {
+      byPattern.forEach((groupFiles, pattern) => {
+        const params = { count: groupFiles.length, pattern, files: I18n.listFiles(groupFiles) };
+        const inDiff = changedFiles && groupFiles.find(file => Object.keys(DiffPatch.locate(changedFiles, file)).length > 0);
+
+        results.warnings.push({
+          rule: kind === 'archive' ? 'archive-file' : 'binary-file',
+          file: inDiff || groupFiles[0],
+          ...(inDiff ? DiffPatch.locate(changedFiles, inDiff) : {}),
+          files: groupFiles,
+          message: `⚠️  ${t(kind === 'archive' ? 'largeFiles.archive' : 'largeFiles.binary', params)}`,
+          suggestion: t(kind === 'archive' ? 'largeFiles.archiveSuggestion' : 'largeFiles.lfsSuggestion', params)
+        });
+      });
+    });
+
+    if (results.failed.length === 0 && results.warnings.length === 0) {
+      results.passed.push({
+        rule: 'no-large-files',
+        message: `✅ ${t(changedFiles ? 'largeFiles.noneInDiff' : 'largeFiles.none', { limit: this.formatSize(limits.warnSize) })}`
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Contenido binario: bytes NUL al inicio o la firma de un formato conocido
+   */
+  async looksBinary(fileSystem, file) {
+    try {
+      const content = await fileSystem.readFile(file);
+      return content.slice(0, 8000).includes('\0') || BINARY_SIGNATURES.test(content);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Patrón para `git lfs track`: la extensión o, sin ella, la ruta del archivo
+   */
+  lfsPattern(file) {
+    const extension = path.posix.extname(file);
+    return extension ? `*${extension}` : file;
+  }
+
+  formatSize(bytes) {
+    if (typeof bytes !== 'number') return '?';
+
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(1024)), units.length - 1);
+    const value = bytes / 1024 ** exponent;
+    return `${exponent === 0 ? value : value.toFixed(1).replace(/\.0$/, '')} ${units[exponent]}`;
+  }
+}
+
+module.exports = LargeFilesAnalyzer;
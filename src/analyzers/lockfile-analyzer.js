@@ -0,0 +1,365 @@
+const semver = require('semver');
+const DiffPatch = require('../diff/diff-patch');
+const I18n = require('../i18n/i18n');
+const LockfileReader = require('../lockfiles/lockfile-reader');
+
+// Secciones de package.json que quedan fijadas en el lockfile
+const DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+// Campos de package.json con forma "clave": "versión" que no son dependencias
+const NON_DEPENDENCY_FIELDS = ['name', 'version', 'node', 'npm', 'yarn', 'pnpm', 'bun', 'packageManager'];
+
+// Versión mínima del gestor que entiende cada formato de lockfile
+const FORMAT_REQUIREMENTS = {
+  npm: lock => (lock.lockfileVersion >= 2 ? '>=7' : null),
+  'yarn-berry': () => '>=2',
+  'yarn-classic': () => null,
+  pnpm: lock => (parseFloat(lock.lockfileVersion) >= 9 ? '>=9' : parseFloat(lock.lockfileVersion) >= 6 ? '>=7.24' : null)
+};
+
+class LockfileAnalyzer {
+  constructor() {
+    this.name = 'Lockfile Consistency Analyzer';
+    this.validationRule = 'checkLockfiles';
+    this.lockfileReader = new LockfileReader();
+  }
+
+  /**
+   * Verifica que el lockfile de cada proyecto Node.js sea coherente con su
+   * package.json: un único gestor, lockfile actualizado en el PR, versiones
+   * dentro de los rangos declarados y packageManager/engines compatibles.
+   * En un workspace el lockfile de la raíz cubre a todos sus miembros.
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del proyecto a analizar
+   * @param {Object} rules - Reglas específicas del proyecto
+   * @param {Object} context - Contexto del PR (changedFiles con su patch), i18n y packages, opcional
+   * @returns {Promise<Object>} Resultado del análisis
+   */
+  async analyze(fileSystem, rules, context = {}) {
+    const results = {
+      analyzer: this.name,
+      passed: [],
+      failed: [],
+      warnings: []
+    };
+    const { t } = context.i18n || new I18n();
+
+    const packages = context.packages || [{ path: '', source: 'root' }];
+
+    for (const pkg of packages) {
+      // Los miembros de un workspace usan el lockfile de la raíz
+      if (pkg.path && pkg.source !== 'nested') continue;
+
+      const manifestFile = this.join(pkg.path, 'package.json');
+      if (!(await fileSystem.exists(manifestFile))) continue;
+
+      const members = pkg.path ? [] : packages.filter(other => other.path && other.source !== 'nested');
+      const counts = { passed: results.passed.length, failed: results.failed.length, warnings: results.warnings.length };
+      await this.checkProject(fileSystem, pkg.path, members, results, context, t);
+
+      // En un monorepo los hallazgos se agrupan con el paquete del lockfile
+      if (packages.length > 1) {
+        Object.entries(counts).forEach(([type, count]) => {
+          results[type].slice(count).forEach(finding => {
+            if (finding.package === undefined) finding.package = pkg.path;
+          });
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Revisa un proyecto con su propio lockfile
+   * @param {string} dir - Carpeta del proyecto ('' para la raíz)
+   * @param {Object[]} members - Paquetes del workspace que cubre su lockfile
+   */
+  async checkProject(fileSystem, dir, members, results, context, t) {
+    const manifestFile = this.join(dir, 'package.json');
+    const manifest = await this.readManifest(fileSystem, manifestFile, results, t);
+    if (!manifest) return;
+
+    const lockfiles = await this.lockfileReader.detect(fileSystem, dir);
+    if (lockfiles.length === 0) return; // DependencyAnalyzer ya recomienda agregarlo
+
+    const packageManager = this.parsePackageManager(manifest.packageManager);
+
+    if (lockfiles.length > 1) {
+      const files = lockfiles.map(lockfile => lockfile.file);
+      results.failed.push({
+        rule: 'lockfile-multiple',
+        file: files[0],
+        files,
+        ...DiffPatch.locate(context.changedFiles, files[0]),
+        message: `❌ ${t('lockfile.multiple', { files: files.join(', ') })}`,
+        suggestion: t('lockfile.multipleSuggestion', { lockfile: this.preferredLockfile(lockfiles, packageManager).file })
+      });
+    }
+
+    const lockfile = this.preferredLockfile(lockfiles, packageManager);
+    this.checkPackageManager(manifestFile, manifest, packageManager, lockfile, results, t);
+
+    let lock = null;
+    try {
+      lock = await this.lockfileReader.read(fileSystem, lockfile);
+    } catch (error) {
+      results.failed.push({
+        rule: 'lockfile-invalid',
+        file: lockfile.file,
+        message: `❌ ${t('lockfile.invalid', { file: lockfile.file, error: error.message })}`,
+        suggestion: t('lockfile.invalidSuggestion', { manager: lockfile.manager })
+      });
+      return;
+    }
+
+    if (lock) {
+      this.checkFormat(manifestFile, manifest, packageManager, lock, results, t);
+    }
+
+    // package.json de la raíz y de los miembros del workspace
+    const projects = [{ dir, manifestFile, manifest }];
+    for (const member of members) {
+      const memberManifestFile = this.join(member.path, 'package.json');
+      if (!(await fileSystem.exists(memberManifestFile))) continue;
+
+      const memberManifest = await this.readManifest(fileSystem, memberManifestFile, results, t);
+      if (memberManifest) {
+        projects.push({ dir: member.path, manifestFile: memberManifestFile, manifest: memberManifest, member: true });
+      }
+    }
+
+    if (context.changedFiles) {
+      this.checkLockfileUpdated(projects, lockfiles, lockfile, context.changedFiles, results, t);
+    }
+
+    if (lock) {
+      const before = results.failed.length;
+      for (const project of projects) {
+        await this.checkRanges(fileSystem, project, lock, dir, results, context, t);
+      }
+
+      if (results.failed.length === before) {
+        results.passed.push({
+          rule: 'lockfile-in-sync',
+          message: `✅ ${t('lockfile.inSync', { lockfile: lockfile.file })}`
+        });
+      }
+    }
+  }
+
+  /**
+   * packageManager frente al lockfile y a engines
+   */
+  checkPackageManager(manifestFile, manifest, packageManager, lockfile, results, t) {
+    if (!packageManager) return;
+
+    if (packageManager.name !== lockfile.manager) {
+      results.failed.push({
+        rule: 'package-manager-lockfile-mismatch',
+        file: manifestFile,
+        message: `❌ ${t('lockfile.packageManagerMismatch', {
+          file: manifestFile,
+          packageManager: manifest.packageManager,
+          lockfile: lockfile.file
+        })}`,
+        suggestion: t('lockfile.packageManagerMismatchSuggestion', { manager: packageManager.name, lockfile: lockfile.file })
+      });
+    }
+
+    const engine = manifest.engines?.[packageManager.name];
+    if (typeof engine === 'string' && semver.valid(packageManager.version) && semver.validRange(engine) &&
+        !semver.satisfies(packageManager.version, engine)) {
+      results.failed.push({
+        rule: 'package-manager-engines-mismatch',
+        file: manifestFile,
+        message: `❌ ${t('lockfile.enginesMismatch', {
+          file: manifestFile,
+          packageManager: manifest.packageManager,
+          engine: `${packageManager.name} ${engine}`
+        })}`,
+        suggestion: t('lockfile.enginesMismatchSuggestion')
+      });
+    }
+  }
+
+  /**
+   * Formato del lockfile frente a la versión del gestor declarada
+   * (packageManager o engines)
+   */
+  checkFormat(manifestFile, manifest, packageManager, lock, results, t) {
+    const required = FORMAT_REQUIREMENTS[lock.format](lock);
+    if (!required) return;
+
+    const declared = packageManager?.name === lock.manager && semver.valid(packageManager.version)
+      ? packageManager.version
+      : manifest.engines?.[lock.manager];
+    if (typeof declared !== 'string' || !semver.validRange(declared) || semver.intersects(declared, required)) return;
+
+    results.failed.push({
+      rule: 'lockfile-format-mismatch',
+      file: lock.file,
+      message: `❌ ${t('lockfile.formatMismatch', {
+        lockfile: lock.file,
+        version: lock.lockfileVersion,
+        required: `${lock.manager} ${required}`,
+        declared: `${lock.manager} ${declared}`,
+        file: manifestFile
+      })}`,
+      suggestion: t('lockfile.formatMismatchSuggestion', { manager: lock.manager })
+    });
+  }
+
+  /**
+   * En un PR, un package.json con cambios de dependencias debe venir con
+   * el lockfile actualizado
+   */
+  checkLockfileUpdated(projects, lockfiles, lockfile, changedFiles, results, t) {
+    const lockfileChanged = changedFiles.some(changed => lockfiles.some(found => found.file === changed.filename));
+    if (lockfileChanged) return;
+
+    projects.forEach(({ dir, manifestFile, member }) => {
+      const changed = changedFiles.find(file => file.filename === manifestFile && file.status !== 'removed');
+      if (!changed || !this.touchesDependencies(changed)) return;
+
+      results.warnings.push({
+        rule: 'lockfile-not-updated',
+        file: manifestFile,
+        ...(member ? { package: dir } : {}),
+        ...DiffPatch.locate(changedFiles, manifestFile),
+        message: `⚠️  ${t('lockfile.notUpdated', { file: manifestFile, lockfile: lockfile.file })}`,
+        suggestion: t('lockfile.notUpdatedSuggestion', { manager: lockfile.manager })
+      });
+    });
+  }
+
+  /**
+   * Indica si el diff de un package.json agrega o quita líneas de
+   * dependencias ("nombre": "rango"); sin patch no se puede descartar
+   */
+  touchesDependencies(changedFile) {
+    if (!changedFile.patch) return true;
+
+    return changedFile.patch.split('\n').some(line => {
+      if (!/^[+-]/.test(line) || /^(\+\+\+|---) /.test(line)) return false;
+
+      return [...line.slice(1).matchAll(/"([^"]+)"\s*:\s*"([^"]*)"/g)]
+        .some(([, key, value]) => !NON_DEPENDENCY_FIELDS.includes(key) && this.isDependencySpec(value));
+    });
+  }
+
+  isDependencySpec(spec) {
+    return Boolean(semver.validRange(spec)) || /^(npm|workspace|file|link|portal|github|git(\+\w+)?|https?):/.test(spec);
+  }
+
+  /**
+   * Cada dependencia declarada debe estar en el lockfile con una versión que
+   * cumpla el rango
+   * @param {Object} project - { dir, manifestFile, manifest, member (miembro del workspace) }
+   * @param {string} lockDir - Carpeta del lockfile
+   */
+  async checkRanges(fileSystem, project, lock, lockDir, results, context, t) {
+    const importer = lockDir ? project.dir.slice(lockDir.length + 1) : project.dir;
+    const manifestText = await fileSystem.readFile(project.manifestFile);
+
+    for (const section of DEPENDENCY_SECTIONS) {
+      for (const [name, range] of Object.entries(project.manifest[section] || {})) {
+        if (typeof range !== 'string') continue;
+
+        const entry = this.lockfileReader.resolve(lock, importer, name, range);
+        if (entry === undefined || (entry === null && section === 'optionalDependencies')) continue;
+
+        const location = {
+          ...this.locateDependency(project.manifestFile, manifestText, name, context.changedFiles),
+          ...(project.member ? { package: project.dir } : {})
+        };
+
+        if (entry === null) {
+          results.failed.push({
+            rule: 'lockfile-missing-dependency',
+            ...location,
+            message: `❌ ${t('lockfile.missingDependency', { name, range, file: project.manifestFile, lockfile: lock.file })}`,
+            suggestion: t('lockfile.outOfSyncSuggestion', { manager: lock.manager })
+          });
+          continue;
+        }
+
+        const declared = this.declaredRange(range);
+        const specifierChanged = entry.specifier !== undefined && entry.specifier !== range &&
+          entry.specifier !== declared;
+        const outOfRange = declared && semver.valid(entry.version) && !semver.satisfies(entry.version, declared);
+
+        if (specifierChanged || outOfRange) {
+          results.failed.push({
+            rule: 'lockfile-out-of-sync',
+            ...location,
+            message: `❌ ${t('lockfile.outOfSync', {
+              name,
+              range,
+              version: entry.version,
+              file: project.manifestFile,
+              lockfile: lock.file
+            })}`,
+            suggestion: t('lockfile.outOfSyncSuggestion', { manager: lock.manager })
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Rango semver de una dependencia (alias "npm:nombre@rango" incluidos);
+   * null para workspaces, rutas, repositorios git o dist-tags
+   */
+  declaredRange(range) {
+    const alias = range.match(/^npm:(?:@?[^@]+)@(.+)$/);
+    const candidate = alias ? alias[1] : range;
+    return semver.validRange(candidate) ? candidate : null;
+  }
+
+  /**
+   * Archivo y línea de una dependencia en package.json
+   */
+  locateDependency(manifestFile, manifestText, name, changedFiles) {
+    const index = manifestText.indexOf(`"${name}"`);
+    if (index === -1) {
+      return { file: manifestFile, ...DiffPatch.locate(changedFiles, manifestFile) };
+    }
+
+    return { file: manifestFile, path: manifestFile, line: manifestText.slice(0, index).split('\n').length };
+  }
+
+  /**
+   * Lockfile de referencia: el del gestor de packageManager o el primero
+   */
+  preferredLockfile(lockfiles, packageManager) {
+    return lockfiles.find(lockfile => lockfile.manager === packageManager?.name) || lockfiles[0];
+  }
+
+  /**
+   * "pnpm@8.15.0+sha256.abc" → { name: 'pnpm', version: '8.15.0' }
+   */
+  parsePackageManager(value) {
+    const match = typeof value === 'string' && value.match(/^(npm|yarn|pnpm|bun)@([^+]+)/);
+    return match ? { name: match[1], version: match[2] } : null;
+  }
+
+  async readManifest(fileSystem, manifestFile, results, t) {
+    try {
+      return JSON.parse(await fileSystem.readFile(manifestFile));
+    } catch (error) {
+      results.failed.push({
+        rule: 'package-json-invalid',
+        file: manifestFile,
+        message: `❌ ${t('lockfile.invalid', { file: manifestFile, error: error.message })}`,
+        suggestion: t('lockfile.manifestInvalidSuggestion')
+      });
+      return null;
+    }
+  }
+
+  join(dir, file) {
+    return dir ? `${dir}/${file}` : file;
+  }
+}
+
+module.exports = LockfileAnalyzer;
@@ -0,0 +1,279 @@
+const semver = require('semver');
+const { minimatch } = require('minimatch');
+const DiffPatch = require('../diff/diff-patch');
+const I18n = require('../i18n/i18n');
+
+// Secciones de dependencias que se comparan entre base y head
+const DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+// Herramientas de desarrollo que no deberían instalarse en producción
+const DEFAULT_BUILD_TOOLS = [
+  '@types/*', 'typescript', 'ts-node', 'eslint', 'eslint-*', '@eslint/*', '@typescript-eslint/*', 'prettier',
+  'jest', 'ts-jest', 'mocha', 'vitest', 'nyc', '@testing-library/*', 'nodemon', 'husky', 'lint-staged',
+  'webpack', 'webpack-*', 'rollup', 'vite', 'esbuild', '@babel/core', '@babel/preset-*', 'babel-loader'
+];
+
+// Scripts que npm ejecuta al instalar el paquete
+const DEFAULT_INSTALL_SCRIPTS = ['preinstall', 'install', 'postinstall', 'prepare'];
+
+class PackageJsonAnalyzer {
+  constructor() {
+    this.name = 'package.json Changes Analyzer';
+    this.validationRule = 'checkPackageChanges';
+  }
+
+  /**
+   * Compara el package.json de base y head en los PRs que lo modifican:
+   * dependencias agregadas, quitadas o actualizadas (tabla del reporte),
+   * especificadores riesgosos, herramientas de build en `dependencies`,
+   * dependencias duplicadas y scripts de instalación nuevos
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Árbol del commit head
+   * @param {Object} rules - Reglas específicas del proyecto (packageChanges)
+   * @param {Object} context - Contexto del PR (changedFiles, baseFileSystem), i18n y packages
+   * @returns {Promise<Object>} Resultado del análisis (con `dependencyChanges`)
+   */
+  async analyze(fileSystem, rules, context = {}) {
+    const results = {
+      analyzer: this.name,
+      passed: [],
+      failed: [],
+      warnings: [],
+      dependencyChanges: []
+    };
+    const { t } = context.i18n || new I18n();
+
+    // Solo hay cambios que comparar en un PR o en un diff local
+    if (!context.changedFiles || !context.baseFileSystem) return results;
+
+    const config = rules.project?.packageChanges || {};
+    const packages = context.packages || [{ path: '' }];
+
+    for (const pkg of packages) {
+      const manifestFile = pkg.path ? `${pkg.path}/package.json` : 'package.json';
+      const changed = context.changedFiles.find(file => file.filename === manifestFile && file.status !== 'removed');
+      if (!changed) continue;
+
+      const scope = packages.length > 1 ? { package: pkg.path } : {};
+      await this.checkManifest(fileSystem, context.baseFileSystem, changed, config, results, scope, t);
+    }
+
+    return results;
+  }
+
+  /**
+   * Revisa un package.json modificado
+   * @param {Object} changed - Entrada de changedFiles del manifiesto
+   * @param {Object} scope - { package } para agrupar los hallazgos en monorepos
+   */
+  async checkManifest(fileSystem, baseFileSystem, changed, config, results, scope, t) {
+    const file = changed.filename;
+    const headText = await fileSystem.readFile(file);
+    const head = this.parseManifest(headText);
+    const base = this.parseManifest(await this.readBase(baseFileSystem, changed.previous_filename || file));
+
+    if (!head) return; // LockfileAnalyzer ya reporta el JSON inválido
+
+    const changes = this.diffDependencies(base || {}, head);
+    results.dependencyChanges.push(...changes.map(change => ({ file, ...change })));
+
+    const locate = (section, name) => ({ file, path: file, line: this.lineOf(headText, section, name), ...scope });
+
+    // Especificadores riesgosos en las dependencias agregadas o modificadas
+    changes.filter(change => change.to !== null).forEach(change => {
+      const risk = this.specifierRisk(change.to);
+      if (!risk) return;
+
+      results.warnings.push({
+        rule: 'dependency-risky-specifier',
+        ...locate(change.section, change.name),
+        message: `⚠️  ${t('packageChanges.riskySpecifier', {
+          name: change.name,
+          spec: change.to,
+          reason: t(`packageChanges.risk.${risk}`)
+        })}`,
+        suggestion: t('packageChanges.riskySpecifierSuggestion', { name: change.name })
+      });
+    });
+
+    // Herramientas de build que pasan a `dependencies`
+    const buildTools = config.buildTools || DEFAULT_BUILD_TOOLS;
+    Object.keys(head.dependencies || {})
+      .filter(name => !(base?.dependencies && name in base.dependencies))
+      .filter(name => buildTools.some(pattern => minimatch(name, pattern)))
+      .forEach(name => {
+        results.warnings.push({
+          rule: 'dependency-build-tool-in-dependencies',
+          ...locate('dependencies', name),
+          message: `⚠️  ${t('packageChanges.buildTool', { name, file })}`,
+          suggestion: t('packageChanges.buildToolSuggestion', { name })
+        });
+      });
+
+    // La misma dependencia en dependencies y devDependencies, solo si el PR
+    // agrega alguna de las dos líneas (los duplicados previos ya se reportaron)
+    const addedLines = new Set(new DiffPatch(changed.patch).addedLines().map(({ line }) => line));
+    Object.keys(head.dependencies || {})
+      .filter(name => head.devDependencies && name in head.devDependencies)
+      .forEach(name => {
+        const line = ['devDependencies', 'dependencies']
+          .map(section => this.lineOf(headText, section, name))
+          .find(candidate => !changed.patch || addedLines.has(candidate));
+        if (line === undefined) return;
+
+        results.warnings.push({
+          rule: 'dependency-duplicate',
+          file,
+          path: file,
+          line,
+          ...scope,
+          message: `⚠️  ${t('packageChanges.duplicate', { name, file })}`,
+          suggestion: t('packageChanges.duplicateSuggestion', { name })
+        });
+      });
+
+    // Scripts de instalación nuevos o modificados
+    const installScripts = config.installScripts || DEFAULT_INSTALL_SCRIPTS;
+    installScripts
+      .filter(script => typeof head.scripts?.[script] === 'string' && head.scripts[script] !== base?.scripts?.[script])
+      .forEach(script => {
+        results.warnings.push({
+          rule: 'install-script-added',
+          ...locate('scripts', script),
+          message: `⚠️  ${t('packageChanges.installScript', { script, command: head.scripts[script], file })}`,
+          suggestion: t('packageChanges.installScriptSuggestion')
+        });
+      });
+
+    const count = type => changes.filter(change => type.includes(change.change)).length;
+    results.passed.push({
+      rule: 'dependency-changes-reviewed',
+      ...scope,
+      message: `✅ ${t('packageChanges.reviewed', {
+        file,
+        added: count(['added']),
+        removed: count(['removed']),
+        updated: count(['upgraded', 'downgraded', 'changed', 'moved'])
+      })}`
+    });
+  }
+
+  /**
+   * Dependencias agregadas, quitadas, actualizadas o movidas de sección
+   * @returns {Object[]} { name, change: 'added'|'removed'|'upgraded'|'downgraded'
+   *   |'changed'|'moved', section (de head, o de base si se quitó),
+   *   fromSection, from, to }
+   */
+  diffDependencies(base, head) {
+    const entries = manifest => DEPENDENCY_SECTIONS.flatMap(section =>
+      Object.entries(manifest[section] || {}).map(([name, spec]) => ({ section, name, spec: String(spec) })));
+    const key = entry => `${entry.section}\0${entry.name}`;
+
+    const baseEntries = entries(base);
+    const headEntries = entries(head);
+    const baseByKey = new Map(baseEntries.map(entry => [key(entry), entry]));
+    const headByKey = new Map(headEntries.map(entry => [key(entry), entry]));
+
+    const added = headEntries.filter(entry => !baseByKey.has(key(entry)));
+    const removed = baseEntries.filter(entry => !headByKey.has(key(entry)));
+    const changes = [];
+
+    headEntries.forEach(entry => {
+      const previous = baseByKey.get(key(entry));
+      if (previous && previous.spec !== entry.spec) {
+        changes.push({
+          name: entry.name,
+          change: this.compareSpecs(previous.spec, entry.spec),
+          section: entry.section,
+          fromSection: entry.section,
+          from: previous.spec,
+          to: entry.spec
+        });
+      }
+    });
+
+    added.forEach(entry => {
+      // Quitada de una sección y agregada en otra: se movió
+      const index = removed.findIndex(previous => previous.name === entry.name);
+      const previous = index === -1 ? null : removed.splice(index, 1)[0];
+
+      changes.push({
+        name: entry.name,
+        change: previous ? 'moved' : 'added',
+        section: entry.section,
+        fromSection: previous ? previous.section : null,
+        from: previous ? previous.spec : null,
+        to: entry.spec
+      });
+    });
+
+    removed.forEach(entry => {
+      changes.push({
+        name: entry.name,
+        change: 'removed',
+        section: entry.section,
+        fromSection: entry.section,
+        from: entry.spec,
+        to: null
+      });
+    });
+
+    return changes.sort((a, b) => a.name.localeCompare(b.name) || a.section.localeCompare(b.section));
+  }
+
+  /**
+   * Compara dos rangos por su versión mínima
+   */
+  compareSpecs(from, to) {
+    const min = spec => (semver.validRange(spec) ? semver.minVersion(spec) : null);
+    const [before, after] = [min(from), min(to)];
+
+    if (!before || !after || semver.eq(before, after)) return 'changed';
+    return semver.gt(after, before) ? 'upgraded' : 'downgraded';
+  }
+
+  /**
+   * Motivo por el que un especificador es riesgoso (null si no lo es):
+   * cualquier versión, dist-tag, repositorio git, URL o ruta local
+   */
+  specifierRisk(spec) {
+    const alias = spec.match(/^npm:(?:@?[^@]+)@(.+)$/);
+    if (alias) return this.specifierRisk(alias[1]);
+
+    const value = spec.trim();
+    if (value === '' || value === '*' || /^[xX]$/.test(value)) return 'wildcard';
+    if (/^workspace:/.test(value)) return null;
+    if (/^(file|link|portal):|^(\.{1,2}|~)?\//.test(value)) return 'local';
+    if (/^(git(\+\w+)?|github|gitlab|bitbucket|gist):|\.git(#.*)?$/.test(value) || /^[\w.-]+\/[\w.-]+(#.*)?$/.test(value)) return 'git';
+    if (/^https?:/.test(value)) return 'url';
+    if (!semver.validRange(value)) return 'tag';
+    return null;
+  }
+
+  /**
+   * Línea de una clave dentro de una sección de package.json (la primera
+   * aparición si no se encuentra la sección)
+   */
+  lineOf(text, section, name) {
+    const sectionIndex = text.indexOf(`"${section}"`);
+    let index = text.indexOf(`"${name}"`, sectionIndex === -1 ? 0 : sectionIndex);
+    if (index === -1) index = text.indexOf(`"${name}"`);
+    return index === -1 ? undefined : text.slice(0, index).split('\n').length;
+  }
+
+  async readBase(baseFileSystem, file) {
+    return (await baseFileSystem.exists(file)) ? baseFileSystem.readFile(file) : null;
+  }
+
+  parseManifest(text) {
+    if (text === null) return null;
+
+    try {
+      const manifest = JSON.parse(text);
+      return manifest && typeof manifest === 'object' ? manifest : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = PackageJsonAnalyzer;
@@ -0,0 +1,267 @@
+const { minimatch } = require('minimatch');
+const DiffPatch = require('../diff/diff-patch');
+const I18n = require('../i18n/i18n');
+const LicenseDetector = require('../licenses/license-detector');
+
+// Archivos requeridos que ya verifica otro analizador
+const CHECKED_ELSEWHERE = ['.gitignore']; // GitignoreAnalyzer
+
+// Valor de `scripts.test` que genera `npm init`: no cuenta como script de tests
+const NPM_INIT_TEST_SCRIPT = /no test specified/;
+
+class RequiredFilesAnalyzer {
+  constructor() {
+    this.name = 'Required Files Analyzer';
+    this.validationRule = 'checkRequiredFiles';
+    this.scope = 'package'; // Cada paquete exige los archivos de su tipo
+    this.licenseDetector = new LicenseDetector();
+  }
+
+  /**
+   * Verifica que existan los archivos de `requiredFiles` y, con las reglas de
+   * `requiredContent`, su contenido: secciones de un README, una licencia
+   * SPDX reconocible y campos de archivos JSON como package.json
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del proyecto a analizar
+   * @param {Object} rules - Reglas específicas del proyecto (requiredFiles, requiredContent)
+   * @param {Object} context - Contexto del PR (changedFiles con su patch) e i18n, opcional
+   * @returns {Promise<Object>} Resultado del análisis
+   */
+  async analyze(fileSystem, rules, context = {}) {
+    const results = {
+      analyzer: this.name,
+      passed: [],
+      failed: [],
+      warnings: []
+    };
+    const { t } = context.i18n || new I18n();
+
+    const requiredFiles = (rules.project?.requiredFiles || []).filter(file => !CHECKED_ELSEWHERE.includes(file));
+    const files = ((await fileSystem.listTrackedFiles?.()) || await fileSystem.listFiles());
+    const missing = [];
+
+    for (const file of requiredFiles) {
+      if (!(await this.findFile(fileSystem, files, file))) {
+        missing.push(file);
+        results.failed.push({
+          rule: 'required-file-missing',
+          file,
+          message: `❌ ${t('requiredFiles.missing', { file })}`,
+          suggestion: t('requiredFiles.missingSuggestion', { file })
+        });
+      }
+    }
+
+    if (requiredFiles.length > 0 && missing.length === 0) {
+      results.passed.push({
+        rule: 'required-files-present',
+        message: `✅ ${t('requiredFiles.present', { files: requiredFiles.join(', ') })}`
+      });
+    }
+
+    for (const contentRule of rules.project?.requiredContent || []) {
+      await this.checkContent(fileSystem, files, contentRule, missing, results, context.changedFiles, t);
+    }
+
+    return results;
+  }
+
+  /**
+   * Aplica una regla de contenido: { file (ruta o glob), headings, license,
+   * allowedLicenses, fields, severity }
+   * @param {string[]} missing - Archivos requeridos que faltan (ya reportados)
+   */
+  async checkContent(fileSystem, files, contentRule, missing, results, changedFiles, t) {
+    const checks = ['headings', 'license', 'fields'].filter(key => contentRule?.[key]);
+    const valid = typeof contentRule?.file === 'string' && checks.length > 0 &&
+      (!contentRule.headings || Array.isArray(contentRule.headings)) &&
+      (!contentRule.fields || Array.isArray(contentRule.fields));
+    if (!valid) {
+      results.warnings.push({
+        rule: 'required-content-rule-invalid',
+        message: `⚠️  ${t('requiredFiles.ruleInvalid', { rule: JSON.stringify(contentRule) })}`,
+        suggestion: t('requiredFiles.ruleInvalidSuggestion')
+      });
+      return;
+    }
+
+    const file = await this.findFile(fileSystem, files, contentRule.file);
+    if (!file) {
+      if (!missing.includes(contentRule.file)) {
+        const key = contentRule.license ? 'licenseMissing' : 'contentFileMissing';
+        this.push(results, contentRule.severity, {
+          rule: 'required-content-file-missing',
+          file: contentRule.file,
+          message: t(`requiredFiles.${key}`, { file: contentRule.file }),
+          suggestion: t(`requiredFiles.${key}Suggestion`, { file: contentRule.file })
+        });
+      }
+      return;
+    }
+
+    const content = await fileSystem.readFile(file);
+    const location = { file, ...DiffPatch.locate(changedFiles, file) };
+    const count = results.failed.length + results.warnings.length;
+
+    if (contentRule.headings) {
+      this.checkHeadings(content, contentRule, location, results, t);
+    }
+    if (contentRule.license) {
+      await this.checkLicense(fileSystem, content, contentRule, location, results, t);
+    }
+    if (contentRule.fields) {
+      this.checkFields(content, contentRule, location, results, t);
+    }
+
+    if (results.failed.length + results.warnings.length === count) {
+      results.passed.push({
+        rule: 'required-content-present',
+        message: `✅ ${t('requiredFiles.contentOk', { file })}`
+      });
+    }
+  }
+
+  /**
+   * Secciones de un documento Markdown. Cada entrada de `headings` es un
+   * texto o una lista de alternativas ("Installation" o ["Installation", "Setup"])
+   * que debe aparecer en algún título, sin distinguir mayúsculas
+   */
+  checkHeadings(content, contentRule, location, results, t) {
+    const headings = this.listHeadings(content).map(heading => heading.toLowerCase());
+    const missing = contentRule.headings
+      .map(entry => (Array.isArray(entry) ? entry : [entry]))
+      .filter(alternatives => !alternatives.some(text => headings.some(heading => heading.includes(String(text).toLowerCase()))))
+      .map(alternatives => alternatives[0]);
+    if (missing.length === 0) return;
+
+    this.push(results, contentRule.severity, {
+      rule: 'required-headings-missing',
+      ...location,
+      message: t('requiredFiles.headingsMissing', { file: location.file, headings: missing.join(', ') }),
+      suggestion: t('requiredFiles.headingsMissingSuggestion', { headings: missing.join(', ') })
+    });
+  }
+
+  /**
+   * Licencia reconocible como SPDX, coherente con el campo `license` del
+   * package.json de la misma carpeta y dentro de `allowedLicenses` si se indica
+   */
+  async checkLicense(fileSystem, content, contentRule, location, results, t) {
+    const license = this.licenseDetector.detect(content);
+    if (!license) {
+      this.push(results, contentRule.severity, {
+        rule: 'license-file-unrecognized',
+        ...location,
+        message: t('requiredFiles.licenseUnrecognized', { file: location.file }),
+        suggestion: t('requiredFiles.licenseUnrecognizedSuggestion', { file: location.file })
+      });
+      return;
+    }
+
+    const allowed = contentRule.allowedLicenses;
+    if (Array.isArray(allowed) && !allowed.some(candidate => this.licenseDetector.same(candidate, license))) {
+      this.push(results, contentRule.severity, {
+        rule: 'license-file-not-allowed',
+        ...location,
+        message: t('requiredFiles.licenseNotAllowed', { file: location.file, license }),
+        suggestion: t('requiredFiles.licenseNotAllowedSuggestion', { licenses: allowed.join(', ') })
+      });
+    }
+
+    const manifest = await this.readManifest(fileSystem);
+    const declared = typeof manifest?.license === 'string' ? manifest.license : null;
+    if (declared && !this.licenseDetector.same(declared, license)) {
+      this.push(results, contentRule.severity, {
+        rule: 'license-file-mismatch',
+        ...location,
+        message: t('requiredFiles.licenseMismatch', { file: location.file, license, declared }),
+        suggestion: t('requiredFiles.licenseMismatchSuggestion')
+      });
+    }
+  }
+
+  /**
+   * Campos de un archivo JSON, con rutas separadas por puntos (`scripts.test`);
+   * los valores vacíos cuentan como faltantes
+   */
+  checkFields(content, contentRule, location, results, t) {
+    let json;
+    try {
+      json = JSON.parse(content);
+    } catch (error) {
+      return; // LockfileAnalyzer reporta el package.json inválido
+    }
+
+    const missing = contentRule.fields.filter(field => {
+      const value = String(field).split('.').reduce((object, key) => (object && typeof object === 'object' ? object[key] : undefined), json);
+      if (field === 'scripts.test' && NPM_INIT_TEST_SCRIPT.test(value)) return true;
+      return value === undefined || value === null || value === '' ||
+        (typeof value === 'object' && Object.keys(value).length === 0);
+    });
+    if (missing.length === 0) return;
+
+    this.push(results, contentRule.severity, {
+      rule: 'required-fields-missing',
+      ...location,
+      message: t('requiredFiles.fieldsMissing', { file: location.file, fields: missing.join(', ') }),
+      suggestion: t('requiredFiles.fieldsMissingSuggestion', { fields: missing.join(', ') })
+    });
+  }
+
+  /**
+   * Títulos de un documento Markdown (ATX "## Título" y setext), sin emojis
+   * ni numeración
+   */
+  listHeadings(content) {
+    const lines = content.split(/\r?\n/);
+    const headings = [];
+    let fence = false;
+
+    lines.forEach((line, index) => {
+      if (/^\s*(```|~~~)/.test(line)) fence = !fence;
+      if (fence) return;
+
+      const atx = line.match(/^ {0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+      if (atx) {
+        headings.push(atx[1]);
+      } else if (index > 0 && /^ {0,3}(=+|-+)\s*$/.test(line) && lines[index - 1].trim() !== '') {
+        headings.push(lines[index - 1].trim());
+      }
+    });
+
+    return headings.map(heading => heading.replace(/[^\p{L}\p{N}\s/&+-]/gu, '').replace(/^\s*\d+[.)]?\s*/, '').trim());
+  }
+
+  /**
+   * Primer archivo que corresponde a una ruta o a un glob (sin distinguir
+   * mayúsculas: README.md, readme.md)
+   * @returns {Promise<string|null>}
+   */
+  async findFile(fileSystem, files, pattern) {
+    // Una ruta literal también puede ser una carpeta, que no está en `files`
+    if (!/[*?[{]/.test(pattern) && await fileSystem.exists(pattern)) {
+      return pattern;
+    }
+    return files.find(file => minimatch(file, pattern, { dot: true, nocase: true })) || null;
+  }
+
+  async readManifest(fileSystem) {
+    try {
+      return (await fileSystem.exists('package.json')) ? JSON.parse(await fileSystem.readFile('package.json')) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Las reglas de contenido son advertencias salvo `severity: "error"`
+   */
+  push(results, severity, finding) {
+    if (severity === 'error') {
+      results.failed.push({ ...finding, message: `❌ ${finding.message}` });
+    } else {
+      results.warnings.push({ ...finding, message: `⚠️  ${finding.message}` });
+    }
+  }
+}
+
+module.exports = RequiredFilesAnalyzer;
@@ -0,0 +1,256 @@
+const { minimatch } = require('minimatch');
+const DiffPatch = require('../diff/diff-patch');
+const I18n = require('../i18n/i18n');
+
+// Comentario para ignorar una línea concreta
+const INLINE_ALLOW_MARKER = 'pr-reviewer:allow-secret';
+
+class SecretAnalyzer {
+  constructor() {
+    this.name = 'Secret Scanning Analyzer';
+    this.validationRule = 'checkSecrets';
+  }
+
+  /**
+   * Busca credenciales en el código: en un PR revisa solo las líneas
+   * agregadas del diff, en modo local revisa el contenido de los archivos
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del proyecto a analizar
+   * @param {Object} rules - Reglas específicas del proyecto (secretScanning)
+   * @param {Object} context - Contexto del PR (changedFiles con su patch) e i18n, opcional
+   * @returns {Promise<Object>} Resultado del análisis
+   */
+  async analyze(fileSystem, rules, context = {}) {
+    const results = {
+      analyzer: this.name,
+      passed: [],
+      failed: [],
+      warnings: []
+    };
+    const { t } = context.i18n || new I18n();
+
+    const config = rules.project?.secretScanning || {};
+    const patterns = this.compilePatterns(config.patterns || [], results, t);
+
+    if (patterns.length === 0) {
+      results.warnings.push({
+        rule: 'secret-patterns-missing',
+        message: `⚠️  ${t('secret.patternsMissing')}`,
+        suggestion: t('secret.patternsMissingSuggestion')
+      });
+      return results;
+    }
+
+    const findings = context.changedFiles
+      ? this.scanChangedFiles(context.changedFiles, patterns, config)
+      : await this.scanFileSystem(fileSystem, patterns, config);
+
+    if (findings.length === 0) {
+      results.passed.push({
+        rule: 'no-secrets-committed',
+        message: `✅ ${t(context.changedFiles ? 'secret.noneInDiff' : 'secret.noneInFiles')}`
+      });
+    }
+
+    findings.forEach(finding => {
+      results.failed.push({
+        rule: `secret-${finding.pattern.id}`,
+        file: finding.file,
+        path: finding.file,
+        line: finding.line,
+        message: `❌ ${t('secret.found', {
+          name: finding.pattern.name,
+          file: finding.file,
+          line: finding.line,
+          value: this.mask(finding.value)
+        })}`,
+        suggestion: t('secret.foundSuggestion')
+      });
+    });
+
+    return results;
+  }
+
+  /**
+   * Compila los patrones de las reglas; los inválidos se reportan como advertencia
+   */
+  compilePatterns(patternRules, results, t = new I18n().t) {
+    const patterns = [];
+
+    patternRules.forEach(pattern => {
+      try {
+        patterns.push({
+          ...pattern,
+          name: pattern.name || pattern.id,
+          expression: new RegExp(pattern.regex, (pattern.flags || '').replace('g', '') + 'g')
+        });
+      } catch (error) {
+        results.warnings.push({
+          rule: 'secret-pattern-invalid',
+          message: `⚠️  ${t('secret.patternInvalid', { id: pattern.id, error: error.message })}`,
+          suggestion: t('secret.patternInvalidSuggestion')
+        });
+      }
+    });
+
+    return patterns;
+  }
+
+  /**
+   * Modo PR: líneas agregadas en el patch de cada archivo modificado
+   */
+  scanChangedFiles(changedFiles, patterns, config) {
+    const findings = [];
+
+    changedFiles
+      .filter(file => file.status !== 'removed' && file.patch && this.isScannable(file.filename, config))
+      .forEach(file => {
+        new DiffPatch(file.patch).addedLines().forEach(({ line, content }) => {
+          findings.push(...this.scanLine(file.filename, line, content, patterns, config));
+        });
+      });
+
+    return findings;
+  }
+
+  /**
+   * Modo local: contenido completo de cada archivo versionado (los archivos
+   * ignorados, como un .env local, no se suben al repositorio)
+   */
+  async scanFileSystem(fileSystem, patterns, config) {
+    const findings = [];
+    const maxFileSize = config.maxFileSize || 1024 * 1024;
+    const files = ((await fileSystem.listTrackedFiles?.()) || await fileSystem.listFiles())
+      .filter(file => this.isScannable(file, config));
+
+    for (const file of files) {
+      // Los archivos grandes no se descargan
+      if (await fileSystem.getSize?.(file) > maxFileSize) {
+        continue;
+      }
+
+      let content;
+      try {
+        content = await fileSystem.readFile(file);
+      } catch (error) {
+        continue;
+      }
+
+      // Omitir archivos grandes o binarios
+      if (content.length > maxFileSize || content.slice(0, 8000).includes('\0')) {
+        continue;
+      }
+
+      content.split('\n').forEach((text, index) => {
+        findings.push(...this.scanLine(file, index + 1, text, patterns, config));
+      });
+    }
+
+    return findings;
+  }
+
+  /**
+   * Aplica todos los patrones a una línea. Si varios patrones encuentran el
+   * mismo valor (un token de GitHub también es un "Hard-coded secret") queda
+   * un solo hallazgo, el del patrón más específico
+   */
+  scanLine(file, line, text, patterns, config) {
+    if (text.includes(INLINE_ALLOW_MARKER)) {
+      return [];
+    }
+
+    const findings = [];
+
+    patterns.forEach(pattern => {
+      pattern.expression.lastIndex = 0;
+      let match;
+
+      while ((match = pattern.expression.exec(text)) !== null) {
+        const value = match[pattern.group || 0] || match[0];
+
+        if (!(pattern.minEntropy && this.entropy(value) < pattern.minEntropy) && !this.isAllowed(value, config)) {
+          const start = match.index + Math.max(match[0].indexOf(value), 0);
+          findings.push({ file, line, value, pattern, start, end: start + value.length });
+        }
+
+        if (match[0].length === 0) {
+          pattern.expression.lastIndex++;
+        }
+      }
+    });
+
+    return this.removeOverlaps(findings, patterns);
+  }
+
+  /**
+   * Deja un hallazgo por valor: entre los que se superponen en la línea gana
+   * el patrón que no es `generic` y, a igual especificidad, el primero de la lista
+   */
+  removeOverlaps(findings, patterns) {
+    const priority = finding => (finding.pattern.generic ? patterns.length : 0) + patterns.indexOf(finding.pattern);
+    const kept = [];
+
+    [...findings].sort((a, b) => priority(a) - priority(b)).forEach(finding => {
+      if (!kept.some(other => finding.start < other.end && other.start < finding.end)) {
+        kept.push(finding);
+      }
+    });
+
+    return kept.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Indica si un archivo debe revisarse (excludePaths y allowlist.paths)
+   */
+  isScannable(file, config) {
+    const ignoredPaths = [...(config.excludePaths || []), ...(config.allowlist?.paths || [])];
+    return !ignoredPaths.some(glob => minimatch(file, glob, { dot: true }));
+  }
+
+  /**
+   * Valores permitidos (allowlist.values) o que parecen placeholders (allowlist.patterns)
+   */
+  isAllowed(value, config) {
+    const allowlist = config.allowlist || {};
+
+    if ((allowlist.values || []).includes(value)) {
+      return true;
+    }
+
+    return (allowlist.patterns || []).some(pattern => {
+      try {
+        return new RegExp(pattern).test(value);
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Entropía de Shannon (bits por carácter) para descartar valores poco aleatorios
+   */
+  entropy(value) {
+    const counts = {};
+    for (const char of value) {
+      counts[char] = (counts[char] || 0) + 1;
+    }
+
+    return Object.values(counts).reduce((total, count) => {
+      const probability = count / value.length;
+      return total - probability * Math.log2(probability);
+    }, 0);
+  }
+
+  /**
+   * Enmascara un secreto para poder mostrarlo en el reporte
+   */
+  mask(value) {
+    if (value.length <= 8) {
+      return `${value.slice(0, 2)}${'*'.repeat(6)}`;
+    }
+
+    const visible = Math.min(4, Math.floor(value.length / 6));
+    return `${value.slice(0, visible)}${'*'.repeat(Math.min(value.length - visible * 2, 20))}${value.slice(-visible)}`;
+  }
+}
+
+module.exports = SecretAnalyzer;
@@ -0,0 +1,246 @@
+const path = require('path');
+const { minimatch } = require('minimatch');
+const DiffPatch = require('../diff/diff-patch');
+const I18n = require('../i18n/i18n');
+
+const DEFAULT_EXCLUDE = ['**/node_modules/**', '**/.venv/**', '**/venv/**', '**/dist/**', '**/build/**', '**/coverage/**'];
+
+// Convenciones de nombres predefinidas (se aplican al nombre sin extensiones)
+const NAMING_CONVENTIONS = {
+  'kebab-case': /^[a-z0-9]+(-[a-z0-9]+)*$/,
+  'snake_case': /^[a-z0-9]+(_[a-z0-9]+)*$/,
+  camelCase: /^[a-z][a-zA-Z0-9]*$/,
+  PascalCase: /^[A-Z][a-zA-Z0-9]*$/
+};
+
+class StructureAnalyzer {
+  constructor() {
+    this.name = 'Project Structure Analyzer';
+    this.validationRule = 'checkStructure';
+    this.scope = 'package'; // Cada paquete usa la estructura de su tipo
+  }
+
+  /**
+   * Evalúa la organización del proyecto completo según las reglas
+   * `structure` (y `recommendedStructure`): carpetas requeridas, recomendadas
+   * y prohibidas, ubicación de archivos por glob y convenciones de nombres
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del proyecto a analizar
+   * @param {Object} rules - Reglas específicas del proyecto (structure, recommendedStructure)
+   * @param {Object} context - Contexto del PR (changedFiles con su patch) e i18n, opcional
+   * @returns {Promise<Object>} Resultado del análisis
+   */
+  async analyze(fileSystem, rules, context = {}) {
+    const results = {
+      analyzer: this.name,
+      passed: [],
+      failed: [],
+      warnings: []
+    };
+    const { t } = context.i18n || new I18n();
+
+    const config = rules.project?.structure || {};
+    const exclude = config.exclude || DEFAULT_EXCLUDE;
+    const files = ((await fileSystem.listTrackedFiles?.()) || await fileSystem.listFiles())
+      .filter(file => !exclude.some(pattern => minimatch(file, pattern, { dot: true })));
+    const directories = this.listDirectories(files);
+    const changedFiles = context.changedFiles;
+
+    // Carpetas requeridas
+    (config.requiredDirectories || []).forEach(directory => {
+      if (!directories.has(this.trimSlashes(directory))) {
+        results.failed.push({
+          rule: 'structure-required-directory',
+          file: `${this.trimSlashes(directory)}/`,
+          message: `❌ ${t('structure.requiredMissing', { directory: this.trimSlashes(directory) })}`,
+          suggestion: t('structure.requiredMissingSuggestion', { directory: this.trimSlashes(directory) })
+        });
+      }
+    });
+
+    // Carpetas recomendadas: una subcarpeta solo se sugiere si su carpeta padre existe
+    const recommended = [
+      ...this.expandRecommendedStructure(rules.project?.recommendedStructure),
+      ...(config.recommendedDirectories || []).map(directory => this.trimSlashes(directory))
+    ];
+    const missing = [...new Set(recommended)].filter(directory => {
+      const parent = path.posix.dirname(directory);
+      return !directories.has(directory) && (parent === '.' || directories.has(parent));
+    });
+    if (missing.length > 0) {
+      results.warnings.push({
+        rule: 'structure-recommended-directories',
+        message: `⚠️  ${t('structure.missingFolders', { folders: missing.map(directory => `${directory}/`).join(', ') })}`,
+        suggestion: t('structure.missingFoldersSuggestion')
+      });
+    }
+
+    // Carpetas prohibidas (globs)
+    (config.forbiddenDirectories || []).forEach(pattern => {
+      [...directories]
+        .filter(directory => minimatch(directory, this.trimSlashes(pattern), { dot: true }))
+        .filter(directory => !minimatch(path.posix.dirname(directory), this.trimSlashes(pattern), { dot: true }))
+        .forEach(directory => {
+          results.failed.push({
+            rule: 'structure-forbidden-directory',
+            file: `${directory}/`,
+            ...DiffPatch.locate(changedFiles, `${directory}/`),
+            message: `❌ ${t('structure.forbiddenFound', { directory })}`,
+            suggestion: t('structure.forbiddenFoundSuggestion', { directory })
+          });
+        });
+    });
+
+    (config.placement || []).forEach(placement => this.checkPlacement(placement, files, results, changedFiles, t));
+    (config.naming || []).forEach(naming => this.checkNaming(naming, files, directories, results, changedFiles, t));
+
+    if (results.failed.length === 0 && results.warnings.length === 0) {
+      results.passed.push({
+        rule: 'structure-follows-rules',
+        message: `✅ ${t('structure.ok')}`
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Regla de ubicación: los archivos que coinciden con `files` deben estar
+   * dentro de `directory`
+   * @param {Object} placement - { files, directory, exclude, severity }
+   */
+  checkPlacement(placement, files, results, changedFiles, t) {
+    if (!this.isValidRule(placement, ['files', 'directory'], results, t)) return;
+
+    const directory = this.trimSlashes(placement.directory);
+    const misplaced = this.matchFiles(files, placement.files, placement.exclude)
+      .filter(file => !file.startsWith(`${directory}/`));
+    if (misplaced.length === 0) return;
+
+    this.pushGrouped(results, placement.severity, {
+      rule: 'structure-misplaced-files',
+      files: misplaced,
+      changedFiles,
+      message: t('structure.misplaced', {
+        count: misplaced.length,
+        pattern: placement.files,
+        directory,
+        files: I18n.listFiles(misplaced)
+      }),
+      suggestion: t('structure.misplacedSuggestion', { directory })
+    });
+  }
+
+  /**
+   * Convención de nombres para archivos (`files`) o carpetas (`directories`)
+   * @param {Object} naming - { files|directories, pattern (convención o regex), exclude, severity }
+   */
+  checkNaming(naming, files, directories, results, changedFiles, t) {
+    const target = naming.directories ? 'directories' : 'files';
+    if (!this.isValidRule(naming, [target, 'pattern'], results, t)) return;
+
+    let regex = NAMING_CONVENTIONS[naming.pattern];
+    if (!regex) {
+      try {
+        regex = new RegExp(naming.pattern);
+      } catch (error) {
+        this.isValidRule({}, ['pattern'], results, t, naming);
+        return;
+      }
+    }
+
+    // El nombre se evalúa sin extensiones (user.controller.js → user)
+    const candidates = target === 'files' ? files : [...directories];
+    const invalid = this.matchFiles(candidates, naming[target], naming.exclude)
+      .filter(entry => !regex.test(path.posix.basename(entry).replace(/^(\.?[^.]+).*$/, '$1')));
+    if (invalid.length === 0) return;
+
+    this.pushGrouped(results, naming.severity, {
+      rule: 'structure-naming',
+      files: invalid,
+      changedFiles,
+      message: t('structure.naming', {
+        count: invalid.length,
+        pattern: naming[target],
+        convention: naming.pattern,
+        files: I18n.listFiles(invalid)
+      }),
+      suggestion: t('structure.namingSuggestion', { convention: naming.pattern })
+    });
+  }
+
+  /**
+   * Agrega un hallazgo que agrupa varios archivos (advertencia salvo
+   * `severity: "error"`), ubicado en el primero que aparezca en el diff
+   */
+  pushGrouped(results, severity, { rule, files, changedFiles, message, suggestion }) {
+    const inDiff = changedFiles ? files.find(file => changedFiles.some(changed => changed.filename === file)) : null;
+    const finding = {
+      rule,
+      file: inDiff || files[0],
+      files,
+      ...(inDiff ? DiffPatch.locate(changedFiles, inDiff) : {}),
+      suggestion
+    };
+
+    if (severity === 'error') {
+      results.failed.push({ ...finding, message: `❌ ${message}` });
+    } else {
+      results.warnings.push({ ...finding, message: `⚠️  ${message}` });
+    }
+  }
+
+  /**
+   * Verifica que una regla tenga los campos indicados; si no, lo reporta
+   */
+  isValidRule(rule, fields, results, t, original = rule) {
+    if (rule && fields.every(field => typeof rule[field] === 'string' && rule[field] !== '')) {
+      return true;
+    }
+
+    results.warnings.push({
+      rule: 'structure-rule-invalid',
+      message: `⚠️  ${t('structure.ruleInvalid', { rule: JSON.stringify(original) })}`,
+      suggestion: t('structure.ruleInvalidSuggestion')
+    });
+    return false;
+  }
+
+  matchFiles(files, pattern, exclude = []) {
+    return files.filter(file =>
+      minimatch(file, pattern, { dot: true }) && !exclude.some(excluded => minimatch(file, excluded, { dot: true })));
+  }
+
+  /**
+   * Carpetas del proyecto a partir de las rutas de sus archivos
+   */
+  listDirectories(files) {
+    const directories = new Set();
+
+    files.forEach(file => {
+      let dir = path.posix.dirname(file);
+      while (dir !== '.' && !directories.has(dir)) {
+        directories.add(dir);
+        dir = path.posix.dirname(dir);
+      }
+    });
+
+    return directories;
+  }
+
+  /**
+   * recommendedStructure ({ src: ['controllers'], config: [] }) como rutas:
+   * src/controllers y config
+   */
+  expandRecommendedStructure(structure) {
+    if (!structure || typeof structure !== 'object') return [];
+
+    return Object.entries(structure).flatMap(([folder, children]) =>
+      (Array.isArray(children) && children.length > 0 ? children.map(child => `${folder}/${child}`) : [folder]));
+  }
+
+  trimSlashes(value) {
+    return String(value).replace(/^\.?\/+|\/+$/g, '');
+  }
+}
+
+module.exports = StructureAnalyzer;
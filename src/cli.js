@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const CodeReviewer = require('./code-reviewer');
+const ConfigError = require('./errors/config-error');
+const RendererRegistry = require('./reports/renderer-registry');
+const I18n = require('./i18n/i18n');
+const { version } = require('../package.json');
+
+// Códigos de salida
+const EXIT_OK = 0;
+const EXIT_FINDINGS = 1;
+const EXIT_USAGE = 2;
+
+const FORMATS = RendererRegistry.createDefault().names();
+const FAIL_ON = ['error', 'warning'];
+
+const HELP = `Usage: pr-code-reviewer <command> [options]
+
+Commands:
+  analyze [path]          Analyze a project directory (default: current directory)
+  analyze [path] --base <ref> [--head <ref>]
+                          Review the changes of a local git branch against a base ref,
+                          like a pull request (no GitHub access needed)
+
+Options:
+  --type <type>           Project type (nodejs, python, general); detected when omitted
+  --base <ref>            Base ref of the diff (branch, tag or commit)
+  --head <ref>            Head ref of the diff (default: HEAD); requires --base
+  --rules <file>          Extra rules file (JSON or YAML) applied on top of the other rules
+  --format <format>       Report format: ${FORMATS.join(', ')} (default: markdown)
+  --output <file>         Write the report to a file instead of stdout
+  --fail-on <level>       Exit with code 1 on: ${FAIL_ON.join(', ')} (default: error)
+  --locale <locale>       Report language: ${I18n.supportedLocales().join(', ')} (default: en; "locale" in
+                          the repository config takes precedence)
+  --quiet                 Do not print progress messages or warnings
+  -h, --help              Show this help
+  -v, --version           Show the version
+
+Exit codes:
+  0  No findings at or above the --fail-on level
+  1  Findings at or above the --fail-on level
+  2  Invalid usage, invalid rules file, unknown git ref or analysis error`;
+
+class UsageError extends Error {}
+
+/**
+ * Interpreta los argumentos (`--opcion valor` o `--opcion=valor`)
+ * @param {string[]} argv - Argumentos sin `node` ni el script
+ * @returns {Object} { command, args, options }
+ */
+function parseArgs(argv) {
+  const valueOptions = ['type', 'rules', 'format', 'output', 'fail-on', 'locale', 'base', 'head'];
+  const flags = { '-h': 'help', '--help': 'help', '-v': 'version', '--version': 'version', '--quiet': 'quiet' };
+  const options = { format: 'markdown', 'fail-on': 'error' };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (flags[arg]) {
+      options[flags[arg]] = true;
+      continue;
+    }
+
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (!valueOptions.includes(name)) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || value === '') {
+      throw new UsageError(`Option --${name} requires a value`);
+    }
+    options[name] = value;
+  }
+
+  if (!FORMATS.includes(options.format)) {
+    throw new UsageError(`Invalid --format "${options.format}" (expected ${FORMATS.join(', ')})`);
+  }
+
+  if (options.locale && !I18n.resolveLocale(options.locale)) {
+    throw new UsageError(`Invalid --locale "${options.locale}" (expected ${I18n.supportedLocales().join(', ')})`);
+  }
+
+  if (!FAIL_ON.includes(options['fail-on'])) {
+    throw new UsageError(`Invalid --fail-on "${options['fail-on']}" (expected ${FAIL_ON.join(', ')})`);
+  }
+
+  if (options.head && !options.base) {
+    throw new UsageError('Option --head requires --base');
+  }
+
+  const [command, ...args] = positional;
+  return { command, args, options };
+}
+
+/**
+ * Indica si el análisis debe fallar según --fail-on
+ */
+function shouldFail(results, failOn) {
+  const hasErrors = results.summary.failed > 0 || (results.analyzers || []).some(analyzer => analyzer.error);
+  return hasErrors || (failOn === 'warning' && results.summary.warnings > 0);
+}
+
+/**
+ * Subcomando `analyze [path]` (con --base: revisión del diff local)
+ * @returns {Promise<number>} Código de salida
+ */
+async function analyze(args, options) {
+  const projectPath = path.resolve(args[0] || process.cwd());
+
+  if (!fs.existsSync(projectPath) || !fs.statSync(projectPath).isDirectory()) {
+    throw new UsageError(`Project directory does not exist: ${projectPath}`);
+  }
+
+  if (options.type && !/^[\w-]+$/.test(options.type)) {
+    throw new UsageError(`Invalid --type "${options.type}"`);
+  }
+
+  // Un --rules inválido detiene la CLI en lugar de usar las reglas por defecto
+  const extraRules = options.rules ? new CodeReviewer().loadRulesFile(path.resolve(options.rules)) : null;
+  const reviewer = new CodeReviewer({ rules: extraRules, locale: options.locale });
+
+  let results;
+  let report;
+
+  if (options.base) {
+    // Modo diff: los cambios de head respecto de base, como en un PR
+    const review = await reviewer.analyzeGitDiff(projectPath, {
+      base: options.base,
+      head: options.head,
+      projectType: options.type || null
+    });
+    results = review.analysis;
+    report = reviewer.generateDiffReport(review, options.format);
+  } else {
+    results = await reviewer.analyzeProject(projectPath, options.type || null);
+    report = reviewer.generateReport(results, options.format);
+  }
+
+  if (options.output) {
+    fs.writeFileSync(path.resolve(options.output), report.endsWith('\n') ? report : `${report}\n`);
+    console.error(`📝 Report written to ${options.output}`);
+  } else {
+    process.stdout.write(report.endsWith('\n') ? report : `${report}\n`);
+  }
+
+  const { passed, failed, warnings } = results.summary;
+  console.error(`📊 ${passed} passed, ${failed} failed, ${warnings} warnings`);
+
+  return shouldFail(results, options['fail-on']) ? EXIT_FINDINGS : EXIT_OK;
+}
+
+/**
+ * Punto de entrada de la CLI
+ * @param {string[]} argv - Argumentos sin `node` ni el script
+ * @returns {Promise<number>} Código de salida
+ */
+async function run(argv) {
+  // El progreso de los analizadores va a stderr para no mezclarse con el reporte
+  const { log, warn } = console;
+  console.log = (...messages) => console.error(...messages);
+
+  try {
+    const { command, args, options } = parseArgs(argv);
+
+    // --quiet también silencia los avisos de los analizadores y del detector de paquetes
+    if (options.quiet) {
+      console.log = () => {};
+      console.warn = () => {};
+    }
+
+    if (options.version) {
+      log(version);
+      return EXIT_OK;
+    }
+
+    if (options.help || !command || command === 'help') {
+      log(HELP);
+      return options.help || command === 'help' ? EXIT_OK : EXIT_USAGE;
+    }
+
+    if (command !== 'analyze') {
+      throw new UsageError(`Unknown command: ${command}`);
+    }
+
+    return await analyze(args, options);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}\n\n${HELP}`);
+    } else if (error instanceof ConfigError) {
+      console.error(`❌ ${error.message}`);
+    } else {
+      console.error('❌ Error during analysis:', error.message);
+    }
+    return EXIT_USAGE;
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+module.exports = { run, parseArgs, shouldFail };
@@ -1,59 +1,343 @@
 const fs = require('fs');
 const path = require('path');
+const YAML = require('yaml');
+const ConfigError = require('./errors/config-error');
+const RuleResolver = require('./rules/rule-resolver');
+const ReportModel = require('./reports/report-model');
+const RendererRegistry = require('./reports/renderer-registry');
+const I18n = require('./i18n/i18n');
 
 // Importar analizadores
 const GitignoreAnalyzer = require('./analyzers/gitignore-analyzer');
 const EnvAnalyzer = require('./analyzers/env-analyzer');
 const DependencyAnalyzer = require('./analyzers/dependency-analyzer');
+const SecretAnalyzer = require('./analyzers/secret-analyzer');
+const LockfileAnalyzer = require('./analyzers/lockfile-analyzer');
+const PackageJsonAnalyzer = require('./analyzers/package-json-analyzer');
+const DependencyAuditAnalyzer = require('./analyzers/dependency-audit-analyzer');
+const StructureAnalyzer = require('./analyzers/structure-analyzer');
+const ArchitectureAnalyzer = require('./analyzers/architecture-analyzer');
+const RequiredFilesAnalyzer = require('./analyzers/required-files-analyzer');
+const JunkFilesAnalyzer = require('./analyzers/junk-files-analyzer');
+const LargeFilesAnalyzer = require('./analyzers/large-files-analyzer');
+
+// Fuentes de contenido del repositorio
+const LocalFileSystem = require('./filesystem/local-file-system');
+const LocalGitFileSystem = require('./filesystem/local-git-file-system');
+const ScopedFileSystem = require('./filesystem/scoped-file-system');
+const LocalGit = require('./git/local-git');
+const WorkspaceDetector = require('./workspaces/workspace-detector');
+
+// Archivos de configuración por repositorio, en orden de prioridad
+const REPOSITORY_CONFIG_FILES = ['.pr-reviewer.json', '.pr-reviewer.yml', '.pr-reviewer.yaml'];
+
+// Reglas que deben ser listas de strings
+const RULE_LIST_KEYS = ['requiredFiles', 'prohibitedFiles', 'prohibitedFolders', 'gitignoreRules'];
+
+// Reglas con rutas de archivos que se pueden leer del disco del servidor
+// (solo si las indican las reglas del servidor o `--rules`)
+const SERVER_FILE_RULES = { dependencyAudit: ['advisoryDatabase', 'licensePolicy'] };
 
 class CodeReviewer {
-  constructor() {
+  /**
+   * @param {Object} options - Opciones (opcional)
+   * @param {Object} options.rules - Reglas adicionales que se aplican sobre
+   *   todas las demás (p. ej. `--rules` de la CLI)
+   * @param {string} options.locale - Idioma por defecto de los mensajes (en, es)
+   */
+  constructor(options = {}) {
     this.analyzers = [
       new GitignoreAnalyzer(),
+      new RequiredFilesAnalyzer(),
       new EnvAnalyzer(),
-      new DependencyAnalyzer()
+      new DependencyAnalyzer(),
+      new JunkFilesAnalyzer(),
+      new LargeFilesAnalyzer(),
+      new LockfileAnalyzer(),
+      new PackageJsonAnalyzer(),
+      new DependencyAuditAnalyzer(),
+      new SecretAnalyzer(),
+      new StructureAnalyzer(),
+      new ArchitectureAnalyzer()
     ];
+
+    // Los sets referenciados por "extends" que no estén cargados se buscan en rules/
+    this.ruleResolver = new RuleResolver(name => this.loadBuiltInRuleSet(name));
+    this.extraRules = options.rules || null;
+    this.serverFiles = null;
+    this.locale = I18n.resolveLocale(options.locale) || I18n.DEFAULT_LOCALE;
+
+    // Formatos de salida de los reportes
+    this.renderers = RendererRegistry.createDefault();
+
+    // Paquetes de monorepos
+    this.workspaceDetector = new WorkspaceDetector();
   }
 
   /**
-   * Carga las reglas desde los archivos JSON
+   * Carga las reglas desde los archivos JSON y, si se indica el repositorio
+   * revisado, aplica encima su .pr-reviewer.json / .pr-reviewer.yml y, por
+   * último, las reglas adicionales del constructor. Después resuelve los "extends" de cada set (ver RuleResolver).
+   * @param {string} projectType - Tipo de proyecto (nodejs, python, general)
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Repositorio revisado (opcional)
+   * @returns {Promise<Object>} Sets de reglas resueltos; `project` contiene
+   *   las reglas efectivas para el tipo de proyecto
+   * @throws {ConfigError} Si algún archivo de reglas es inválido
+   */
+  async loadRules(projectType = 'general', fileSystem = null) {
+    let rules = this.loadBuiltInRules(projectType);
+
+    if (fileSystem) {
+      const repositoryConfig = await this.loadRepositoryConfig(fileSystem);
+      if (repositoryConfig) {
+        rules = this.ruleResolver.merge(rules, repositoryConfig.config);
+      }
+    }
+
+    if (this.extraRules) {
+      rules = this.ruleResolver.merge(rules, this.extraRules);
+    }
+
+    return this.ruleResolver.resolve(rules, projectType);
+  }
+
+  /**
+   * Carga las reglas del servidor (rules/general-rules.json + reglas del tipo de proyecto)
    * @param {string} projectType - Tipo de proyecto (nodejs, python, general)
    * @returns {Object} Reglas cargadas
+   * @throws {ConfigError} Si algún archivo de reglas no es JSON válido
+   */
+  loadBuiltInRules(projectType = 'general') {
+    const rulesPath = path.join(__dirname, '..', 'rules', `${projectType}-rules.json`);
+    const generalRulesPath = path.join(__dirname, '..', 'rules', 'general-rules.json');
+    
+    let rules = {};
+    
+    // Cargar reglas generales primero
+    if (fs.existsSync(generalRulesPath)) {
+      rules = { ...this.readRulesFile(generalRulesPath) };
+    }
+    
+    // Cargar reglas específicas del proyecto
+    if (rulesPath !== generalRulesPath && fs.existsSync(rulesPath)) {
+      rules = this.ruleResolver.merge(rules, this.readRulesFile(rulesPath));
+    }
+    
+    return rules;
+  }
+
+  /**
+   * Rutas de archivos (SERVER_FILE_RULES) que indican las reglas del servidor
+   * (rules/*-rules.json) o las adicionales del constructor. Solo estas se
+   * pueden leer del disco; las que vienen del .pr-reviewer.json del
+   * repositorio revisado se leen siempre del repositorio
+   * @returns {Set<string>}
    */
-  loadRules(projectType = 'general') {
+  getServerFiles() {
+    if (this.serverFiles) return this.serverFiles;
+
+    const rulesDir = path.join(__dirname, '..', 'rules');
+    const layers = fs.readdirSync(rulesDir)
+      .filter(file => file.endsWith('-rules.json'))
+      .map(file => {
+        try {
+          return this.readRulesFile(path.join(rulesDir, file));
+        } catch (error) {
+          return {}; // loadRules reporta el archivo inválido
+        }
+      });
+    if (this.extraRules) layers.push(this.extraRules);
+
+    this.serverFiles = new Set();
+    layers.forEach(layer => Object.values(layer).forEach(section => {
+      Object.entries(SERVER_FILE_RULES).forEach(([rule, keys]) => {
+        keys
+          .map(key => section?.[rule]?.[key])
+          .filter(file => typeof file === 'string')
+          .forEach(file => this.serverFiles.add(file));
+      });
+    }));
+
+    return this.serverFiles;
+  }
+
+  /**
+   * Carga un set de reglas del servidor por nombre (rules/<nombre>-rules.json)
+   * @param {string} name - Nombre del set (p. ej. "general", "nodejs")
+   * @returns {Object|null} El set o null si no existe
+   */
+  loadBuiltInRuleSet(name) {
+    const rulesPath = path.join(__dirname, '..', 'rules', `${name}-rules.json`);
+
+    if (!/^[\w-]+$/.test(name) || !fs.existsSync(rulesPath)) {
+      return null;
+    }
+
+    return this.readRulesFile(rulesPath)[name] || null;
+  }
+
+  /**
+   * Lee y parsea un archivo de reglas del servidor
+   */
+  readRulesFile(rulesPath) {
+    const file = path.relative(path.join(__dirname, '..'), rulesPath);
+
     try {
-      const rulesPath = path.join(__dirname, '..', 'rules', `${projectType}-rules.json`);
-      const generalRulesPath = path.join(__dirname, '..', 'rules', 'general-rules.json');
-      
-      let rules = {};
-      
-      // Cargar reglas generales primero
-      if (fs.existsSync(generalRulesPath)) {
-        const generalRules = JSON.parse(fs.readFileSync(generalRulesPath, 'utf8'));
-        rules = { ...generalRules };
-      }
-      
-      // Cargar reglas específicas del proyecto
-      if (fs.existsSync(rulesPath)) {
-        const projectRules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
-        rules = { ...rules, ...projectRules };
+      return JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+    } catch (error) {
+      throw new ConfigError(file, [`Could not parse file: ${error.message}`]);
+    }
+  }
+
+  /**
+   * Busca y valida el archivo de configuración del repositorio revisado
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Repositorio revisado
+   * @returns {Promise<Object|null>} { file, config } o null si no hay configuración
+   * @throws {ConfigError} Si el archivo no se puede parsear o tiene valores inválidos
+   */
+  async loadRepositoryConfig(fileSystem) {
+    for (const file of REPOSITORY_CONFIG_FILES) {
+      if (!(await fileSystem.exists(file))) {
+        continue;
       }
-      
-      return rules;
+
+      const config = this.parseRulesConfig(file, await fileSystem.readFile(file));
+      console.log(`⚙️  Using repository config: ${file}`);
+      return { file, config };
+    }
+
+    return null;
+  }
+
+  /**
+   * Carga un archivo de reglas local (JSON o YAML), p. ej. el `--rules` de la CLI
+   * @param {string} filePath - Ruta del archivo
+   * @returns {Object} Reglas validadas
+   * @throws {ConfigError} Si no existe, no se puede parsear o tiene valores inválidos
+   */
+  loadRulesFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new ConfigError(filePath, ['File not found']);
+    }
+
+    return this.parseRulesConfig(filePath, fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Parsea (JSON o YAML según la extensión) y valida un archivo de reglas
+   * @throws {ConfigError} Si no se puede parsear o tiene valores inválidos
+   */
+  parseRulesConfig(file, content) {
+    let config;
+
+    try {
+      config = file.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
     } catch (error) {
-      console.error('Error loading rules:', error.message);
-      return { general: {} }; // Reglas por defecto
+      throw new ConfigError(file, [`Could not parse file: ${error.message}`]);
+    }
+
+    const errors = this.validateRulesConfig(config);
+    if (errors.length > 0) {
+      throw new ConfigError(file, errors);
+    }
+
+    return config;
+  }
+
+  /**
+   * Valida la forma de un archivo de reglas
+   * @param {*} config - Contenido parseado
+   * @returns {string[]} Problemas encontrados (vacío si es válido)
+   */
+  validateRulesConfig(config) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+    const errors = [];
+
+    if (!isObject(config)) {
+      return ['Configuration must be an object with rule sections (general, nodejs, validationRules...)'];
+    }
+
+    Object.entries(config).forEach(([section, value]) => {
+      if (section === 'locale') {
+        if (!I18n.resolveLocale(value)) {
+          errors.push(`"locale" must be one of: ${I18n.supportedLocales().join(', ')}`);
+        }
+        return;
+      }
+
+      if (!isObject(value)) {
+        errors.push(`"${section}" must be an object`);
+        return;
+      }
+
+      if (section === 'validationRules') {
+        Object.entries(value).forEach(([toggle, enabled]) => {
+          if (typeof enabled !== 'boolean') {
+            errors.push(`"validationRules.${toggle}" must be true or false`);
+          }
+        });
+        return;
+      }
+
+      RULE_LIST_KEYS.forEach(key => {
+        if (!(key in value)) return;
+
+        const list = this.ruleResolver.isListDirective(value[key])
+          ? value[key].$append || value[key].$replace
+          : value[key];
+
+        if (!isStringList(list)) {
+          errors.push(`"${section}.${key}" must be a list of strings (or { "$append": [...] } / { "$replace": [...] })`);
+        }
+      });
+
+      if ('extends' in value && typeof value.extends !== 'string' && !isStringList(value.extends)) {
+        errors.push(`"${section}.extends" must be a rule set name or a list of names`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Carga las reglas sin abortar el análisis: si la configuración es inválida
+   * se registra el error (para mostrarlo en el reporte) y se usan las reglas
+   * del servidor o, en último caso, las reglas por defecto
+   * @returns {Promise<Object>} { rules, configErrors }
+   */
+  async resolveRules(projectType, fileSystem) {
+    const configErrors = [];
+    const attempts = [
+      () => this.loadRules(projectType, fileSystem),
+      () => this.loadRules(projectType),
+      () => ({ general: {}, project: {} }) // Reglas por defecto
+    ];
+
+    for (const attempt of attempts) {
+      try {
+        return { rules: await attempt(), configErrors };
+      } catch (error) {
+        if (!(error instanceof ConfigError)) {
+          throw error;
+        }
+
+        console.error(`❌ ${error.message}`);
+        if (!configErrors.some(configError => configError.file === error.file)) {
+          configErrors.push({ file: error.file, details: error.details });
+        }
+      }
     }
   }
 
   /**
    * Detecta el tipo de proyecto basándose en los archivos presentes
-   * @param {string} projectPath - Ruta del proyecto
-   * @returns {string} Tipo de proyecto detectado
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del proyecto
+   * @returns {Promise<string>} Tipo de proyecto detectado
    */
-  detectProjectType(projectPath) {
+  async detectProjectType(fileSystem) {
     try {
-      const files = fs.readdirSync(projectPath);
+      const files = await fileSystem.readdir();
       
       // Detectar Node.js
       if (files.includes('package.json')) {
@@ -87,126 +371,300 @@ class CodeReviewer {
       throw new Error(`Project directory does not exist: ${projectPath}`);
     }
 
+    return this.analyzeFileSystem(new LocalFileSystem(projectPath), projectType);
+  }
+
+  /**
+   * Ejecuta todos los analizadores sobre un sistema de archivos virtual
+   * (directorio local o árbol de un commit en GitHub)
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del proyecto
+   * @param {string} projectType - Tipo de proyecto (opcional, se detecta automáticamente)
+   * @param {Object} context - Contexto del PR (opcional): `changedFiles` de
+   *   pulls.listFiles, para ubicar hallazgos en líneas del diff, `baseFileSystem`
+   *   (árbol del merge-base, para comparar archivos) y `locale` (idioma de la
+   *   instalación, el "locale" del repositorio tiene prioridad)
+   * @returns {Promise<Object>} Resultado completo del análisis
+   */
+  async analyzeFileSystem(fileSystem, projectType = null, context = {}) {
     // Detectar tipo de proyecto si no se especifica
     if (!projectType) {
-      projectType = this.detectProjectType(projectPath);
+      projectType = await this.detectProjectType(fileSystem);
     }
     
     console.log(`📁 Project type detected: ${projectType}`);
     
-    // Cargar reglas
-    const rules = this.loadRules(projectType);
+    // Cargar reglas (servidor + configuración del repositorio)
+    const { rules, configErrors } = await this.resolveRules(projectType, fileSystem);
     
+    // Idioma de los mensajes: configuración del repositorio > instalación > por defecto
+    const locale = I18n.resolveLocale(rules.locale, context.locale, this.locale);
+
+    // Paquetes del repositorio (monorepos: workspaces y manifiestos anidados)
+    const packages = await this.workspaceDetector.detect(fileSystem, projectType, rules.project?.workspaces);
+    if (packages.length > 1) {
+      console.log(`📦 Packages: ${packages.map(pkg => `${pkg.path || '.'} (${pkg.type})`).join(', ')}`);
+    }
+    const analyzerContext = { ...context, i18n: new I18n(locale), packages, serverFiles: this.getServerFiles() };
+
     // Ejecutar todos los analizadores
     const results = {
-      projectPath,
+      projectPath: fileSystem.location,
+      projectName: fileSystem.name,
       projectType,
+      locale,
       timestamp: new Date().toISOString(),
       summary: {
         totalAnalyzers: this.analyzers.length,
         passed: 0,
-        failed: 0,
+        failed: configErrors.length,
         warnings: 0
       },
+      configErrors,
+      skippedAnalyzers: [],
+      packages: packages.map(({ path: packagePath, name, type, source }) => ({ path: packagePath, name, type, source })),
       analyzers: []
     };
 
+    // Reglas por tipo de proyecto (cada paquete usa las de su tipo)
+    const rulesByType = new Map([[projectType, rules]]);
+
     for (const analyzer of this.analyzers) {
-      console.log(`  Running ${analyzer.name}...`);
-      
-      try {
-        const analyzerResult = analyzer.analyze(projectPath, rules);
-        results.analyzers.push(analyzerResult);
-        
-        // Actualizar resumen
-        results.summary.passed += analyzerResult.passed.length;
-        results.summary.failed += analyzerResult.failed.length;
-        results.summary.warnings += analyzerResult.warnings.length;
-        
-      } catch (error) {
-        console.error(`Error in ${analyzer.name}:`, error.message);
-        results.analyzers.push({
-          analyzer: analyzer.name,
-          error: error.message,
-          passed: [],
-          failed: [],
-          warnings: []
-        });
+      // validationRules permite desactivar analizadores (checkGitignore, checkEnvFiles...)
+      if (analyzer.validationRule && rules.validationRules?.[analyzer.validationRule] === false) {
+        console.log(`  ⏭️  Skipping ${analyzer.name} (validationRules.${analyzer.validationRule} is false)`);
+        results.skippedAnalyzers.push(analyzer.name);
+        results.summary.totalAnalyzers--;
+        continue;
+      }
+
+      // Los analizadores con scope "package" corren una vez por paquete
+      if (analyzer.scope !== 'package' || packages.length === 1) {
+        console.log(`  Running ${analyzer.name}...`);
+        results.analyzers.push(await this.runAnalyzer(analyzer, fileSystem, rules, analyzerContext));
+        continue;
+      }
+
+      for (const pkg of packages) {
+        console.log(`  Running ${analyzer.name} (${pkg.path || '.'})...`);
+
+        if (!rulesByType.has(pkg.type)) {
+          const packageRules = await this.resolveRules(pkg.type, fileSystem);
+          packageRules.configErrors
+            .filter(error => !configErrors.some(configError => configError.file === error.file))
+            .forEach(error => {
+              configErrors.push(error);
+              results.summary.failed++;
+            });
+          rulesByType.set(pkg.type, packageRules.rules);
+        }
+
+        // Cada paquete ve solo su carpeta, sin los paquetes anidados dentro de ella
+        const nested = packages
+          .filter(other => other !== pkg && (pkg.path === '' || other.path.startsWith(`${pkg.path}/`)))
+          .map(other => other.path);
+        const packageFileSystem = new ScopedFileSystem(fileSystem, pkg.path, { exclude: nested, name: pkg.name });
+        const packageContext = {
+          ...analyzerContext,
+          package: pkg,
+          changedFiles: context.changedFiles && this.scopeChangedFiles(context.changedFiles, packageFileSystem),
+          baseFileSystem: context.baseFileSystem &&
+            new ScopedFileSystem(context.baseFileSystem, pkg.path, { exclude: nested, name: pkg.name })
+        };
+
+        const analyzerResult = await this.runAnalyzer(analyzer, packageFileSystem, rulesByType.get(pkg.type), packageContext);
+        results.analyzers.push(this.prefixResult({ ...analyzerResult, package: pkg.path }, pkg.path));
       }
     }
 
+    results.analyzers.forEach(analyzerResult => {
+      results.summary.passed += analyzerResult.passed.length;
+      results.summary.failed += analyzerResult.failed.length;
+      results.summary.warnings += analyzerResult.warnings.length;
+    });
+
     return results;
   }
 
   /**
-   * Genera un reporte legible del análisis
-   * @param {Object} results - Resultados del análisis
-   * @returns {string} Reporte formateado
+   * Ejecuta un analizador; si falla, el error queda en el resultado
+   * @returns {Promise<Object>} Resultado del analizador ({ analyzer, error } si falló)
    */
-  generateReport(results) {
-    let report = '';
-    
-    report += `🤖 **Code Structure Review**\n\n`;
-    report += `📁 Project: ${path.basename(results.projectPath)}\n`;
-    report += `🔧 Type: ${results.projectType}\n`;
-    report += `📊 Summary: ${results.summary.passed} passed, ${results.summary.failed} failed, ${results.summary.warnings} warnings\n\n`;
-
-    // Mostrar errores críticos primero
-    const criticalIssues = [];
-    const warnings = [];
-    const successes = [];
-
-    results.analyzers.forEach(analyzer => {
-      if (analyzer.error) {
-        criticalIssues.push(`❌ **${analyzer.analyzer}**: ${analyzer.error}`);
+  async runAnalyzer(analyzer, fileSystem, rules, context) {
+    try {
+      return await analyzer.analyze(fileSystem, rules, context);
+    } catch (error) {
+      console.error(`Error in ${analyzer.name}:`, error.message);
+      return {
+        analyzer: analyzer.name,
+        error: error.message,
+        passed: [],
+        failed: [],
+        warnings: []
+      };
+    }
+  }
+
+  /**
+   * changedFiles con rutas relativas a un paquete (solo los archivos del paquete)
+   */
+  scopeChangedFiles(changedFiles, packageFileSystem) {
+    const start = packageFileSystem.prefix ? `${packageFileSystem.prefix}/` : '';
+
+    return changedFiles
+      .filter(file => file.filename.startsWith(start) && !packageFileSystem.isHidden(file.filename))
+      .map(file => ({ ...file, filename: file.filename.slice(start.length) }));
+  }
+
+  /**
+   * Vuelve a expresar las rutas de los hallazgos de un paquete respecto de la
+   * raíz del repositorio (anotaciones y comentarios en línea)
+   */
+  prefixResult(analyzerResult, prefix) {
+    if (!prefix) return analyzerResult;
+
+    const prefixPath = file => (file ? `${prefix}/${file}` : file);
+    const prefixFinding = finding => ({
+      ...finding,
+      ...(finding.file ? { file: prefixPath(finding.file) } : {}),
+      ...(finding.path ? { path: prefixPath(finding.path) } : {}),
+      ...(finding.files ? { files: finding.files.map(prefixPath) } : {})
+    });
+
+    return {
+      ...analyzerResult,
+      passed: analyzerResult.passed.map(prefixFinding),
+      failed: analyzerResult.failed.map(prefixFinding),
+      warnings: analyzerResult.warnings.map(prefixFinding)
+    };
+  }
+
+  /**
+   * Revisa un conjunto de cambios: los analizadores corren sobre el árbol
+   * revisado con los archivos modificados como contexto
+   * @param {LocalFileSystem|GitHubFileSystem|LocalGitFileSystem} fileSystem - Árbol del commit head
+   * @param {Object[]} changedFiles - Archivos modificados con la forma de pulls.listFiles
+   * @param {Object} options - { projectType, locale, baseFileSystem (árbol del merge-base) }
+   * @returns {Promise<Object>} { reviewResults, analysis } (analysis: issues/warnings/successes)
+   */
+  async reviewChanges(fileSystem, changedFiles, { projectType = null, locale, baseFileSystem = null } = {}) {
+    const reviewResults = await this.analyzeFileSystem(fileSystem, projectType, { changedFiles, locale, baseFileSystem });
+
+    const analysis = {
+      projectType: 'general',
+      locale: reviewResults.locale,
+      summary: { passed: 0, failed: 0, warnings: 0 },
+      issues: [],
+      warnings: [],
+      successes: []
+    };
+    this.mergeReviewResults(analysis, reviewResults);
+
+    return { reviewResults, analysis };
+  }
+
+  /**
+   * Revisa una rama local contra una ref base sin pasar por GitHub: los
+   * archivos modificados salen de `git diff base...head` y los analizadores
+   * corren sobre el árbol de head
+   * @param {string} repoPath - Ruta del repositorio Git
+   * @param {Object} options - { base, head ('HEAD' por defecto), projectType, locale }
+   * @returns {Promise<Object>} { base, head, files, reviewResults, analysis, fileSystem }
+   * @throws {Error} Si la ruta no es un repositorio Git o alguna ref no existe
+   */
+  async analyzeGitDiff(repoPath, { base, head = 'HEAD', projectType = null, locale } = {}) {
+    const git = new LocalGit(repoPath);
+    const [baseSha, headSha] = await Promise.all([git.resolveCommit(base), git.resolveCommit(head)]);
+    const mergeBase = await git.mergeBase(baseSha, headSha);
+
+    console.log(`🔍 Analyzing ${repoPath}: ${base}...${head}`);
+
+    const files = await git.listChangedFiles(mergeBase, headSha);
+    console.log(`📁 Diff contains ${files.length} files`);
+
+    const fileSystem = new LocalGitFileSystem(git, headSha);
+    const baseFileSystem = new LocalGitFileSystem(git, mergeBase);
+    const { reviewResults, analysis } = await this.reviewChanges(fileSystem, files, { projectType, locale, baseFileSystem });
+
+    return {
+      base: { ref: base, sha: baseSha },
+      head: { ref: head, sha: headSha },
+      files,
+      reviewResults,
+      analysis,
+      fileSystem
+    };
+  }
+
+  /**
+   * Incorpora los resultados de CodeReviewer al formato de análisis del PR
+   */
+  mergeReviewResults(analysis, reviewResults) {
+    analysis.projectType = reviewResults.projectType;
+    analysis.locale = reviewResults.locale;
+    analysis.configErrors = reviewResults.configErrors || [];
+    analysis.packages = reviewResults.packages || [];
+    analysis.dependencyChanges = ReportModel.collectDependencyChanges(reviewResults.analyzers);
+    analysis.summary.failed += analysis.configErrors.length;
+
+    reviewResults.analyzers.forEach(analyzerResult => {
+      // Paquete del monorepo al que pertenecen los hallazgos (analizadores por paquete)
+      const scope = analyzerResult.package !== undefined ? { package: analyzerResult.package } : {};
+
+      if (analyzerResult.error) {
+        analysis.issues.push({
+          type: 'analyzer-error',
+          ...scope,
+          message: `❌ ${analyzerResult.analyzer}: ${analyzerResult.error}`
+        });
+        analysis.summary.failed++;
         return;
       }
 
-      analyzer.failed.forEach(failure => {
-        criticalIssues.push(`❌ **${failure.message}**`);
-        if (failure.suggestion) {
-          criticalIssues.push(`   💡 *${failure.suggestion}*`);
-        }
+      // file/path/line/fix ubican el hallazgo en el diff (comentarios en línea y anotaciones)
+      analyzerResult.failed.forEach(({ rule, ...failure }) => {
+        analysis.issues.push({ type: rule, ...scope, ...failure });
+        analysis.summary.failed++;
       });
 
-      analyzer.warnings.forEach(warning => {
-        warnings.push(`⚠️  **${warning.message}**`);
-        if (warning.suggestion) {
-          warnings.push(`   💡 *${warning.suggestion}*`);
-        }
+      analyzerResult.warnings.forEach(({ rule, ...warning }) => {
+        analysis.warnings.push({ type: rule, ...scope, ...warning });
+        analysis.summary.warnings++;
       });
 
-      analyzer.passed.forEach(success => {
-        successes.push(`✅ ${success.message}`);
+      analyzerResult.passed.forEach(({ rule, message, package: packagePath }) => {
+        analysis.successes.push({ type: rule, ...scope, ...(packagePath !== undefined ? { package: packagePath } : {}), message });
+        analysis.summary.passed++;
       });
     });
 
-    // Mostrar secciones
-    if (criticalIssues.length > 0) {
-      report += `## ❌ Issues Found\n`;
-      report += criticalIssues.join('\n') + '\n\n';
-    }
-
-    if (warnings.length > 0) {
-      report += `## ⚠️  Warnings\n`;
-      report += warnings.join('\n') + '\n\n';
-    }
-
-    if (successes.length > 0) {
-      report += `## ✅ Good Practices Found\n`;
-      report += successes.join('\n') + '\n\n';
-    }
+    return analysis;
+  }
 
-    // Agregar sugerencias generales
-    if (criticalIssues.length > 0 || warnings.length > 0) {
-      report += `## 📚 General Recommendations\n`;
-      report += `- Keep your .gitignore file updated\n`;
-      report += `- Never commit environment files (.env)\n`;
-      report += `- Exclude dependency folders (node_modules, .venv)\n`;
-      report += `- Use .env.example to document required environment variables\n`;
-    }
+  /**
+   * Genera el reporte del análisis con uno de los renderers registrados
+   * @param {Object} results - Resultados del análisis
+   * @param {string} format - Formato (markdown, html, json, sarif, junit)
+   * @param {Object} options - Opciones del renderer ({ locale })
+   * @returns {string} Reporte formateado
+   */
+  generateReport(results, format = 'markdown', options = {}) {
+    return this.renderers.render(format, ReportModel.fromProjectResults(results), options);
+  }
 
-    return report;
+  /**
+   * Genera el reporte de una revisión de diff local (ver analyzeGitDiff)
+   * @param {Object} review - Resultado de analyzeGitDiff
+   * @param {string} format - Formato (markdown, html, json, sarif, junit)
+   * @param {Object} options - Opciones del renderer ({ locale })
+   * @returns {string} Reporte formateado
+   */
+  generateDiffReport(review, format = 'markdown', options = {}) {
+    const report = ReportModel.fromPullRequest(review.analysis, {
+      files: review.files,
+      projectName: review.fileSystem.name,
+      comparison: { base: review.base.ref, head: review.head.ref, sha: review.head.sha }
+    });
+    return this.renderers.render(format, report, options);
   }
 }
 
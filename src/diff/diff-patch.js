@@ -0,0 +1,97 @@
+/**
+ * Interpreta el `patch` (unified diff) que devuelve pulls.listFiles para
+ * saber qué líneas del archivo nuevo aparecen en el diff. Solo esas líneas
+ * (agregadas o de contexto) admiten comentarios en línea en una review.
+ */
+class DiffPatch {
+  /**
+   * @param {string} patch - Diff de un archivo (puede ser undefined en binarios)
+   */
+  constructor(patch = '') {
+    this.rightLines = this.parse(patch || '');
+  }
+
+  /**
+   * Recorre los hunks y devuelve las líneas del lado nuevo (RIGHT)
+   * @returns {Object[]} { line, type: 'added'|'context', content }
+   */
+  parse(patch) {
+    const lines = [];
+    let newLine = 0;
+
+    patch.split('\n').forEach(rawLine => {
+      const hunk = rawLine.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+      if (hunk) {
+        newLine = parseInt(hunk[1], 10);
+        return;
+      }
+
+      if (newLine === 0 || rawLine.startsWith('\\')) {
+        // Antes del primer hunk o "\ No newline at end of file"
+        return;
+      }
+
+      if (rawLine.startsWith('+')) {
+        lines.push({ line: newLine++, type: 'added', content: rawLine.slice(1) });
+      } else if (rawLine.startsWith(' ')) {
+        lines.push({ line: newLine++, type: 'context', content: rawLine.slice(1) });
+      }
+      // Las líneas '-' solo existen en el lado anterior
+    });
+
+    return lines;
+  }
+
+  /**
+   * Líneas agregadas en el diff
+   */
+  addedLines() {
+    return this.rightLines.filter(entry => entry.type === 'added');
+  }
+
+  /**
+   * Entrada del diff para una línea del archivo nuevo (o undefined)
+   */
+  getLine(line) {
+    return this.rightLines.find(entry => entry.line === line);
+  }
+
+  isCommentable(line) {
+    return Boolean(this.getLine(line));
+  }
+
+  /**
+   * Primera línea comentable (preferentemente agregada)
+   */
+  firstCommentableLine() {
+    return this.addedLines()[0] || this.rightLines[0] || null;
+  }
+
+  /**
+   * Última línea comentable del diff
+   */
+  lastCommentableLine() {
+    return this.rightLines[this.rightLines.length - 1] || null;
+  }
+
+  /**
+   * Ubica un hallazgo de archivo o carpeta en el diff del PR
+   * @param {Object[]} changedFiles - Archivos de pulls.listFiles (filename, status, patch)
+   * @param {string} file - Ruta del archivo, o de la carpeta terminada en '/'
+   * @returns {Object} { path, line } o {} si no aparece en el diff
+   */
+  static locate(changedFiles = [], file) {
+    const changedFile = changedFiles.find(changed =>
+      changed.status !== 'removed' &&
+      (file.endsWith('/') ? changed.filename.startsWith(file) : changed.filename === file)
+    );
+    if (!changedFile) return {};
+
+    const firstLine = new DiffPatch(changedFile.patch).firstCommentableLine();
+    if (!firstLine) return {};
+
+    return { path: changedFile.filename, line: firstLine.line };
+  }
+}
+
+module.exports = DiffPatch;
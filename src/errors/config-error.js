@@ -0,0 +1,18 @@
+/**
+ * Error de configuración de reglas (archivo inválido o con valores incorrectos).
+ * Se muestra en el reporte del PR en lugar de ignorarse silenciosamente.
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string} file - Archivo de configuración que causó el error
+   * @param {string[]} details - Lista de problemas encontrados
+   */
+  constructor(file, details) {
+    super(`Invalid configuration in ${file}: ${details.join('; ')}`);
+    this.name = 'ConfigError';
+    this.file = file;
+    this.details = details;
+  }
+}
+
+module.exports = ConfigError;
@@ -0,0 +1,134 @@
+/**
+ * Base de los sistemas de archivos virtuales sobre el árbol Git de un commit.
+ * El árbol completo se carga una sola vez y el contenido de cada archivo se
+ * pide bajo demanda y se cachea. Las subclases implementan `fetchTree()`
+ * (entradas { path, type: 'blob'|'tree', sha, size }) y `fetchBlob(entry)`.
+ */
+class GitTreeFileSystem {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Nombre del proyecto
+   * @param {string} options.location - Descripción del origen (para mensajes)
+   */
+  constructor({ name, location }) {
+    this.name = name;
+    this.location = location;
+
+    this.treePromise = null;
+    this.contents = new Map();
+  }
+
+  /**
+   * Normaliza rutas al formato del árbol Git ('a/b', sin './' ni '/' final)
+   */
+  normalize(relativePath = '') {
+    return relativePath
+      .replace(/\\/g, '/')
+      .replace(/^(\.\/|\/)+/, '')
+      .replace(/\/+$/, '')
+      .replace(/^\.$/, '');
+  }
+
+  /**
+   * Carga (una vez) el árbol recursivo del commit
+   * @returns {Promise<Map<string, Object>>} Entradas del árbol indexadas por ruta
+   */
+  loadTree() {
+    if (!this.treePromise) {
+      this.treePromise = this.fetchTree().then(entries => new Map(entries.map(entry => [entry.path, entry])));
+
+      // Permitir reintentos si la carga falla
+      this.treePromise.catch(() => {
+        this.treePromise = null;
+      });
+    }
+
+    return this.treePromise;
+  }
+
+  async exists(relativePath) {
+    const entryPath = this.normalize(relativePath);
+    if (entryPath === '') return true;
+
+    const entries = await this.loadTree();
+    return entries.has(entryPath);
+  }
+
+  async isDirectory(relativePath) {
+    const entryPath = this.normalize(relativePath);
+    if (entryPath === '') return true;
+
+    const entries = await this.loadTree();
+    const entry = entries.get(entryPath);
+    return Boolean(entry && entry.type === 'tree');
+  }
+
+  async readFile(relativePath) {
+    const entryPath = this.normalize(relativePath);
+    const entries = await this.loadTree();
+    const entry = entries.get(entryPath);
+
+    if (!entry || entry.type !== 'blob') {
+      throw new Error(`File not found in ${this.location}: ${entryPath}`);
+    }
+
+    if (!this.contents.has(entryPath)) {
+      this.contents.set(entryPath, await this.fetchBlob(entry));
+    }
+
+    return this.contents.get(entryPath);
+  }
+
+  /**
+   * Tamaño en bytes de un archivo según el árbol (null si no lo informa)
+   */
+  async getSize(relativePath) {
+    const entries = await this.loadTree();
+    const entry = entries.get(this.normalize(relativePath));
+    return entry && entry.type === 'blob' && Number.isFinite(entry.size) ? entry.size : null;
+  }
+
+  async readdir(relativePath = '') {
+    const dirPath = this.normalize(relativePath);
+
+    if (!(await this.isDirectory(dirPath))) {
+      throw new Error(`Directory not found in ${this.location}: ${dirPath}`);
+    }
+
+    const entries = await this.loadTree();
+    const prefix = dirPath ? `${dirPath}/` : '';
+    const names = [];
+
+    entries.forEach((entry, entryPath) => {
+      if (entryPath.startsWith(prefix)) {
+        const rest = entryPath.slice(prefix.length);
+        if (rest && !rest.includes('/')) {
+          names.push(rest);
+        }
+      }
+    });
+
+    return names;
+  }
+
+  /**
+   * Lista todos los archivos del commit (rutas relativas con '/')
+   * @returns {Promise<string[]>} Archivos del árbol
+   */
+  async listFiles() {
+    const entries = await this.loadTree();
+    return [...entries.values()]
+      .filter(entry => entry.type === 'blob')
+      .map(entry => entry.path);
+  }
+
+  /**
+   * Archivos versionados: en un árbol Git son todos los archivos
+   * @returns {Promise<string[]>} Archivos del commit
+   */
+  listTrackedFiles() {
+    return this.listFiles();
+  }
+}
+
+module.exports = GitTreeFileSystem;
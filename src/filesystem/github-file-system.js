@@ -0,0 +1,48 @@
+const GitTreeFileSystem = require('./git-tree-file-system');
+
+/**
+ * Sistema de archivos virtual sobre el árbol Git de un commit en GitHub.
+ * El árbol completo se descarga una sola vez (Git Trees API) y el contenido
+ * de cada archivo se pide bajo demanda (Git Blobs API) y se cachea.
+ */
+class GitHubFileSystem extends GitTreeFileSystem {
+  /**
+   * @param {Octokit} octokit - Cliente autenticado de GitHub
+   * @param {Object} options
+   * @param {string} options.owner - Dueño del repositorio
+   * @param {string} options.repo - Nombre del repositorio
+   * @param {string} options.ref - SHA (o ref) a analizar, normalmente pr.head.sha
+   */
+  constructor(octokit, { owner, repo, ref }) {
+    super({ name: repo, location: `${owner}/${repo}@${ref}` });
+    this.octokit = octokit;
+    this.owner = owner;
+    this.repo = repo;
+    this.ref = ref;
+  }
+
+  async fetchTree() {
+    const { data } = await this.octokit.rest.git.getTree({
+      owner: this.owner,
+      repo: this.repo,
+      tree_sha: this.ref,
+      recursive: 'true'
+    });
+
+    if (data.truncated) {
+      console.warn(`⚠️  Git tree for ${this.location} is truncated, some files will not be analyzed`);
+    }
+    return data.tree;
+  }
+
+  async fetchBlob(entry) {
+    const { data } = await this.octokit.rest.git.getBlob({
+      owner: this.owner,
+      repo: this.repo,
+      file_sha: entry.sha
+    });
+    return Buffer.from(data.content, data.encoding).toString('utf8');
+  }
+}
+
+module.exports = GitHubFileSystem;
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const LocalGit = require('../git/local-git');
+
+// Carpetas que no se recorren al listar archivos (dependencias instaladas y salida de build)
+const DEFAULT_EXCLUDED_DIRECTORIES = ['.git', 'node_modules', '.venv', 'venv', '__pycache__', 'dist', 'coverage'];
+
+/**
+ * Sistema de archivos virtual sobre un directorio local.
+ * Expone la misma interfaz que GitHubFileSystem para que los analizadores
+ * no dependan de dónde viene el contenido del repositorio.
+ */
+class LocalFileSystem {
+  /**
+   * @param {string} rootPath - Ruta del proyecto a analizar
+   * @param {Object} options - { excludeDirectories: nombres de carpetas que
+   *   listFiles no recorre (default: DEFAULT_EXCLUDED_DIRECTORIES) }
+   */
+  constructor(rootPath, options = {}) {
+    this.rootPath = path.resolve(rootPath);
+    this.name = path.basename(this.rootPath);
+    this.location = this.rootPath;
+    this.excludeDirectories = new Set(options.excludeDirectories || DEFAULT_EXCLUDED_DIRECTORIES);
+
+    // Los listados se calculan una sola vez: varios analizadores los piden
+    this.files = null;
+    this.trackedFiles = null;
+  }
+
+  /**
+   * Convierte una ruta relativa del repositorio en una ruta absoluta
+   */
+  resolve(relativePath = '') {
+    return path.join(this.rootPath, relativePath);
+  }
+
+  async exists(relativePath) {
+    return fs.existsSync(this.resolve(relativePath));
+  }
+
+  async isDirectory(relativePath) {
+    try {
+      return fs.statSync(this.resolve(relativePath)).isDirectory();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async readFile(relativePath) {
+    return fs.readFileSync(this.resolve(relativePath), 'utf8');
+  }
+
+  async getSize(relativePath) {
+    try {
+      return fs.statSync(this.resolve(relativePath)).size;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async readdir(relativePath = '') {
+    return fs.readdirSync(this.resolve(relativePath));
+  }
+
+  /**
+   * Lista todos los archivos del proyecto (rutas relativas con '/')
+   * @returns {Promise<string[]>} Archivos encontrados, sin entrar en .git/,
+   *   node_modules/ ni el resto de excludeDirectories
+   */
+  async listFiles() {
+    if (!this.files) {
+      this.files = this.walkFiles();
+    }
+    return [...this.files];
+  }
+
+  walkFiles() {
+    const files = [];
+
+    const walk = (dir) => {
+      let items = [];
+      try {
+        items = fs.readdirSync(this.resolve(dir), { withFileTypes: true });
+      } catch (error) {
+        // Ignorar directorios inaccesibles
+        return;
+      }
+
+      items.forEach(item => {
+        const itemPath = dir ? `${dir}/${item.name}` : item.name;
+
+        if (item.isDirectory()) {
+          if (!this.excludeDirectories.has(item.name)) {
+            walk(itemPath);
+          }
+        } else {
+          files.push(itemPath);
+        }
+      });
+    };
+
+    walk('');
+    return files;
+  }
+
+  /**
+   * Lista los archivos versionados según `git ls-files`
+   * @returns {Promise<string[]|null>} Archivos versionados o null si el
+   *   directorio no es un repositorio Git
+   */
+  async listTrackedFiles() {
+    if (!this.trackedFiles) {
+      this.trackedFiles = new LocalGit(this.rootPath).listTrackedFiles().catch(() => null);
+    }
+
+    const trackedFiles = await this.trackedFiles;
+    return trackedFiles && [...trackedFiles];
+  }
+}
+
+module.exports = LocalFileSystem;
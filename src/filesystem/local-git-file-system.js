@@ -0,0 +1,28 @@
+const path = require('path');
+const GitTreeFileSystem = require('./git-tree-file-system');
+
+/**
+ * Sistema de archivos virtual sobre el árbol de un commit de un repositorio
+ * Git local (modo diff de la CLI: el working tree no se lee)
+ */
+class LocalGitFileSystem extends GitTreeFileSystem {
+  /**
+   * @param {LocalGit} git - Repositorio local
+   * @param {string} ref - Commit a analizar, normalmente el head del diff
+   */
+  constructor(git, ref) {
+    super({ name: path.basename(git.repoPath), location: `${git.repoPath}@${ref}` });
+    this.git = git;
+    this.ref = ref;
+  }
+
+  fetchTree() {
+    return this.git.listTree(this.ref);
+  }
+
+  fetchBlob(entry) {
+    return this.git.readBlob(entry.sha);
+  }
+}
+
+module.exports = LocalGitFileSystem;
@@ -0,0 +1,88 @@
+const path = require('path');
+
+/**
+ * Vista de una carpeta de otro sistema de archivos virtual (p. ej. un paquete
+ * de un monorepo). Las rutas son relativas a la carpeta y las subcarpetas
+ * excluidas (otros paquetes anidados) quedan ocultas.
+ */
+class ScopedFileSystem {
+  /**
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Sistema de archivos completo
+   * @param {string} prefix - Carpeta raíz de la vista ('' para la raíz del repositorio)
+   * @param {Object} options
+   * @param {string[]} options.exclude - Carpetas a ocultar (rutas relativas a la raíz del repositorio)
+   * @param {string} options.name - Nombre del proyecto (por defecto, el de la carpeta)
+   */
+  constructor(fileSystem, prefix = '', { exclude = [], name } = {}) {
+    this.fileSystem = fileSystem;
+    this.prefix = prefix;
+    this.exclude = exclude;
+    this.name = name || (prefix ? path.posix.basename(prefix) : fileSystem.name);
+    this.location = prefix ? `${fileSystem.location}/${prefix}` : fileSystem.location;
+  }
+
+  /**
+   * Ruta relativa a la raíz del repositorio
+   */
+  resolve(relativePath = '') {
+    const normalized = path.posix.normalize(`${relativePath}`.replace(/\\/g, '/')).replace(/^(\.\/|\/)+|\/+$|^\.$/g, '');
+    return [this.prefix, normalized].filter(Boolean).join('/');
+  }
+
+  /**
+   * Indica si una ruta (relativa a la raíz del repositorio) cae en una carpeta excluida
+   */
+  isHidden(fullPath) {
+    return this.exclude.some(dir => fullPath === dir || fullPath.startsWith(`${dir}/`));
+  }
+
+  /**
+   * Convierte rutas del repositorio en rutas de la vista
+   */
+  scopePaths(files) {
+    const start = this.prefix ? `${this.prefix}/` : '';
+    return files
+      .filter(file => file.startsWith(start) && !this.isHidden(file))
+      .map(file => file.slice(start.length));
+  }
+
+  async exists(relativePath) {
+    const fullPath = this.resolve(relativePath);
+    return !this.isHidden(fullPath) && this.fileSystem.exists(fullPath);
+  }
+
+  async isDirectory(relativePath) {
+    const fullPath = this.resolve(relativePath);
+    return !this.isHidden(fullPath) && this.fileSystem.isDirectory(fullPath);
+  }
+
+  async readFile(relativePath) {
+    const fullPath = this.resolve(relativePath);
+    if (this.isHidden(fullPath)) {
+      throw new Error(`File not found in ${this.location}: ${relativePath}`);
+    }
+    return this.fileSystem.readFile(fullPath);
+  }
+
+  async getSize(relativePath) {
+    const fullPath = this.resolve(relativePath);
+    return this.isHidden(fullPath) ? null : (await this.fileSystem.getSize?.(fullPath)) ?? null;
+  }
+
+  async readdir(relativePath = '') {
+    const fullPath = this.resolve(relativePath);
+    const names = await this.fileSystem.readdir(fullPath);
+    return names.filter(name => !this.isHidden(fullPath ? `${fullPath}/${name}` : name));
+  }
+
+  async listFiles() {
+    return this.scopePaths(await this.fileSystem.listFiles());
+  }
+
+  async listTrackedFiles() {
+    const trackedFiles = await this.fileSystem.listTrackedFiles?.();
+    return trackedFiles ? this.scopePaths(trackedFiles) : null;
+  }
+}
+
+module.exports = ScopedFileSystem;
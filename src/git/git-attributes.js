@@ -0,0 +1,75 @@
+const path = require('path');
+const GitignoreMatcher = require('./gitignore-matcher');
+
+/**
+ * Lee los archivos .gitattributes para saber qué rutas usan el filtro de
+ * Git LFS. Los patrones siguen la sintaxis de .gitignore (sin negación ni
+ * patrones de carpeta) y la última línea que coincide define el atributo;
+ * los .gitattributes anidados tienen prioridad sobre los de la raíz.
+ */
+class GitAttributes {
+  constructor() {
+    this.rules = [];
+  }
+
+  /**
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del proyecto
+   * @returns {Promise<GitAttributes>} Atributos de todos los .gitattributes versionados
+   */
+  static async fromFileSystem(fileSystem) {
+    const attributes = new GitAttributes();
+    const files = ((await fileSystem.listTrackedFiles?.()) || await fileSystem.listFiles())
+      .filter(file => path.posix.basename(file) === '.gitattributes')
+      .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+
+    for (const file of files) {
+      const dir = path.posix.dirname(file);
+      attributes.add(await fileSystem.readFile(file), dir === '.' ? '' : dir, file);
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Agrega las líneas de un .gitattributes que definen `filter`
+   * ("filter=lfs", "-filter", "!filter" o "filter=otro")
+   * @returns {GitAttributes} El mismo objeto
+   */
+  add(content, baseDir = '', source = '.gitattributes') {
+    content.split(/\r?\n/).forEach((text, index) => {
+      const [pattern, ...attributes] = text.trim().split(/\s+/);
+      if (!pattern || pattern.startsWith('#') || pattern.startsWith('!')) return;
+
+      const filter = attributes.reduce((value, attribute) => {
+        if (attribute === '-filter' || attribute === '!filter') return null;
+        if (attribute.startsWith('filter=')) return attribute.slice('filter='.length);
+        return value;
+      }, undefined);
+      if (filter === undefined) return;
+
+      const parsed = GitignoreMatcher.parseLine(pattern, baseDir);
+      if (parsed && !parsed.dirOnly) {
+        this.rules.push({ ...parsed, filter, source, line: index + 1 });
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Indica si una ruta (relativa a la raíz del repositorio) se guarda con Git LFS
+   */
+  isLfs(filePath) {
+    let filter = null;
+
+    this.rules.forEach(rule => {
+      const prefix = rule.baseDir ? `${rule.baseDir}/` : '';
+      if (filePath.startsWith(prefix) && rule.regex.test(filePath.slice(prefix.length))) {
+        filter = rule.filter;
+      }
+    });
+
+    return filter === 'lfs';
+  }
+}
+
+module.exports = GitAttributes;
@@ -0,0 +1,22 @@
+/**
+ * Comandos git que los reportes sugieren copiar en una terminal (shell POSIX)
+ */
+class GitCommands {
+  /**
+   * Ruta entre comillas simples si tiene caracteres especiales para la shell
+   */
+  static quote(filePath) {
+    return /^[\w./@+-]+$/.test(filePath) ? filePath : `'${filePath.replace(/'/g, `'\\''`)}'`;
+  }
+
+  /**
+   * `git rm --cached` para dejar de versionar archivos sin borrarlos del disco
+   * @param {string[]} paths - Archivos o carpetas
+   * @param {Object} options - { recursive: true para carpetas (-r) }
+   */
+  static removeCached(paths, { recursive = false } = {}) {
+    return `git rm ${recursive ? '-r ' : ''}--cached ${paths.map(GitCommands.quote).join(' ')}`;
+  }
+}
+
+module.exports = GitCommands;
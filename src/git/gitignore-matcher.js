@@ -0,0 +1,206 @@
+const path = require('path');
+
+/**
+ * Evalúa rutas contra reglas de .gitignore con la semántica de Git:
+ * comodines (`*`, `?`, `[...]`, `**`), negación (`!`), anclaje (`/` al
+ * inicio o en medio), patrones solo de carpetas (`/` al final), comentarios
+ * y archivos .gitignore anidados (relativos a su carpeta).
+ */
+class GitignoreMatcher {
+  constructor() {
+    this.patterns = [];
+  }
+
+  /**
+   * Construye el matcher con todos los .gitignore del repositorio; igual que
+   * Git, no entra en carpetas ya ignoradas
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del proyecto
+   * @returns {Promise<GitignoreMatcher>} Matcher con las reglas encontradas
+   */
+  static async fromFileSystem(fileSystem) {
+    const matcher = new GitignoreMatcher();
+
+    const walk = async (dir) => {
+      const gitignorePath = dir ? `${dir}/.gitignore` : '.gitignore';
+      if (await fileSystem.exists(gitignorePath) && !(await fileSystem.isDirectory(gitignorePath))) {
+        matcher.add(await fileSystem.readFile(gitignorePath), dir, gitignorePath);
+      }
+
+      for (const name of (await fileSystem.readdir(dir)).sort()) {
+        const entryPath = dir ? `${dir}/${name}` : name;
+        if (name !== '.git' && await fileSystem.isDirectory(entryPath) && !matcher.isIgnored(entryPath, true)) {
+          await walk(entryPath);
+        }
+      }
+    };
+
+    await walk('');
+    return matcher;
+  }
+
+  /**
+   * Agrega las reglas de un .gitignore
+   * @param {string} content - Contenido del archivo
+   * @param {string} baseDir - Carpeta del archivo ('' para la raíz)
+   * @param {string} source - Ruta del archivo (para explicar coincidencias)
+   * @returns {GitignoreMatcher} El mismo matcher
+   */
+  add(content, baseDir = '', source = '.gitignore') {
+    content.split(/\r?\n/).forEach((text, index) => {
+      const pattern = GitignoreMatcher.parseLine(text, baseDir);
+      if (pattern) {
+        this.patterns.push({ ...pattern, source, line: index + 1 });
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Interpreta una línea de .gitignore
+   * @returns {Object|null} { pattern, negated, dirOnly, baseDir, regex } o null
+   *   si es un comentario o una línea vacía
+   */
+  static parseLine(text, baseDir = '') {
+    // Los espacios finales se ignoran salvo que estén escapados
+    let pattern = text.replace(/(?<!\\)\s+$/, '');
+
+    if (pattern === '' || pattern.startsWith('#')) {
+      return null;
+    }
+
+    const negated = pattern.startsWith('!');
+    if (negated) {
+      pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\#') || pattern.startsWith('\\!')) {
+      pattern = pattern.slice(1);
+    }
+
+    const dirOnly = pattern.endsWith('/');
+    const body = pattern.replace(/\/+$/, '');
+    if (body === '') {
+      return null;
+    }
+
+    // Con una barra al inicio o en medio, el patrón es relativo a la carpeta del .gitignore
+    const anchored = body.includes('/');
+    const glob = body.replace(/^\//, '');
+    const source = GitignoreMatcher.globToRegExp(glob);
+
+    return {
+      pattern: text.trim(),
+      negated,
+      dirOnly,
+      baseDir,
+      regex: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`)
+    };
+  }
+
+  /**
+   * Traduce un glob de .gitignore a expresión regular (sin anclas)
+   */
+  static globToRegExp(glob) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+
+      if (char === '*' && glob[i + 1] === '*' && (i === 0 || glob[i - 1] === '/') && (i + 2 === glob.length || glob[i + 2] === '/')) {
+        // "**/" al inicio o en medio: cero o más carpetas; "/**" al final: todo lo de dentro
+        if (i + 2 === glob.length) {
+          source += '.*';
+          i += 1;
+        } else {
+          source += '(?:.*/)?';
+          i += 2;
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[') {
+        const end = glob.indexOf(']', i + 2);
+        if (end === -1) {
+          source += '\\[';
+        } else {
+          const range = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+          source += `[${range}]`;
+          i = end;
+        }
+      } else if (char === '\\' && i + 1 < glob.length) {
+        source += GitignoreMatcher.escape(glob[++i]);
+      } else {
+        source += GitignoreMatcher.escape(char);
+      }
+    }
+
+    return source;
+  }
+
+  static escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+
+  /**
+   * Indica si una ruta queda ignorada. Como en Git, un archivo dentro de una
+   * carpeta ignorada no se puede volver a incluir con "!"
+   * @param {string} filePath - Ruta relativa a la raíz del repositorio ('a/b')
+   * @param {boolean} isDirectory - Si la ruta es una carpeta
+   * @returns {boolean} true si está ignorada
+   */
+  isIgnored(filePath, isDirectory = false) {
+    return Boolean(this.explain(filePath, isDirectory));
+  }
+
+  /**
+   * Regla que ignora una ruta (la propia o la de una carpeta que la contiene)
+   * @returns {Object|null} { path (ruta ignorada: la propia o la carpeta),
+   *   isDirectory, pattern, source, line } o null si no está ignorada
+   */
+  explain(filePath, isDirectory = false) {
+    const parts = GitignoreMatcher.normalize(filePath).split('/');
+
+    for (let i = 1; i <= parts.length; i++) {
+      const matchedPath = parts.slice(0, i).join('/');
+      const matchedIsDirectory = i < parts.length || isDirectory;
+      const match = this.match(matchedPath, matchedIsDirectory);
+      if (match && !match.negated) {
+        return {
+          path: matchedPath,
+          isDirectory: matchedIsDirectory,
+          pattern: match.pattern,
+          source: match.source,
+          line: match.line
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Última regla que coincide con la ruta exacta (las reglas de .gitignore
+   * más profundos se agregan después y tienen prioridad)
+   */
+  match(filePath, isDirectory) {
+    let result = null;
+
+    this.patterns.forEach(pattern => {
+      if (pattern.dirOnly && !isDirectory) return;
+
+      const prefix = pattern.baseDir ? `${pattern.baseDir}/` : '';
+      if (!filePath.startsWith(prefix)) return;
+
+      if (pattern.regex.test(filePath.slice(prefix.length))) {
+        result = pattern;
+      }
+    });
+
+    return result;
+  }
+
+  static normalize(filePath) {
+    return path.posix.normalize(filePath.replace(/\\/g, '/')).replace(/^(\.\/|\/)+/, '').replace(/\/+$/, '');
+  }
+}
+
+module.exports = GitignoreMatcher;
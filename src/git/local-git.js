@@ -0,0 +1,323 @@
+const path = require('path');
+const { execFile, spawn } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// Estados de `git diff --raw` con el nombre que usa pulls.listFiles
+const STATUS_NAMES = {
+  A: 'added',
+  M: 'modified',
+  D: 'removed',
+  R: 'renamed',
+  C: 'copied',
+  T: 'changed'
+};
+
+/**
+ * Acceso de solo lectura a un repositorio Git local (a través del binario `git`).
+ * Los comandos se ejecutan desde la raíz del repositorio, así que todas las
+ * rutas (diff, árbol) son relativas a ella aunque repoPath sea una subcarpeta
+ */
+class LocalGit {
+  /**
+   * @param {string} repoPath - Ruta del repositorio (o de cualquier carpeta dentro de él)
+   */
+  constructor(repoPath) {
+    this.repoPath = path.resolve(repoPath);
+    this.locationPromise = null;
+    this.batch = null;
+  }
+
+  /**
+   * Ejecuta un comando git en una carpeta
+   * @returns {Promise<string>} Salida estándar
+   * @throws {Error} Con el mensaje de git si el comando falla
+   */
+  async exec(cwd, args) {
+    try {
+      const { stdout } = await execFileAsync('git', ['-C', cwd, ...args], {
+        maxBuffer: 256 * 1024 * 1024
+      });
+      return stdout;
+    } catch (error) {
+      const detail = (error.stderr || '').trim().split('\n')[0] || error.message;
+      throw new Error(`git ${args[0]} failed: ${detail}`);
+    }
+  }
+
+  /**
+   * Ejecuta un comando git desde la raíz del repositorio
+   */
+  async run(args) {
+    const { root } = await this.locate();
+    return this.exec(root, args);
+  }
+
+  /**
+   * Raíz del repositorio y carpeta de repoPath dentro de ella (se calcula una vez)
+   * @returns {Promise<Object>} { root, prefix ('' si repoPath es la raíz) }
+   */
+  locate() {
+    if (!this.locationPromise) {
+      this.locationPromise = this.exec(this.repoPath, ['rev-parse', '--show-toplevel', '--show-prefix'])
+        .then(output => {
+          const [root, prefix = ''] = output.split('\n');
+          return { root, prefix: prefix.replace(/\/$/, '') };
+        });
+    }
+    return this.locationPromise;
+  }
+
+  /**
+   * Resuelve una ref (rama, tag, SHA...) al SHA de su commit
+   * @throws {Error} Si la ref no existe
+   */
+  async resolveCommit(ref) {
+    try {
+      return (await this.run(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`])).trim();
+    } catch (error) {
+      throw new Error(`Unknown git ref "${ref}" in ${this.repoPath}`);
+    }
+  }
+
+  /**
+   * Ancestro común de base y head (base si las historias no se cruzan)
+   */
+  async mergeBase(base, head) {
+    return this.run(['merge-base', base, head])
+      .then(output => output.trim())
+      .catch(() => base); // Historias sin ancestro común: diff directo
+  }
+
+  /**
+   * Archivos modificados entre el merge-base y head con la forma de
+   * pulls.listFiles (como en un PR, se compara head contra el ancestro común)
+   * @param {string} mergeBase - Ancestro común de base y head (ver mergeBase())
+   * @param {string} head - Commit head
+   * @returns {Promise<Object[]>} { sha, filename, status, additions, deletions,
+   *   changes, patch, previous_filename }
+   */
+  async listChangedFiles(mergeBase, head) {
+    const range = [mergeBase, head];
+    const [raw, numstat, diff] = await Promise.all([
+      this.run(['diff', '--raw', '--no-abbrev', '-z', '-M', ...range]),
+      this.run(['diff', '--numstat', '-z', '-M', ...range]),
+      this.run(['diff', '--no-color', '--no-ext-diff', '--full-index', '-M', ...range])
+    ]);
+
+    const stats = this.parseNumstat(numstat);
+    const patches = this.splitPatches(diff);
+    const files = [];
+
+    for (const entry of this.parseRaw(raw)) {
+      const stat = stats.get(entry.filename) || { additions: 0, deletions: 0, binary: false };
+      const file = {
+        sha: entry.status === 'removed' ? entry.srcSha : entry.dstSha,
+        filename: entry.filename,
+        status: entry.status,
+        additions: stat.additions,
+        deletions: stat.deletions,
+        changes: stat.additions + stat.deletions
+      };
+
+      // Igual que GitHub: los archivos binarios no tienen patch
+      const patch = !stat.binary && patches.get(`${entry.srcSha}..${entry.dstSha}`);
+      if (patch) file.patch = patch;
+
+      if (entry.previousFilename) {
+        file.previous_filename = entry.previousFilename;
+      }
+
+      files.push(file);
+    }
+
+    return files;
+  }
+
+  /**
+   * Interpreta `git diff --raw -z`: ":modo modo sha sha estado\0ruta\0[ruta destino\0]"
+   */
+  parseRaw(output) {
+    const tokens = output.split('\0');
+    const entries = [];
+
+    for (let i = 0; i < tokens.length - 1;) {
+      const [, , srcSha, dstSha, statusCode] = tokens[i++].slice(1).split(' ');
+      const letter = statusCode[0];
+      const entry = { srcSha, dstSha, status: STATUS_NAMES[letter] || 'changed' };
+
+      if (letter === 'R' || letter === 'C') {
+        entry.previousFilename = tokens[i++];
+      }
+      entry.filename = tokens[i++];
+      entries.push(entry);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Interpreta `git diff --numstat -z`; los renombrados ocupan tres campos
+   * ("añadidas\teliminadas\t\0origen\0destino\0") y los binarios usan "-"
+   * @returns {Map<string, Object>} { additions, deletions, binary } por archivo destino
+   */
+  parseNumstat(output) {
+    const tokens = output.split('\0');
+    const stats = new Map();
+
+    for (let i = 0; i < tokens.length - 1;) {
+      const [additions, deletions, filename] = tokens[i++].split('\t');
+      const target = filename === '' ? (i++, tokens[i++]) : filename;
+
+      stats.set(target, {
+        additions: Number(additions) || 0,
+        deletions: Number(deletions) || 0,
+        binary: additions === '-'
+      });
+    }
+
+    return stats;
+  }
+
+  /**
+   * Separa la salida de un `git diff --full-index` en los hunks de cada archivo.
+   * Las secciones se identifican por su línea "index <origen>..<destino>", que
+   * coincide con los SHA de `--raw` (así no hay que interpretar rutas entre comillas)
+   * @returns {Map<string, string>} Patch por "shaOrigen..shaDestino"
+   */
+  splitPatches(diff) {
+    const patches = new Map();
+
+    diff.split(/^(?=diff --git )/m).forEach(section => {
+      const index = section.match(/^index ([0-9a-f]+)\.\.([0-9a-f]+)/m);
+      const patch = this.stripPatchHeader(section);
+      if (index && patch) {
+        patches.set(`${index[1]}..${index[2]}`, patch);
+      }
+    });
+
+    return patches;
+  }
+
+  /**
+   * Deja solo los hunks (desde el primer "@@"), como el `patch` de pulls.listFiles
+   */
+  stripPatchHeader(diff) {
+    const start = diff.search(/^@@/m);
+    return start === -1 ? '' : diff.slice(start).replace(/\n$/, '');
+  }
+
+  /**
+   * Árbol recursivo de un commit (archivos y carpetas)
+   * @returns {Promise<Object[]>} { path, type: 'blob'|'tree', sha, size (solo blobs) }
+   */
+  async listTree(ref) {
+    const output = await this.run(['ls-tree', '-r', '-t', '-l', '-z', ref]);
+
+    return output.split('\0').filter(Boolean).map(line => {
+      const [meta, entryPath] = line.split('\t');
+      const [, type, sha, size] = meta.split(/\s+/);
+      return { path: entryPath, type, sha, ...(type === 'blob' ? { size: Number(size) } : {}) };
+    });
+  }
+
+  /**
+   * Archivos versionados en el índice (`git ls-files`) dentro de repoPath,
+   * relativos a repoPath (que es la raíz de LocalFileSystem)
+   * @returns {Promise<string[]>} Rutas con '/'
+   */
+  async listTrackedFiles() {
+    const { prefix } = await this.locate();
+    const files = (await this.run(['ls-files', '-z', '--full-name'])).split('\0').filter(Boolean);
+
+    return prefix
+      ? files.filter(file => file.startsWith(`${prefix}/`)).map(file => file.slice(prefix.length + 1))
+      : files;
+  }
+
+  /**
+   * Contenido de un blob como texto. Todas las lecturas comparten un único
+   * `git cat-file --batch`
+   * @throws {Error} Si el blob no existe
+   */
+  async readBlob(sha) {
+    const batch = await this.startBatch();
+
+    return new Promise((resolve, reject) => {
+      batch.pending.push({ sha, resolve, reject });
+      batch.setActive(true);
+      batch.process.stdin.write(`${sha}\n`);
+    });
+  }
+
+  /**
+   * Arranca (una vez) el proceso `git cat-file --batch`. Mientras no hay
+   * lecturas pendientes no mantiene vivo a Node; stop() lo cierra
+   * @returns {Promise<Object>} { process, pending, setActive }
+   */
+  async startBatch() {
+    if (this.batch) return this.batch;
+
+    const { root } = await this.locate();
+    if (this.batch) return this.batch;
+
+    const child = spawn('git', ['-C', root, 'cat-file', '--batch'], { stdio: ['pipe', 'pipe', 'ignore'] });
+    const batch = {
+      process: child,
+      pending: [],
+      setActive: active => [child, child.stdin, child.stdout].forEach(handle => (active ? handle.ref() : handle.unref()))
+    };
+    this.batch = batch;
+    batch.setActive(false);
+
+    let buffer = Buffer.alloc(0);
+    child.stdout.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      // Respuesta: "<sha> <tipo> <tamaño>\n<contenido>\n" o "<sha> missing\n"
+      while (batch.pending.length > 0) {
+        const headerEnd = buffer.indexOf('\n');
+        if (headerEnd === -1) return;
+
+        const [, type, size] = buffer.subarray(0, headerEnd).toString().split(' ');
+        if (size === undefined) {
+          const { sha, reject } = batch.pending.shift();
+          reject(new Error(`git cat-file failed: blob ${sha} not found`));
+          buffer = buffer.subarray(headerEnd + 1);
+          continue;
+        }
+
+        const end = headerEnd + 1 + Number(size);
+        if (buffer.length < end + 1) return;
+
+        batch.pending.shift().resolve(buffer.subarray(headerEnd + 1, end).toString('utf8'));
+        buffer = buffer.subarray(end + 1);
+      }
+
+      if (batch.pending.length === 0) batch.setActive(false);
+    });
+
+    const fail = error => {
+      if (this.batch === batch) this.batch = null;
+      batch.pending.splice(0).forEach(({ reject }) => reject(error));
+    };
+    child.stdin.on('error', () => {}); // EPIPE si el proceso terminó: lo reporta 'exit'
+    child.on('error', error => fail(new Error(`git cat-file failed: ${error.message}`)));
+    child.on('exit', () => fail(new Error('git cat-file failed: process exited')));
+
+    return batch;
+  }
+
+  /**
+   * Cierra el proceso de lectura de blobs, si está abierto
+   */
+  stop() {
+    if (this.batch) {
+      this.batch.process.stdin.end();
+      this.batch = null;
+    }
+  }
+}
+
+module.exports = LocalGit;
@@ -1,7 +1,15 @@
 const express = require('express');
 const { Webhooks } = require('@octokit/webhooks');
-const { Octokit } = require('@octokit/rest');
 const CodeReviewer = require('./code-reviewer');
+const GitHubFileSystem = require('./filesystem/github-file-system');
+const JobQueue = require('./queue/job-queue');
+const GitHubAuth = require('./github/github-auth');
+const CheckRunPublisher = require('./github/check-run-publisher');
+const ReviewCommentPublisher = require('./github/review-comment-publisher');
+const ReportModel = require('./reports/report-model');
+const RendererRegistry = require('./reports/renderer-registry');
+const MarkdownRenderer = require('./reports/renderers/markdown-renderer');
+const I18n = require('./i18n/i18n');
 const crypto = require('crypto');
 
 class GitHubWebhookHandler {
@@ -11,11 +19,30 @@ class GitHubWebhookHandler {
     
     // Configuración de webhook
     this.webhookSecret = process.env.WEBHOOK_SECRET || 'your-webhook-secret-here';
-    this.githubToken = process.env.GITHUB_TOKEN; // Personal Access Token o App Token
     
-    // Cliente de GitHub
-    this.octokit = new Octokit({
-      auth: this.githubToken,
+    // Autenticación de GitHub: App con tokens de instalación, o PAT si no hay credenciales de App
+    this.githubAuth = new GitHubAuth(process.env);
+
+    // Salidas del resultado: Check Run, review con comentarios en línea y/o comentario en el PR
+    this.outputs = this.resolveOutputs(process.env.REVIEW_OUTPUTS || 'check,review');
+    this.checkRunPublisher = new CheckRunPublisher();
+    this.reviewCommentPublisher = new ReviewCommentPublisher();
+    this.checkRuns = new Map(); // jobId -> Promise<checkRunId>
+
+    // Formato del reporte en cada salida (Check Run y comentario)
+    this.renderers = RendererRegistry.createDefault();
+    this.reportFormats = this.resolveReportFormats(process.env.REVIEW_REPORT_FORMATS || '');
+
+    // Idioma de los reportes: por instalación o general (el .pr-reviewer del repositorio tiene prioridad)
+    this.defaultLocale = I18n.resolveLocale(process.env.REVIEW_LOCALE) || I18n.DEFAULT_LOCALE;
+    this.installationLocales = this.resolveInstallationLocales(process.env.REVIEW_INSTALLATION_LOCALES || '');
+
+    // Cola de revisiones: el webhook responde de inmediato y la revisión corre aparte
+    this.jobQueue = new JobQueue(job => this.processPullRequestJob(job), {
+      concurrency: this.resolveInteger(process.env.REVIEW_CONCURRENCY, 2),
+      maxAttempts: this.resolveInteger(process.env.REVIEW_MAX_ATTEMPTS, 3),
+      retryDelay: this.resolveInteger(process.env.REVIEW_RETRY_DELAY_MS, 2000),
+      onSuperseded: job => this.skipCheckRun(job)
     });
     
     this.setupMiddleware();
@@ -38,6 +65,7 @@ class GitHubWebhookHandler {
         endpoints: {
           'POST /webhook': 'GitHub webhook handler',
           'GET /health': 'Health check',
+          'GET /jobs': 'Review queue status',
           'POST /analyze': 'Manual analysis (for testing)'
         }
       });
@@ -49,10 +77,16 @@ class GitHubWebhookHandler {
         status: 'ok',
         timestamp: new Date().toISOString(),
         webhook: this.webhookSecret ? 'configured' : 'not configured',
-        github: this.githubToken ? 'authenticated' : 'not authenticated'
+        github: this.githubAuth.mode === 'none' ? 'not authenticated' : this.githubAuth.mode,
+        outputs: Object.keys(this.outputs).filter(output => this.outputs[output])
       });
     });
 
+    // Estado de la cola de revisiones
+    this.app.get('/jobs', (req, res) => {
+      res.json(this.jobQueue.snapshot());
+    });
+
     // Webhook endpoint
     this.app.post('/webhook', (req, res) => {
       this.handleWebhook(req, res);
@@ -69,7 +103,8 @@ class GitHubWebhookHandler {
           });
         }
 
-        const result = await this.analyzePR(owner, repo, pr_number);
+        const octokit = await this.githubAuth.getOctokitForRepo(owner, repo);
+        const result = await this.analyzePR(octokit, owner, repo, pr_number);
         res.json(result);
         
       } catch (error) {
@@ -79,6 +114,109 @@ class GitHubWebhookHandler {
     });
   }
 
+  /**
+   * Número entero de una variable de entorno; el valor por defecto solo se usa
+   * si no es un número (REVIEW_RETRY_DELAY_MS=0 desactiva la espera)
+   */
+  resolveInteger(value, defaultValue) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? defaultValue : parsed;
+  }
+
+  /**
+   * Interpreta REVIEW_OUTPUTS: lista separada por comas de "check", "review"
+   * (comentarios en línea) y "comment" (comentario único en el PR).
+   * Los Check Runs solo están disponibles autenticando como GitHub App.
+   */
+  resolveOutputs(value) {
+    const requested = value.split(',').map(output => output.trim().toLowerCase());
+    const outputs = {
+      check: requested.includes('check'),
+      review: requested.includes('review'),
+      comment: requested.includes('comment')
+    };
+
+    if (outputs.check && this.githubAuth.mode !== 'app') {
+      console.warn('⚠️  Check runs require GitHub App authentication, falling back to PR comments');
+      outputs.check = false;
+    }
+
+    if (!outputs.check && !outputs.review && !outputs.comment) {
+      outputs.comment = true;
+    }
+
+    return outputs;
+  }
+
+  /**
+   * Interpreta REVIEW_REPORT_FORMATS: pares "salida=formato" separados por
+   * comas (p. ej. "check=markdown,comment=html"). Por defecto, markdown.
+   */
+  resolveReportFormats(value) {
+    const formats = { check: 'markdown', comment: 'markdown' };
+
+    value.split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+      const [channel, format] = pair.split('=').map(part => part.trim().toLowerCase());
+
+      if (!(channel in formats) || !this.renderers.has(format)) {
+        console.warn(`⚠️  Ignoring report format "${pair}" (outputs: ${Object.keys(formats).join(', ')}; formats: ${this.renderers.names().join(', ')})`);
+        return;
+      }
+
+      formats[channel] = format;
+    });
+
+    return formats;
+  }
+
+  /**
+   * Interpreta REVIEW_INSTALLATION_LOCALES: pares "installationId=idioma"
+   * separados por comas (p. ej. "1234=en,5678=es")
+   * @returns {Map<string, string>} installationId -> idioma
+   */
+  resolveInstallationLocales(value) {
+    const locales = new Map();
+
+    value.split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+      const [installationId, locale] = pair.split('=').map(part => part.trim());
+      const resolved = I18n.resolveLocale(locale);
+
+      if (!installationId || !resolved) {
+        console.warn(`⚠️  Ignoring installation locale "${pair}" (locales: ${I18n.supportedLocales().join(', ')})`);
+        return;
+      }
+
+      locales.set(installationId, resolved);
+    });
+
+    return locales;
+  }
+
+  /**
+   * Idioma configurado para una instalación de la App (o el general)
+   */
+  getInstallationLocale(installation) {
+    return (installation && this.installationLocales.get(String(installation.id))) || this.defaultLocale;
+  }
+
+  /**
+   * Renderiza el reporte con el formato configurado para una salida. Los
+   * formatos que no son Markdown se publican dentro de un bloque de código.
+   * @param {string} channel - Salida (check, comment)
+   * @param {Object} report - Reporte normalizado (ReportModel)
+   * @returns {string} Texto a publicar
+   */
+  renderReport(channel, report) {
+    const renderer = this.renderers.get(this.reportFormats[channel]);
+    const output = renderer.render(report);
+
+    if (renderer.embeddable) {
+      return output;
+    }
+
+    return `${MarkdownRenderer.REPORT_MARKER}\n<details><summary>🤖 PR Code Reviewer (${renderer.name})</summary>\n\n\`\`\`${renderer.extension}\n${output.trimEnd()}\n\`\`\`\n</details>\n`;
+  }
+
   /**
    * Verifica la firma del webhook de GitHub
    */
@@ -115,12 +253,15 @@ class GitHubWebhookHandler {
 
       console.log(`📨 Webhook received: ${event}`);
       
-      // Solo procesar eventos de Pull Requests
-      if (event === 'pull_request') {
-        await this.handlePullRequestEvent(payload);
+      // Solo procesar eventos de Pull Requests; la revisión se encola
+      // para responder antes del timeout de entrega de GitHub
+      const job = event === 'pull_request' ? this.handlePullRequestEvent(payload) : null;
+
+      if (job) {
+        return res.status(202).json({ message: 'Review queued', jobId: job.id });
       }
 
-      res.status(200).json({ message: 'Webhook processed successfully' });
+      res.status(202).json({ message: 'Event ignored' });
 
     } catch (error) {
       console.error('❌ Webhook error:', error);
@@ -129,230 +270,311 @@ class GitHubWebhookHandler {
   }
 
   /**
-   * Maneja eventos específicos de Pull Requests
+   * Maneja eventos específicos de Pull Requests encolando la revisión
+   * @returns {Object|null} Trabajo encolado o null si la acción se ignora
    */
-  async handlePullRequestEvent(payload) {
+  handlePullRequestEvent(payload) {
     const { action, pull_request, repository } = payload;
     
     // Solo actuar en ciertos eventos
     const relevantActions = ['opened', 'synchronize', 'reopened'];
     if (!relevantActions.includes(action)) {
       console.log(`⏭️  Skipping PR action: ${action}`);
-      return;
+      return null;
     }
 
-    console.log(`🔍 Analyzing PR #${pull_request.number} in ${repository.full_name}`);
-    
+    // Un push nuevo al mismo PR reemplaza la revisión pendiente
+    const key = `${repository.full_name}#${pull_request.number}`;
+    const job = this.jobQueue.enqueue(key, payload, `review ${key} (${action})`);
+
+    // Mostrar el check como "queued" mientras la revisión espera en la cola
+    if (this.outputs.check) {
+      this.checkRuns.set(job.id, this.createCheckRun(payload));
+    }
+
+    return job;
+  }
+
+  /**
+   * Crea el Check Run (queued) del commit head del PR
+   * @returns {Promise<number|null>} Id del Check Run o null si no se pudo crear
+   */
+  async createCheckRun(payload) {
     try {
-      // Intentar análisis completo primero
-      await this.analyzeFullPR(
-        repository.owner.login,
-        repository.name,
-        pull_request.number
-      );
+      const octokit = await this.githubAuth.getOctokitForPayload(payload);
+      return await this.checkRunPublisher.create(octokit, {
+        owner: payload.repository.owner.login,
+        repo: payload.repository.name,
+        headSha: payload.pull_request.head.sha
+      });
     } catch (error) {
-      console.error('❌ Full analysis failed, using fallback:', error.message);
-      
-      // Análisis de fallback usando webhook data
-      const fallbackAnalysis = this.analyzePRWebhookData(pull_request, repository);
-      const fallbackReport = this.generateFallbackSpanishReport(fallbackAnalysis, pull_request);
-      
-      await this.commentOnPR(
-        repository.owner.login,
-        repository.name,
-        pull_request.number,
-        fallbackReport
-      );
+      console.warn(`⚠️  Could not create check run: ${error.message}`);
+      return null;
     }
   }
 
   /**
-   * Análisis completo usando CodeReviewer y analyzers
+   * Pasa el Check Run de un trabajo a "in_progress" (creándolo si hace falta)
+   * @returns {Promise<number|null>} Id del Check Run o null si no se usa/no se pudo crear
    */
-  async analyzeFullPR(owner, repo, prNumber) {
-    console.log(`📊 Starting complete analysis: ${owner}/${repo}#${prNumber}`);
+  async startCheckRun(octokit, job) {
+    if (!this.outputs.check) {
+      return null;
+    }
 
-    // Obtener archivos del PR
-    const { data: files } = await this.octokit.rest.pulls.listFiles({
-      owner,
-      repo,
-      pull_number: prNumber,
-    });
+    let checkRunId = await (this.checkRuns.get(job.id) || null);
+    if (!checkRunId) {
+      checkRunId = await this.createCheckRun(job.data);
+      this.checkRuns.set(job.id, Promise.resolve(checkRunId));
+    }
 
-    console.log(`📁 PR contains ${files.length} files`);
-    console.log('✅ GitHub API permissions working! Full analysis enabled.');
+    if (checkRunId) {
+      try {
+        await this.checkRunPublisher.start(octokit, {
+          owner: job.data.repository.owner.login,
+          repo: job.data.repository.name,
+          checkRunId
+        });
+      } catch (error) {
+        console.warn(`⚠️  Could not update check run ${checkRunId}: ${error.message}`);
+      }
+    }
 
-    // Usar CodeReviewer para análisis completo
-    const CodeReviewer = require('./code-reviewer');
-    const reviewer = new CodeReviewer();
+    return checkRunId;
+  }
 
-    // Simular análisis en archivos del PR
-    const analysisResult = this.analyzeFileStructure(files, repo);
-    
-    // Generar reporte en español
-    const report = this.generateSpanishReport(analysisResult, files);
+  /**
+   * Cierra como "skipped" el Check Run de un trabajo reemplazado por otro más nuevo
+   */
+  async skipCheckRun(job) {
+    const locale = this.getInstallationLocale(job.data.installation);
+    await this.closeCheckRun(job, {
+      conclusion: 'skipped',
+      report: `⏭️ ${new I18n(locale).t('check.superseded', { job: job.supersededBy })}`,
+      locale
+    });
+  }
+
+  /**
+   * Completa sin análisis el Check Run de un trabajo que ya no se va a
+   * revisar y lo quita de `checkRuns`
+   * @param {Object} options - { conclusion, report, locale }
+   */
+  async closeCheckRun(job, { conclusion, report, locale }) {
+    const checkRun = this.checkRuns.get(job.id);
+    this.checkRuns.delete(job.id);
 
-    // Comentar en el PR
-    await this.commentOnPR(owner, repo, prNumber, report);
+    const checkRunId = await (checkRun || null);
+    if (!checkRunId) return;
 
-    return { success: true, analysis: analysisResult, filesAnalyzed: files.length };
+    try {
+      const octokit = await this.githubAuth.getOctokitForPayload(job.data);
+      await this.checkRunPublisher.complete(octokit, {
+        owner: job.data.repository.owner.login,
+        repo: job.data.repository.name,
+        checkRunId,
+        report,
+        conclusion,
+        locale
+      });
+    } catch (error) {
+      console.warn(`⚠️  Could not close check run ${checkRunId}: ${error.message}`);
+    }
   }
 
   /**
-   * Analiza la estructura de archivos del PR
+   * Worker de la cola: ejecuta la revisión de un PR. En el último intento,
+   * si ni la revisión ni el fallback se pueden publicar, el Check Run se
+   * cierra como "failure" para que no quede pendiente en el PR.
    */
-  analyzeFileStructure(files, repoName) {
-    const results = {
-      projectType: 'nodejs', // Detectar automáticamente
-      summary: { passed: 0, failed: 0, warnings: 0 },
-      issues: [],
-      warnings: [],
-      successes: []
-    };
+  async processPullRequestJob(job) {
+    const { pull_request, repository } = job.data;
+    const owner = repository.owner.login;
+    const repo = repository.name;
+    const locale = this.getInstallationLocale(job.data.installation);
+    let published = false;
 
-    // Buscar archivos problemáticos
-    const problematicFiles = [];
-    const filesOutsideSrc = [];
-    const srcStructure = {
-      controllers: false,
-      services: false,
-      routes: false,
-      models: false,
-      utils: false,
-      gateways: false
-    };
+    try {
+      const octokit = await this.githubAuth.getOctokitForPayload(job.data);
+      const checkRunId = await this.startCheckRun(octokit, job);
 
-    let hasGitignore = false;
-    let hasPackageJson = false;
+      console.log(`🔍 Analyzing PR #${pull_request.number} in ${repository.full_name} (attempt ${job.attempts}/${job.maxAttempts})`);
 
-    files.forEach(file => {
-      const filename = file.filename;
-      
-      // Verificar archivos prohibidos
-      if (filename.match(/^\.env/) && filename !== '.env.example') {
-        results.issues.push({
-          type: 'env-file',
-          file: filename,
-          message: `❌ Archivo de entorno detectado: ${filename}`,
-          suggestion: `Eliminar '${filename}' del repositorio y agregarlo a .gitignore. Usar '.env.example' para mostrar variables requeridas.`
-        });
-        results.summary.failed++;
-      }
+      try {
+        // Intentar análisis completo primero
+        await this.analyzeFullPR(octokit, owner, repo, pull_request.number, checkRunId, locale);
+      } catch (error) {
+        // Reintentar mientras queden intentos
+        if (job.attempts < job.maxAttempts) {
+          throw error;
+        }
 
-      // node_modules
-      if (filename.startsWith('node_modules/')) {
-        results.issues.push({
-          type: 'dependency-folder',
-          file: 'node_modules/',
-          message: '❌ Carpeta node_modules/ no debe estar en el repositorio',
-          suggestion: 'Agregar node_modules/ a .gitignore y eliminar del repositorio'
-        });
-        results.summary.failed++;
-      }
+        console.error('❌ Full analysis failed, using fallback:', error.message);
 
-      // .venv o venv
-      if (filename.startsWith('.venv/') || filename.startsWith('venv/')) {
-        results.issues.push({
-          type: 'venv-folder',
-          file: filename.split('/')[0] + '/',
-          message: `❌ Entorno virtual ${filename.split('/')[0]}/ no debe estar en el repositorio`,
-          suggestion: `Agregar ${filename.split('/')[0]}/ a .gitignore y eliminar del repositorio`
-        });
-        results.summary.failed++;
-      }
+        // Análisis de fallback usando webhook data
+        const fallbackAnalysis = this.analyzePRWebhookData(pull_request, repository, new I18n(locale));
+        const fallbackReport = ReportModel.fromPullRequest(fallbackAnalysis, { pr: pull_request, limited: true });
 
-      // Verificar .gitignore
-      if (filename === '.gitignore') {
-        hasGitignore = true;
-        results.successes.push({
-          type: 'gitignore',
-          message: '✅ Archivo .gitignore encontrado'
+        await this.publishReview(octokit, {
+          owner,
+          repo,
+          prNumber: pull_request.number,
+          headSha: pull_request.head.sha,
+          checkRunId,
+          analysis: fallbackAnalysis,
+          report: fallbackReport,
+          conclusion: 'neutral'
         });
-        results.summary.passed++;
       }
 
-      // Verificar package.json
-      if (filename === 'package.json') {
-        hasPackageJson = true;
-        results.successes.push({
-          type: 'package-json',
-          message: '✅ Archivo package.json encontrado'
+      published = true;
+    } finally {
+      // Con intentos pendientes el Check Run sigue abierto para el reintento
+      // (o lo cierra skipCheckRun si un evento más nuevo reemplaza al trabajo)
+      if (published) {
+        this.checkRuns.delete(job.id);
+      } else if (job.attempts >= job.maxAttempts) {
+        await this.closeCheckRun(job, {
+          conclusion: 'failure',
+          report: `❌ ${new I18n(locale).t('check.failed', { attempts: job.attempts })}`,
+          locale
         });
-        results.summary.passed++;
       }
+    }
+  }
 
-      // Verificar estructura src/
-      if (filename.startsWith('src/')) {
-        // Detectar subcarpetas de src
-        const parts = filename.split('/');
-        if (parts.length > 1) {
-          const folder = parts[1];
-          if (srcStructure.hasOwnProperty(folder)) {
-            srcStructure[folder] = true;
-          }
-        }
-      } else {
-        // Archivos fuera de src que podrían estar dentro
-        if (filename.match(/\.(js|ts|jsx|tsx)$/) && !filename.match(/^(test|spec|\.)/)) {
-          const parts = filename.split('/');
-          if (parts.length === 1 || !parts[0].match(/^(node_modules|dist|build|coverage)/)) {
-            filesOutsideSrc.push(filename);
-          }
-        }
-      }
+  /**
+   * Análisis completo usando CodeReviewer y analyzers
+   * @param {number|null} checkRunId - Check Run donde publicar (null: solo comentario)
+   * @param {string} locale - Idioma de la instalación
+   */
+  async analyzeFullPR(octokit, owner, repo, prNumber, checkRunId = null, locale = this.defaultLocale) {
+    console.log(`📊 Starting complete analysis: ${owner}/${repo}#${prNumber}`);
+
+    const { pr, files, analysis, fileSystem } = await this.reviewPullRequest(octokit, owner, repo, prNumber, locale);
+    console.log('✅ GitHub API permissions working! Full analysis enabled.');
+    
+    // Reporte normalizado (cada salida lo renderiza en su formato)
+    const report = ReportModel.fromPullRequest(analysis, { pr, files });
+
+    // Anotaciones sobre los archivos del árbol revisado
+    const annotations = checkRunId
+      ? this.checkRunPublisher.buildAnnotations(analysis, await fileSystem.listFiles())
+      : [];
+
+    // Publicar en las salidas configuradas (Check Run, review, comentario)
+    await this.publishReview(octokit, {
+      owner,
+      repo,
+      prNumber,
+      headSha: pr.head.sha,
+      checkRunId,
+      analysis,
+      report,
+      annotations,
+      files
     });
 
-    // Verificar archivos faltantes
-    if (!hasGitignore) {
-      results.issues.push({
-        type: 'missing-gitignore',
-        message: '❌ Archivo .gitignore faltante',
-        suggestion: 'Crear archivo .gitignore para excluir archivos innecesarios del control de versiones'
+    return { success: true, analysis, filesAnalyzed: files.length, sha: pr.head.sha };
+  }
+
+  /**
+   * Publica el resultado en las salidas configuradas. Si no hay Check Run
+   * disponible ni review activada, el comentario se publica aunque no esté activado.
+   * @param {Object} options.report - Reporte normalizado (ReportModel)
+   */
+  async publishReview(octokit, { owner, repo, prNumber, headSha, checkRunId, analysis, report, annotations = [], files = [], conclusion = null }) {
+    if (checkRunId) {
+      await this.checkRunPublisher.complete(octokit, {
+        owner,
+        repo,
+        checkRunId,
+        analysis,
+        report: this.renderReport('check', report),
+        annotations,
+        conclusion
       });
-      results.summary.failed++;
     }
 
-    // Verificar estructura recomendada
-    const recommendedFolders = ['controllers', 'services', 'routes'];
-    const missingSrcFolders = recommendedFolders.filter(folder => !srcStructure[folder]);
-    
-    if (Object.values(srcStructure).some(exists => exists)) {
-      results.successes.push({
-        type: 'src-structure',
-        message: '✅ Estructura src/ encontrada'
+    if (this.outputs.review) {
+      await this.reviewCommentPublisher.publish(octokit, {
+        owner,
+        repo,
+        prNumber,
+        commitId: headSha,
+        analysis,
+        changedFiles: files
       });
-      results.summary.passed++;
+    }
 
-      // Recomendar carpetas faltantes
-      if (missingSrcFolders.length > 0) {
-        results.warnings.push({
-          type: 'missing-folders',
-          message: `⚠️  Considerar agregar: src/${missingSrcFolders.join('/, src/')}/ para mejor organización`,
-          suggestion: 'Organizar el código en carpetas específicas (controllers, services, routes) mejora la mantenibilidad'
-        });
-        results.summary.warnings++;
-      }
+    if (this.outputs.comment || (!checkRunId && !this.outputs.review)) {
+      await this.commentOnPR(octokit, owner, repo, prNumber, this.renderReport('comment', report));
     }
+  }
 
-    // Archivos fuera de src/
-    if (filesOutsideSrc.length > 0) {
-      results.warnings.push({
-        type: 'files-outside-src',
-        message: `⚠️  Archivos fuera de src/: ${filesOutsideSrc.slice(0, 3).join(', ')}${filesOutsideSrc.length > 3 ? '...' : ''}`,
-        suggestion: 'Considerar mover archivos de código a la carpeta src/ para mejor organización'
+  /**
+   * Ejecuta la revisión de un PR: los analizadores de CodeReviewer sobre el
+   * árbol de pr.head.sha más los checks propios de los archivos modificados
+   * @param {string} locale - Idioma de la instalación
+   */
+  async reviewPullRequest(octokit, owner, repo, prNumber, locale = this.defaultLocale) {
+    // Obtener información del PR
+    const { data: pr } = await octokit.rest.pulls.get({
+      owner,
+      repo,
+      pull_number: prNumber,
+    });
+
+    // Obtener archivos del PR (todas las páginas)
+    const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
+      owner,
+      repo,
+      pull_number: prNumber,
+      per_page: 100,
+    });
+
+    console.log(`📁 PR contains ${files.length} files`);
+
+    // Ejecutar los analizadores sobre el árbol del commit head del PR
+    const fileSystem = new GitHubFileSystem(octokit, { owner, repo, ref: pr.head.sha });
+
+    // Árbol base para comparar archivos (se descarga solo si un analizador lo lee)
+    const baseRef = await this.findMergeBase(octokit, owner, repo, pr);
+    const baseFileSystem = new GitHubFileSystem(octokit, { owner, repo, ref: baseRef });
+
+    const { reviewResults, analysis } = await this.codeReviewer.reviewChanges(fileSystem, files, { locale, baseFileSystem });
+
+    return { pr, files, analysis, reviewResults, fileSystem };
+  }
+
+  /**
+   * Merge-base del PR: el diff de pulls.listFiles se calcula contra él, no
+   * contra la punta actual de la rama base
+   * @returns {Promise<string>} SHA del merge-base (pr.base.sha si no se puede obtener)
+   */
+  async findMergeBase(octokit, owner, repo, pr) {
+    try {
+      const { data } = await octokit.rest.repos.compareCommitsWithBasehead({
+        owner,
+        repo,
+        basehead: `${pr.base.sha}...${pr.head.sha}`,
+        per_page: 1
       });
-      results.summary.warnings++;
+      return data.merge_base_commit.sha;
+    } catch (error) {
+      console.warn(`⚠️  Could not resolve merge base of PR #${pr.number}: ${error.message}`);
+      return pr.base.sha;
     }
-
-    return results;
   }
 
   /**
    * Análisis mejorado usando datos del webhook (fallback)
    */
-  analyzePRWebhookData(pull_request, repository) {
+  analyzePRWebhookData(pull_request, repository, i18n = new I18n(this.defaultLocale)) {
+    const { t } = i18n;
     const results = {
       projectType: 'nodejs',
+      locale: i18n.locale,
       summary: { passed: 0, failed: 0, warnings: 0 },
       issues: [],
       warnings: [],
@@ -367,8 +589,8 @@ class GitHubWebhookHandler {
     if (prText.includes('.env') || prText.includes('environment')) {
       results.issues.push({
         type: 'env-mentioned',
-        message: '❌ Se mencionan archivos .env en el PR',
-        suggestion: 'Verificar que no se hayan committeado archivos .env con credenciales'
+        message: `❌ ${t('metadata.envMentioned')}`,
+        suggestion: t('metadata.envMentionedSuggestion')
       });
       results.summary.failed++;
     }
@@ -376,8 +598,8 @@ class GitHubWebhookHandler {
     if (prText.includes('node_modules')) {
       results.issues.push({
         type: 'nodemodules-mentioned',
-        message: '❌ Se menciona node_modules en el PR',
-        suggestion: 'Verificar que la carpeta node_modules/ esté en .gitignore'
+        message: `❌ ${t('metadata.nodeModulesMentioned')}`,
+        suggestion: t('metadata.nodeModulesMentionedSuggestion')
       });
       results.summary.failed++;
     }
@@ -385,8 +607,8 @@ class GitHubWebhookHandler {
     if (prText.includes('.venv') || prText.includes('venv')) {
       results.issues.push({
         type: 'venv-mentioned',
-        message: '❌ Se mencionan entornos virtuales Python',
-        suggestion: 'Verificar que carpetas .venv/ o venv/ estén en .gitignore'
+        message: `❌ ${t('metadata.venvMentioned')}`,
+        suggestion: t('metadata.venvMentionedSuggestion')
       });
       results.summary.failed++;
     }
@@ -395,7 +617,7 @@ class GitHubWebhookHandler {
     if (prText.includes('gitignore')) {
       results.successes.push({
         type: 'gitignore-mentioned',
-        message: '✅ Se menciona .gitignore (buena práctica)'
+        message: `✅ ${t('metadata.gitignoreMentioned')}`
       });
       results.summary.passed++;
     }
@@ -403,7 +625,7 @@ class GitHubWebhookHandler {
     if (prText.includes('src/') || prText.includes('estructura') || prText.includes('organiz')) {
       results.successes.push({
         type: 'structure-mentioned',
-        message: '✅ Se menciona organización de código'
+        message: `✅ ${t('metadata.structureMentioned')}`
       });
       results.summary.passed++;
     }
@@ -411,7 +633,7 @@ class GitHubWebhookHandler {
     if (prText.includes('test') || prText.includes('prueba')) {
       results.successes.push({
         type: 'testing-mentioned',
-        message: '✅ Se mencionan pruebas (excelente práctica)'
+        message: `✅ ${t('metadata.testingMentioned')}`
       });
       results.summary.passed++;
     }
@@ -420,8 +642,8 @@ class GitHubWebhookHandler {
     if (results.issues.length === 0) {
       results.warnings.push({
         type: 'general-reminder',
-        message: '⚠️  Recordatorio: Verificar estructura general del proyecto',
-        suggestion: 'Revisar que archivos sensibles (.env) no estén committeados y código esté organizado en src/'
+        message: `⚠️  ${t('metadata.generalReminder')}`,
+        suggestion: t('metadata.generalReminderSuggestion')
       });
       results.summary.warnings++;
     }
@@ -429,293 +651,20 @@ class GitHubWebhookHandler {
     return results;
   }
 
-  /**
-   * Genera reporte de fallback en español
-   */
-  generateFallbackSpanishReport(analysis, pr) {
-    let report = `🤖 **Revisión de Estructura de Código** (Análisis Básico)
-
-📋 **PR:** ${pr.title}
-🔧 **Repositorio:** ${pr.base.repo.name}
-📊 **Análisis básico:** ${analysis.summary.passed} ✅ | ${analysis.summary.failed} ❌ | ${analysis.summary.warnings} ⚠️
-
-> ℹ️ *Análisis limitado por permisos. Para análisis completo de archivos, verificar configuración de la GitHub App.*
-
-`;
-
-    // Problemas detectados
-    if (analysis.issues.length > 0) {
-      report += `## ❌ Posibles Problemas Detectados\n\n`;
-      analysis.issues.forEach(issue => {
-        report += `**${issue.message}**\n`;
-        if (issue.suggestion) {
-          report += `💡 *${issue.suggestion}*\n\n`;
-        }
-      });
-    }
-
-    // Advertencias
-    if (analysis.warnings.length > 0) {
-      report += `## ⚠️  Recomendaciones Generales\n\n`;
-      analysis.warnings.forEach(warning => {
-        report += `**${warning.message}**\n`;
-        if (warning.suggestion) {
-          report += `💡 *${warning.suggestion}*\n\n`;
-        }
-      });
-    }
-
-    // Buenas prácticas
-    if (analysis.successes.length > 0) {
-      report += `## ✅ Buenas Prácticas Identificadas\n\n`;
-      analysis.successes.forEach(success => {
-        report += `${success.message}\n`;
-      });
-      report += `\n`;
-    }
-
-    // Lista de verificación
-    report += `## 📋 Lista de Verificación Manual
-
-**Archivos que NO deben estar en el repositorio:**
-- [ ] ❌ Archivos \`.env\`, \`.env.local\`, \`.env.production\`
-- [ ] ❌ Carpeta \`node_modules/\`
-- [ ] ❌ Carpetas \`.venv/\` o \`venv/\` (Python)
-- [ ] ❌ Archivos de configuración de IDE (.vscode/, .idea/)
-
-**Estructura recomendada:**
-- [ ] ✅ Archivo \`.gitignore\` presente y configurado
-- [ ] ✅ Código organizado dentro de \`src/\`
-- [ ] ✅ Carpetas específicas: \`src/controllers/\`, \`src/services/\`, \`src/routes/\`
-- [ ] ✅ Archivo \`README.md\` con documentación
-
-**Mejores prácticas:**
-- [ ] ✅ Usar \`.env.example\` para mostrar variables requeridas
-- [ ] ✅ Nombres descriptivos para carpetas y archivos
-- [ ] ✅ Separar lógica por responsabilidades
-
-`;
-
-    report += `\n---
-🤖 *Revisión automatizada por [PR Code Reviewer](https://github.com/sarboleda72/pr-code-reviewer)*  
-📊 Analizado el: ${new Date().toLocaleDateString('es-ES')} a las ${new Date().toLocaleTimeString('es-ES')}  
-🔧 Para análisis completo, verificar permisos de la GitHub App`;
-
-    return report;
-  }
-
-  /**
-   * Análisis simplificado usando datos del webhook (sin API calls)
-   */
-  analyzeWebhookData(pull_request, repository) {
-    const results = {
-      projectType: 'unknown',
-      summary: { passed: 0, failed: 0, warnings: 0 },
-      issues: [],
-      warnings: [],
-      successes: []
-    };
-
-    // Detectar tipo de proyecto por nombre de repo y título
-    if (repository.name.includes('node') || pull_request.title.toLowerCase().includes('npm')) {
-      results.projectType = 'nodejs';
-    } else if (repository.name.includes('python') || pull_request.title.toLowerCase().includes('pip')) {
-      results.projectType = 'python';
-    } else {
-      results.projectType = 'general';
-    }
-
-    // Análisis básico basado en el contenido del PR
-    const prBody = pull_request.body || '';
-    const prTitle = pull_request.title || '';
-    
-    // Buscar indicadores de problemas en el título/descripción
-    if (prTitle.toLowerCase().includes('.env') || prBody.includes('.env')) {
-      results.issues.push({
-        type: 'env-file-mentioned',
-        message: '⚠️  PR mentions .env files - verify no sensitive data is committed',
-        suggestion: 'Ensure .env files are in .gitignore and not committed to the repository'
-      });
-      results.summary.failed++;
-    }
-
-    // Buenas prácticas encontradas
-    if (prBody.includes('test') || prTitle.toLowerCase().includes('test')) {
-      results.successes.push({
-        type: 'testing-mentioned',
-        message: '✅ PR mentions testing - good practice'
-      });
-      results.summary.passed++;
-    }
-
-    if (prBody.length > 20) {
-      results.successes.push({
-        type: 'good-description',
-        message: '✅ PR has a detailed description'
-      });
-      results.summary.passed++;
-    }
-
-    return results;
-  }
-
-  /**
-   * Genera reporte completo en español
-   */
-  generateSpanishReport(analysis, files) {
-    let report = `🤖 **Revisión de Estructura de Código**
-
-📁 **Archivos analizados:** ${files.length}
-🔧 **Tipo de proyecto:** ${analysis.projectType}
-📊 **Resultados:** ${analysis.summary.passed} ✅ | ${analysis.summary.failed} ❌ | ${analysis.summary.warnings} ⚠️
-
-`;
-
-    // Problemas críticos
-    if (analysis.issues.length > 0) {
-      report += `## ❌ Problemas Encontrados\n\n`;
-      analysis.issues.forEach(issue => {
-        report += `**${issue.message}**\n`;
-        if (issue.suggestion) {
-          report += `💡 *${issue.suggestion}*\n\n`;
-        }
-      });
-    }
-
-    // Advertencias
-    if (analysis.warnings.length > 0) {
-      report += `## ⚠️  Recomendaciones\n\n`;
-      analysis.warnings.forEach(warning => {
-        report += `**${warning.message}**\n`;
-        if (warning.suggestion) {
-          report += `💡 *${warning.suggestion}*\n\n`;
-        }
-      });
-    }
-
-    // Buenas prácticas encontradas
-    if (analysis.successes.length > 0) {
-      report += `## ✅ Buenas Prácticas Encontradas\n\n`;
-      analysis.successes.forEach(success => {
-        report += `${success.message}\n`;
-      });
-      report += `\n`;
-    }
-
-    // Estructura recomendada
-    report += `## 📁 Estructura Recomendada
-
-Para proyectos Node.js, se recomienda la siguiente organización:
-
-\`\`\`
-src/
-├── controllers/     # Controladores de rutas
-├── services/        # Lógica de negocio  
-├── routes/          # Definición de rutas
-├── models/          # Modelos de datos
-├── utils/           # Utilidades y helpers
-└── gateways/        # Conexiones externas
-\`\`\`
-
-## 🔧 Mejores Prácticas
-
-- ✅ **Nunca commitear** archivos .env (usar .env.example)
-- ✅ **Excluir** node_modules/ y .venv/ en .gitignore
-- ✅ **Organizar código** dentro de src/ por responsabilidades
-- ✅ **Usar nombres descriptivos** para carpetas y archivos
-- ✅ **Mantener** estructura consistente en el proyecto
-
-`;
-
-    report += `\n---
-🤖 *Revisión automatizada por [PR Code Reviewer](https://github.com/sarboleda72/pr-code-reviewer)*  
-📊 Analizado el: ${new Date().toLocaleDateString('es-ES')} a las ${new Date().toLocaleTimeString('es-ES')}  
-📝 Archivos revisados: ${files.map(f => f.filename).slice(0, 5).join(', ')}${files.length > 5 ? '...' : ''}`;
-
-    return report;
-  }
-
-  /**
-   * Genera reporte simplificado
-   */
-  generateSimpleReport(analysis, pr) {
-    let report = `🤖 **Code Structure Review** (Basic Analysis)
-
-📋 **PR:** ${pr.title}
-🔧 **Project type:** ${analysis.projectType}
-📊 **Analysis:** ${analysis.summary.passed} passed, ${analysis.summary.failed} failed, ${analysis.summary.warnings} warnings
-
-`;
-
-    // Issues
-    if (analysis.issues.length > 0) {
-      report += `## ⚠️  Potential Issues\n\n`;
-      analysis.issues.forEach(issue => {
-        report += `${issue.message}\n`;
-        if (issue.suggestion) {
-          report += `💡 *${issue.suggestion}*\n\n`;
-        }
-      });
-    }
-
-    // Successes  
-    if (analysis.successes.length > 0) {
-      report += `## ✅ Good Practices\n\n`;
-      analysis.successes.forEach(success => {
-        report += `${success.message}\n`;
-      });
-    }
-
-    // Nota sobre análisis básico
-    report += `\n## 📝 Note
-This is a basic analysis using PR metadata. For detailed file analysis, please ensure the GitHub App has proper permissions to read repository contents.
-
-### 🔧 Common Checks:
-- ✅ Avoid committing .env files
-- ✅ Use meaningful PR titles and descriptions  
-- ✅ Include tests when possible
-- ✅ Follow project structure conventions
-
-`;
-
-    report += `\n---
-🤖 *Automated review by [PR Code Reviewer](https://github.com/sarboleda72/pr-code-reviewer)*
-📊 Reviewed at: ${new Date().toISOString()}
-🔄 Commit: \`${pr.head.sha.substring(0, 7)}\``;
-
-    return report;
-  }
-
   /**
    * Analiza un Pull Request específico
    */
-  async analyzePR(owner, repo, prNumber) {
+  async analyzePR(octokit, owner, repo, prNumber) {
     console.log(`📊 Starting analysis: ${owner}/${repo}#${prNumber}`);
 
-    // 1. Obtener información del PR
-    const { data: pr } = await this.octokit.rest.pulls.get({
-      owner,
-      repo,
-      pull_number: prNumber,
-    });
-
-    // 2. Obtener archivos del PR
-    const { data: files } = await this.octokit.rest.pulls.listFiles({
-      owner,
-      repo,
-      pull_number: prNumber,
-    });
-
-    console.log(`📁 PR contains ${files.length} files`);
+    // 1. Analizar el árbol del PR y sus archivos modificados
+    const { pr, files, analysis: analysisResult } = await this.reviewPullRequest(octokit, owner, repo, prNumber);
 
-    // 3. Descargar y analizar archivos relevantes
-    const analysisResult = await this.analyzeFiles(owner, repo, pr.head.sha, files);
+    // 2. Generar reporte
+    const report = this.renderReport('comment', ReportModel.fromPullRequest(analysisResult, { pr, files }));
 
-    // 4. Generar reporte
-    const report = this.generatePRReport(analysisResult, pr, files);
-
-    // 5. Comentar en el PR
-    await this.commentOnPR(owner, repo, prNumber, report);
+    // 3. Comentar en el PR
+    await this.commentOnPR(octokit, owner, repo, prNumber, report);
 
     return {
       success: true,
@@ -725,134 +674,26 @@ This is a basic analysis using PR metadata. For detailed file analysis, please e
     };
   }
 
-  /**
-   * Analiza archivos específicos del PR
-   */
-  async analyzeFiles(owner, repo, sha, files) {
-    // Por ahora, análisis básico basado en nombres de archivos
-    // TODO: Descargar archivos específicos para análisis más profundo
-    
-    const results = {
-      projectType: 'unknown',
-      summary: { passed: 0, failed: 0, warnings: 0 },
-      issues: [],
-      warnings: [],
-      successes: []
-    };
-
-    // Detectar tipo de proyecto
-    const hasPackageJson = files.some(f => f.filename === 'package.json');
-    const hasRequirements = files.some(f => f.filename === 'requirements.txt');
-    
-    if (hasPackageJson) results.projectType = 'nodejs';
-    else if (hasRequirements) results.projectType = 'python';
-
-    // Verificar archivos problemáticos
-    files.forEach(file => {
-      const filename = file.filename;
-      
-      // Archivos .env
-      if (filename.match(/^\.env/) && filename !== '.env.example') {
-        results.issues.push({
-          type: 'env-file',
-          file: filename,
-          message: `❌ Environment file should not be committed: ${filename}`,
-          suggestion: `Remove ${filename} and add it to .gitignore`
-        });
-        results.summary.failed++;
-      }
-
-      // Carpetas de dependencias
-      if (filename.startsWith('node_modules/')) {
-        results.issues.push({
-          type: 'dependency-folder',
-          file: 'node_modules/',
-          message: '❌ node_modules/ folder should not be committed',
-          suggestion: 'Add node_modules/ to .gitignore and remove from repository'
-        });
-        results.summary.failed++;
-      }
-
-      // Verificar .gitignore
-      if (filename === '.gitignore') {
-        results.successes.push({
-          type: 'gitignore',
-          message: '✅ .gitignore file found'
-        });
-        results.summary.passed++;
-      }
-    });
-
-    return results;
-  }
-
-  /**
-   * Genera reporte específico para PR
-   */
-  generatePRReport(analysis, pr, files) {
-    let report = `🤖 **Code Structure Review**
-
-📋 **PR Summary:** ${pr.title}
-📁 **Files changed:** ${files.length}
-🔧 **Project type:** ${analysis.projectType}
-📊 **Analysis:** ${analysis.summary.passed} passed, ${analysis.summary.failed} failed, ${analysis.summary.warnings} warnings
-
-`;
-
-    // Issues críticos
-    if (analysis.issues.length > 0) {
-      report += `## ❌ Issues Found\n\n`;
-      analysis.issues.forEach(issue => {
-        report += `${issue.message}\n`;
-        if (issue.suggestion) {
-          report += `💡 *${issue.suggestion}*\n\n`;
-        }
-      });
-    }
-
-    // Warnings
-    if (analysis.warnings.length > 0) {
-      report += `## ⚠️  Warnings\n\n`;
-      analysis.warnings.forEach(warning => {
-        report += `${warning.message}\n\n`;
-      });
-    }
-
-    // Successes
-    if (analysis.successes.length > 0) {
-      report += `## ✅ Good Practices\n\n`;
-      analysis.successes.forEach(success => {
-        report += `${success.message}\n`;
-      });
-    }
-
-    report += `\n---
-🤖 *Automated review by [PR Code Reviewer](https://github.com/sarboleda72/pr-code-reviewer)*
-📊 Reviewed at: ${new Date().toISOString()}
-🔄 Commit: \`${pr.head.sha.substring(0, 7)}\``;
-
-    return report;
-  }
-
   /**
    * Comenta en un Pull Request
    */
-  async commentOnPR(owner, repo, prNumber, message) {
+  async commentOnPR(octokit, owner, repo, prNumber, message) {
     try {
       // Buscar comentarios existentes del bot
-      const { data: comments } = await this.octokit.rest.issues.listComments({
+      const { data: comments } = await octokit.rest.issues.listComments({
         owner,
         repo,
         issue_number: prNumber,
       });
 
-      const botComment = comments.find(comment => 
+      const botComment = comments.find(comment =>
+        comment.body.includes(MarkdownRenderer.REPORT_MARKER) ||
         comment.body.includes('🤖 **Code Structure Review**')
       );
 
       if (botComment) {
         // Actualizar comentario existente
-        await this.octokit.rest.issues.updateComment({
+        await octokit.rest.issues.updateComment({
           owner,
           repo,
           comment_id: botComment.id,
@@ -861,7 +702,7 @@ This is a basic analysis using PR metadata. For detailed file analysis, please e
         console.log('✅ Updated existing comment');
       } else {
         // Crear nuevo comentario
-        await this.octokit.rest.issues.createComment({
+        await octokit.rest.issues.createComment({
           owner,
           repo,
           issue_number: prNumber,
@@ -886,7 +727,8 @@ This is a basic analysis using PR metadata. For detailed file analysis, please e
       console.log(`📡 Server running on port ${port}`);
       console.log(`🔗 Webhook URL: http://your-domain.com/webhook`);
       console.log(`🔑 Webhook secret: ${this.webhookSecret ? 'configured' : 'NOT CONFIGURED'}`);
-      console.log(`🔐 GitHub token: ${this.githubToken ? 'configured' : 'NOT CONFIGURED'}`);
+      console.log(`🔐 GitHub auth: ${this.githubAuth.describe()}`);
+      console.log(`📤 Review outputs: ${Object.keys(this.outputs).filter(output => this.outputs[output]).join(', ')}`);
       console.log('📋 Ready to receive GitHub webhooks!');
     });
   }
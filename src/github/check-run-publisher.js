@@ -0,0 +1,160 @@
+const I18n = require('../i18n/i18n');
+
+// Nombre del check que aparece en el PR
+const CHECK_NAME = 'PR Code Reviewer';
+
+// Límites de la Checks API
+const MAX_ANNOTATIONS_PER_REQUEST = 50;
+const MAX_SUMMARY_LENGTH = 65535;
+
+/**
+ * Publica el resultado de una revisión como Check Run del commit head del PR:
+ * queued → in_progress → completed, con anotaciones en los archivos afectados.
+ * Requiere autenticación como GitHub App (permiso Checks: write).
+ */
+class CheckRunPublisher {
+  /**
+   * Crea el Check Run en estado "queued"
+   * @returns {Promise<number>} Id del Check Run
+   */
+  async create(octokit, { owner, repo, headSha }) {
+    const { data } = await octokit.rest.checks.create({
+      owner,
+      repo,
+      name: CHECK_NAME,
+      head_sha: headSha,
+      status: 'queued'
+    });
+
+    console.log(`✅ Check run ${data.id} created for ${headSha.substring(0, 7)}`);
+    return data.id;
+  }
+
+  /**
+   * Marca el Check Run como "in_progress"
+   */
+  async start(octokit, { owner, repo, checkRunId }) {
+    await octokit.rest.checks.update({
+      owner,
+      repo,
+      check_run_id: checkRunId,
+      status: 'in_progress',
+      started_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Completa el Check Run con el reporte y las anotaciones
+   * @param {Object} options
+   * @param {Object} options.analysis - Resultado de la revisión (issues/warnings/summary)
+   * @param {string} options.report - Reporte markdown (resumen del check)
+   * @param {Object[]} options.annotations - Anotaciones (ver buildAnnotations)
+   * @param {string} options.conclusion - Conclusión explícita (default: según el análisis)
+   * @param {string} options.locale - Idioma del título (default: el del análisis)
+   */
+  async complete(octokit, { owner, repo, checkRunId, analysis, report, annotations = [], conclusion = null, locale = analysis?.locale }) {
+    const { t } = new I18n(locale);
+    const title = analysis
+      ? t('check.title', { failed: analysis.summary.failed, warnings: analysis.summary.warnings })
+      : t('check.notCompleted');
+    const output = {
+      title,
+      summary: this.truncate(report, t)
+    };
+
+    // La API acepta como máximo 50 anotaciones por request: el resto se envía en updates
+    const batches = [];
+    for (let i = 0; i < annotations.length; i += MAX_ANNOTATIONS_PER_REQUEST) {
+      batches.push(annotations.slice(i, i + MAX_ANNOTATIONS_PER_REQUEST));
+    }
+
+    for (const batch of batches.slice(1)) {
+      await octokit.rest.checks.update({
+        owner,
+        repo,
+        check_run_id: checkRunId,
+        output: { ...output, annotations: batch }
+      });
+    }
+
+    await octokit.rest.checks.update({
+      owner,
+      repo,
+      check_run_id: checkRunId,
+      status: 'completed',
+      conclusion: conclusion || this.getConclusion(analysis),
+      completed_at: new Date().toISOString(),
+      output: { ...output, annotations: batches[0] || [] }
+    });
+
+    console.log(`✅ Check run ${checkRunId} completed`);
+  }
+
+  /**
+   * Conclusión según los resultados: errores → failure, solo advertencias → neutral
+   */
+  getConclusion(analysis) {
+    if (analysis.summary.failed > 0) return 'failure';
+    if (analysis.summary.warnings > 0) return 'neutral';
+    return 'success';
+  }
+
+  /**
+   * Convierte issues y warnings con archivo en anotaciones del Check Run.
+   * Las rutas de carpeta (p. ej. "node_modules/") se anotan en el primer
+   * archivo de esa carpeta; lo que no corresponde a un archivo solo queda en el resumen.
+   * @param {Object} analysis - Resultado de la revisión
+   * @param {string[]} filePaths - Archivos del árbol revisado
+   * @returns {Object[]} Anotaciones para la Checks API
+   */
+  buildAnnotations(analysis, filePaths) {
+    const knownFiles = new Set(filePaths);
+    const annotations = [];
+
+    const resolvePath = file => {
+      if (!file) return null;
+      if (file.endsWith('/')) {
+        return filePaths.find(filePath => filePath.startsWith(file)) || null;
+      }
+      return knownFiles.has(file) ? file : null;
+    };
+
+    const addAnnotations = (findings, level) => {
+      findings.forEach(finding => {
+        const files = finding.files || [finding.path || finding.file];
+        const line = finding.line || 1;
+
+        files.map(resolvePath).filter(Boolean).forEach(filePath => {
+          annotations.push({
+            path: filePath,
+            start_line: line,
+            end_line: line,
+            annotation_level: level,
+            title: finding.type,
+            message: finding.message.replace(/^(❌|⚠️)\s*/, ''),
+            ...(finding.suggestion ? { raw_details: finding.suggestion } : {})
+          });
+        });
+      });
+    };
+
+    addAnnotations(analysis.issues, 'failure');
+    addAnnotations(analysis.warnings, 'warning');
+
+    return annotations;
+  }
+
+  /**
+   * Recorta el reporte al tamaño máximo del resumen de un Check Run
+   * @param {string} report - Reporte markdown
+   * @param {Function} t - Traducción del aviso de recorte
+   */
+  truncate(report, t = new I18n().t) {
+    if (report.length <= MAX_SUMMARY_LENGTH) return report;
+
+    const notice = `\n\n… *${t('check.truncated')}*`;
+    return report.substring(0, MAX_SUMMARY_LENGTH - notice.length) + notice;
+  }
+}
+
+module.exports = CheckRunPublisher;
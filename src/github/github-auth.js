@@ -0,0 +1,163 @@
+const fs = require('fs');
+const { Octokit } = require('@octokit/rest');
+const { createAppAuth } = require('@octokit/auth-app');
+
+// Margen para renovar un token de instalación antes de que expire
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Autenticación contra GitHub.
+ *
+ * - Modo "app": con GITHUB_APP_ID + GITHUB_PRIVATE_KEY (o GITHUB_PRIVATE_KEY_PATH)
+ *   actúa como GitHub App multi-instalación: cada webhook trae su installation
+ *   id y se genera (y cachea hasta que expira) un token de esa instalación.
+ * - Modo "token": sin credenciales de App, usa GITHUB_TOKEN (Personal Access Token).
+ */
+class GitHubAuth {
+  /**
+   * @param {Object} env - Variables de entorno (default: process.env)
+   */
+  constructor(env = process.env) {
+    this.appId = env.GITHUB_APP_ID;
+    this.privateKey = this.readPrivateKey(env);
+    this.defaultInstallationId = env.GITHUB_INSTALLATION_ID ? Number(env.GITHUB_INSTALLATION_ID) : null;
+    this.token = env.GITHUB_TOKEN;
+
+    this.installations = new Map();
+    this.pendingInstallations = new Map();
+    this.repositoryInstallations = new Map();
+
+    if (this.appId && this.privateKey) {
+      this.mode = 'app';
+      this.appAuth = createAppAuth({ appId: this.appId, privateKey: this.privateKey });
+      this.appOctokit = new Octokit({
+        authStrategy: createAppAuth,
+        auth: { appId: this.appId, privateKey: this.privateKey }
+      });
+    } else if (this.token) {
+      this.mode = 'token';
+      this.tokenOctokit = new Octokit({ auth: this.token });
+    } else {
+      this.mode = 'none';
+      this.tokenOctokit = new Octokit();
+    }
+  }
+
+  /**
+   * Lee la private key de la App (PEM en la variable, con "\n" escapados, o en un archivo)
+   */
+  readPrivateKey(env) {
+    if (env.GITHUB_PRIVATE_KEY) {
+      return env.GITHUB_PRIVATE_KEY.replace(/\\n/g, '\n');
+    }
+
+    if (env.GITHUB_PRIVATE_KEY_PATH) {
+      return fs.readFileSync(env.GITHUB_PRIVATE_KEY_PATH, 'utf8');
+    }
+
+    return null;
+  }
+
+  /**
+   * Descripción del modo de autenticación (para /health y logs)
+   */
+  describe() {
+    if (this.mode === 'app') return `GitHub App (id ${this.appId})`;
+    if (this.mode === 'token') return 'Personal access token';
+    return 'NOT CONFIGURED';
+  }
+
+  /**
+   * Cliente para procesar un webhook
+   * @param {Object} payload - Payload del webhook (usa payload.installation.id)
+   * @returns {Promise<Octokit>} Cliente autenticado
+   */
+  async getOctokitForPayload(payload) {
+    if (this.mode !== 'app') {
+      return this.tokenOctokit;
+    }
+
+    const installationId = payload.installation?.id;
+    if (installationId) {
+      return this.getInstallationOctokit(installationId);
+    }
+
+    const { owner, name } = payload.repository;
+    return this.getOctokitForRepo(owner.login, name);
+  }
+
+  /**
+   * Cliente para un repositorio sin payload (p. ej. POST /analyze)
+   * @returns {Promise<Octokit>} Cliente autenticado
+   */
+  async getOctokitForRepo(owner, repo) {
+    if (this.mode !== 'app') {
+      return this.tokenOctokit;
+    }
+
+    const installationId = this.repositoryInstallations.get(`${owner}/${repo}`) ||
+      await this.findInstallationId(owner, repo);
+
+    return this.getInstallationOctokit(installationId);
+  }
+
+  /**
+   * Busca la instalación de la App en un repositorio y la cachea. Si la App
+   * no está instalada (404) usa GITHUB_INSTALLATION_ID sin cachearlo, para
+   * que una instalación posterior se detecte en la siguiente petición
+   * @throws {Error} Si la App no está instalada y no hay instalación por defecto,
+   *   o el error original de la API si no es un 404 (red, credenciales, límites...)
+   */
+  async findInstallationId(owner, repo) {
+    try {
+      const { data } = await this.appOctokit.rest.apps.getRepoInstallation({ owner, repo });
+      this.repositoryInstallations.set(`${owner}/${repo}`, data.id);
+      return data.id;
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      if (this.defaultInstallationId) {
+        return this.defaultInstallationId;
+      }
+      throw new Error(`GitHub App is not installed on ${owner}/${repo}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cliente autenticado con el token de una instalación. El token se cachea
+   * y se renueva poco antes de expirar.
+   * @param {number} installationId - Id de la instalación
+   * @returns {Promise<Octokit>} Cliente autenticado
+   */
+  async getInstallationOctokit(installationId) {
+    const cached = this.installations.get(installationId);
+    if (cached && cached.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+      return cached.octokit;
+    }
+
+    // Evitar pedir dos tokens a la vez para la misma instalación
+    if (!this.pendingInstallations.has(installationId)) {
+      const minting = this.mintInstallationToken(installationId)
+        .finally(() => this.pendingInstallations.delete(installationId));
+      this.pendingInstallations.set(installationId, minting);
+    }
+
+    return this.pendingInstallations.get(installationId);
+  }
+
+  /**
+   * Genera un token de instalación nuevo y lo guarda en caché
+   */
+  async mintInstallationToken(installationId) {
+    const { token, expiresAt } = await this.appAuth({ type: 'installation', installationId });
+    const octokit = new Octokit({ auth: token });
+
+    this.installations.set(installationId, { octokit, expiresAt: new Date(expiresAt).getTime() });
+    console.log(`🔐 Installation token minted for installation ${installationId} (expires ${expiresAt})`);
+
+    return octokit;
+  }
+}
+
+module.exports = GitHubAuth;
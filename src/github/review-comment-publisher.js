@@ -0,0 +1,188 @@
+const DiffPatch = require('../diff/diff-patch');
+const I18n = require('../i18n/i18n');
+
+// Marca para reconocer las reviews publicadas por el bot
+const REVIEW_MARKER = '<!-- pr-code-reviewer:review -->';
+
+/**
+ * Publica los hallazgos como una sola review del PR (pulls.createReview):
+ * los que tienen `path` + `line` dentro del diff van como comentarios en
+ * línea (con bloque ```suggestion si el hallazgo trae `fix`) y el resto va
+ * en el cuerpo de la review.
+ */
+class ReviewCommentPublisher {
+  /**
+   * Reparte los hallazgos entre comentarios en línea y cuerpo de la review
+   * @param {Object} analysis - Resultado de la revisión (issues/warnings)
+   * @param {Object[]} changedFiles - Archivos de pulls.listFiles
+   * @returns {Object} { comments, unplaced: { issues, warnings } }
+   */
+  buildReview(analysis, changedFiles = []) {
+    const patches = new Map(
+      changedFiles
+        .filter(file => file.status !== 'removed')
+        .map(file => [file.filename, new DiffPatch(file.patch)])
+    );
+    const groups = new Map();
+    const unplaced = { issues: [], warnings: [] };
+
+    const place = (findings, kind) => {
+      findings.forEach(finding => {
+        const patch = finding.path && patches.get(finding.path);
+
+        if (!patch || !patch.isCommentable(finding.line)) {
+          unplaced[kind].push(finding);
+          return;
+        }
+
+        const key = `${finding.path}:${finding.line}`;
+        if (!groups.has(key)) {
+          groups.set(key, { path: finding.path, line: finding.line, patch, findings: [] });
+        }
+        groups.get(key).findings.push(finding);
+      });
+    };
+
+    place(analysis.issues, 'issues');
+    place(analysis.warnings, 'warnings');
+
+    const comments = [...groups.values()].map(group => ({
+      path: group.path,
+      line: group.line,
+      side: 'RIGHT',
+      body: this.renderComment(group)
+    }));
+
+    return { comments, unplaced };
+  }
+
+  /**
+   * Cuerpo de un comentario en línea (varios hallazgos en la misma línea se agrupan)
+   */
+  renderComment({ line, patch, findings }) {
+    let body = findings.map(finding => {
+      let text = `**${finding.message}**`;
+      if (finding.suggestion) {
+        text += `\n💡 *${finding.suggestion}*`;
+      }
+      return text;
+    }).join('\n\n');
+
+    const fixes = findings.map(finding => finding.fix).filter(Boolean);
+    if (fixes.length > 0) {
+      const original = patch.getLine(line).content;
+      const replacement = fixes.find(fix => 'replace' in fix);
+      const appended = [...new Set(fixes.filter(fix => 'append' in fix).map(fix => fix.append))];
+
+      const suggested = replacement
+        ? replacement.replace
+        : [original, ...appended].join('\n');
+
+      body += `\n\n\`\`\`suggestion\n${suggested}\n\`\`\``;
+    }
+
+    return body;
+  }
+
+  /**
+   * Cuerpo de la review: resumen y hallazgos que no se pudieron ubicar en el diff
+   */
+  renderBody(analysis, comments, unplaced) {
+    const { t } = new I18n(analysis.locale);
+    let body = `${REVIEW_MARKER}
+🤖 **${t('report.title')}**
+
+📊 **${t('report.summary')}:** ${analysis.summary.passed} ✅ | ${analysis.summary.failed} ❌ | ${analysis.summary.warnings} ⚠️
+💬 **${t('report.inlineComments')}:** ${comments.length}
+
+`;
+
+    if (analysis.configErrors && analysis.configErrors.length > 0) {
+      body += `## ⚙️ ${t('report.configErrors')}\n\n`;
+      analysis.configErrors.forEach(configError => {
+        body += `**❌ \`${configError.file}\`**: ${configError.details.join('; ')}\n`;
+      });
+      body += `\n`;
+    }
+
+    if (unplaced.issues.length > 0) {
+      body += `## ❌ ${t('report.issues')}\n\n`;
+      unplaced.issues.forEach(issue => {
+        body += `**${issue.message}**\n`;
+        if (issue.suggestion) {
+          body += `💡 *${issue.suggestion}*\n\n`;
+        }
+      });
+    }
+
+    if (unplaced.warnings.length > 0) {
+      body += `## ⚠️  ${t('report.warningsSection')}\n\n`;
+      unplaced.warnings.forEach(warning => {
+        body += `**${warning.message}**\n`;
+        if (warning.suggestion) {
+          body += `💡 *${warning.suggestion}*\n\n`;
+        }
+      });
+    }
+
+    return body.trim();
+  }
+
+  /**
+   * Crea la review en el PR, omitiendo comentarios en línea que ya existen
+   * y la review completa si no aporta nada nuevo respecto a la anterior
+   * @returns {Promise<Object|null>} Review creada o null si no hacía falta
+   */
+  async publish(octokit, { owner, repo, prNumber, commitId, analysis, changedFiles }) {
+    const { comments, unplaced } = this.buildReview(analysis, changedFiles);
+
+    if (comments.length === 0 && unplaced.issues.length === 0 && unplaced.warnings.length === 0 &&
+        !(analysis.configErrors && analysis.configErrors.length > 0)) {
+      console.log('✅ Nothing to review, skipping PR review');
+      return null;
+    }
+
+    // Evitar repetir comentarios en cada push
+    const existingComments = await octokit.paginate(octokit.rest.pulls.listReviewComments, {
+      owner,
+      repo,
+      pull_number: prNumber,
+      per_page: 100
+    });
+    const newComments = comments.filter(comment => !existingComments.some(existing =>
+      existing.path === comment.path && existing.line === comment.line && existing.body === comment.body
+    ));
+
+    const body = this.renderBody(analysis, comments, unplaced);
+
+    if (newComments.length === 0) {
+      const reviews = await octokit.paginate(octokit.rest.pulls.listReviews, {
+        owner,
+        repo,
+        pull_number: prNumber,
+        per_page: 100
+      });
+      const lastReview = reviews.filter(review => (review.body || '').startsWith(REVIEW_MARKER)).pop();
+
+      if (lastReview && lastReview.body === body) {
+        console.log('✅ Review unchanged since last push, skipping');
+        return null;
+      }
+    }
+
+    const { data: review } = await octokit.rest.pulls.createReview({
+      owner,
+      repo,
+      pull_number: prNumber,
+      commit_id: commitId,
+      event: 'COMMENT',
+      body,
+      comments: newComments
+    });
+
+    console.log(`✅ Created PR review with ${newComments.length} inline comments`);
+    return review;
+  }
+}
+
+module.exports = ReviewCommentPublisher;
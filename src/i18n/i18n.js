@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LOCALE = 'en';
+
+// Archivos listados en el mensaje de un hallazgo agrupado
+const MAX_LISTED_FILES = 3;
+
+// Idiomas con catálogo (se listan una sola vez al cargar el módulo)
+const SUPPORTED_LOCALES = fs.readdirSync(LOCALES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => path.basename(file, '.json'))
+  .sort();
+
+// Catálogos cargados una sola vez por idioma
+const catalogs = new Map();
+
+/**
+ * Traducción de mensajes desde los catálogos de src/i18n/locales/<idioma>.json.
+ * Las claves son rutas con puntos ("env.found") y los parámetros se
+ * interpolan con llaves: "Environment file found: {file}".
+ * Si falta una clave en el idioma pedido se usa el inglés.
+ */
+class I18n {
+  /**
+   * @param {string} locale - Idioma (en, es); los no soportados usan el inglés
+   */
+  constructor(locale = DEFAULT_LOCALE) {
+    this.locale = I18n.resolveLocale(locale) || DEFAULT_LOCALE;
+
+    // Enlazado para poder usar `const { t } = i18n`
+    this.t = this.t.bind(this);
+  }
+
+  /**
+   * Idiomas con catálogo
+   */
+  static supportedLocales() {
+    return [...SUPPORTED_LOCALES];
+  }
+
+  /**
+   * Primer idioma soportado de la lista ("es-ES" se toma como "es")
+   * @param {...string} candidates - Idiomas en orden de prioridad
+   * @returns {string|null} Idioma soportado o null
+   */
+  static resolveLocale(...candidates) {
+    for (const candidate of candidates) {
+      if (typeof candidate !== 'string' || candidate.trim() === '') continue;
+
+      const locale = candidate.trim().toLowerCase().split(/[-_]/)[0];
+      if (SUPPORTED_LOCALES.includes(locale)) {
+        return locale;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Los primeros archivos de un hallazgo agrupado ("a.png, b.png, c.png...")
+   * @param {string[]} files - Rutas
+   * @returns {string} Lista para interpolar en {files}
+   */
+  static listFiles(files) {
+    return `${files.slice(0, MAX_LISTED_FILES).join(', ')}${files.length > MAX_LISTED_FILES ? '...' : ''}`;
+  }
+
+  static loadCatalog(locale) {
+    if (!catalogs.has(locale)) {
+      const file = path.join(LOCALES_DIR, `${locale}.json`);
+      catalogs.set(locale, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+    }
+    return catalogs.get(locale);
+  }
+
+  /**
+   * Traduce una clave
+   * @param {string} key - Ruta del mensaje ("gitignore.missingRule")
+   * @param {Object} params - Valores a interpolar ({ rule: 'dist/' })
+   * @returns {string|string[]} Mensaje traducido (la clave si no existe)
+   */
+  t(key, params = {}) {
+    const lookup = locale => key.split('.').reduce(
+      (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+      I18n.loadCatalog(locale)
+    );
+
+    let message = lookup(this.locale);
+    if (message === undefined && this.locale !== DEFAULT_LOCALE) {
+      message = lookup(DEFAULT_LOCALE);
+    }
+    if (message === undefined) {
+      return key;
+    }
+
+    const interpolate = text => text.replace(/\{(\w+)\}/g, (match, name) =>
+      (params[name] !== undefined ? String(params[name]) : match)
+    );
+
+    return Array.isArray(message) ? message.map(interpolate) : interpolate(message);
+  }
+}
+
+I18n.DEFAULT_LOCALE = DEFAULT_LOCALE;
+
+module.exports = I18n;
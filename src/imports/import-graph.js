@@ -0,0 +1,222 @@
+const path = require('path');
+
+// Extensiones que se prueban al resolver un import sin extensión (orden de Node y TypeScript)
+const EXTENSIONS = ['.js', '.cjs', '.mjs', '.jsx', '.ts', '.tsx', '.json'];
+
+// require('x'), import('x'), import ... from 'x', import 'x' y export ... from 'x'
+const IMPORT_PATTERNS = [
+  /\b(?:require|import)\s*\(\s*(['"`])([^'"`$\n]+)\1\s*\)/g,
+  /\bimport\s+(?:type\s+)?(?:[\w*${}\s,]+?\s+from\s+)?(['"])([^'"\n]+)\1/g,
+  /\bexport\s+(?:type\s+)?(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s+from\s+(['"])([^'"\n]+)\1/g
+];
+
+/**
+ * Grafo de dependencias entre los módulos JavaScript/TypeScript de un
+ * proyecto, a partir de sus `require()` e `import`. Solo se resuelven las
+ * rutas relativas; los paquetes y los alias (paths de tsconfig) quedan fuera.
+ */
+class ImportGraph {
+  /**
+   * @param {string[]} files - Archivos del proyecto (para resolver los imports)
+   */
+  constructor(files) {
+    this.files = new Set(files);
+    this.edges = new Map(); // archivo → [{ file, target, specifier, line }]
+  }
+
+  /**
+   * Agrega un módulo con los imports locales de su contenido
+   */
+  addModule(file, content) {
+    this.edges.set(file, this.parseImports(content)
+      .map(({ specifier, line }) => ({ file, target: this.resolve(file, specifier), specifier, line }))
+      .filter(edge => edge.target));
+  }
+
+  /**
+   * Imports de un archivo, sin los que aparecen en comentarios
+   * @returns {Object[]} { specifier, line } ordenados por línea
+   */
+  parseImports(content) {
+    const code = this.stripComments(content);
+    const lineAt = index => code.slice(0, index).split('\n').length;
+    const found = new Map();
+
+    IMPORT_PATTERNS.forEach(pattern => {
+      for (const match of code.matchAll(pattern)) {
+        const index = match.index + match[0].lastIndexOf(match[2]);
+        found.set(index, { specifier: match[2], line: lineAt(index) });
+      }
+    });
+
+    return [...found.values()].sort((a, b) => a.line - b.line);
+  }
+
+  /**
+   * Reemplaza los comentarios por espacios (conserva los saltos de línea para
+   * que los números de línea no cambien) sin tocar el contenido de los strings
+   */
+  stripComments(content) {
+    const parts = [];
+    let start = 0;
+    let quote = null;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote || (char === '\n' && quote !== '`')) quote = null;
+        continue;
+      }
+
+      if (char === '"' || char === "'" || char === '`') {
+        quote = char;
+      } else if (char === '/' && (content[i + 1] === '/' || content[i + 1] === '*')) {
+        const block = content[i + 1] === '*';
+        const close = block ? content.indexOf('*/', i + 2) : content.indexOf('\n', i);
+        const end = close === -1 ? content.length : close + (block ? 2 : 0);
+
+        parts.push(content.slice(start, i), content.slice(i, end).replace(/[^\n]/g, ' '));
+        start = end;
+        i = end - 1;
+      }
+    }
+
+    parts.push(content.slice(start));
+    return parts.join('');
+  }
+
+  /**
+   * Archivo del proyecto al que apunta un import relativo (como Node y
+   * TypeScript: extensión opcional, index del directorio y "./x.js" → x.ts)
+   * @returns {string|null} Ruta del archivo o null si no es local o no existe
+   */
+  resolve(from, specifier) {
+    if (!/^\.{1,2}(\/|$)/.test(specifier)) return null;
+
+    const base = path.posix.normalize(path.posix.join(path.posix.dirname(from), specifier.split(/[?#]/)[0]))
+      .replace(/\/$/, '');
+    if (base === '..' || base.startsWith('../')) return null;
+
+    const stem = base.replace(/\.[cm]?jsx?$/, '');
+    const candidates = [
+      base,
+      ...EXTENSIONS.map(extension => `${base}${extension}`),
+      ...EXTENSIONS.map(extension => `${stem}${extension}`),
+      ...EXTENSIONS.map(extension => `${base === '.' ? '' : `${base}/`}index${extension}`)
+    ];
+
+    return candidates.find(candidate => this.files.has(candidate)) || null;
+  }
+
+  /**
+   * Dependencias circulares: un ciclo por cada componente fuertemente conexo,
+   * el más corto desde su primer archivo
+   * @returns {Object[][]} Imports que forman cada ciclo, en orden
+   */
+  findCycles() {
+    return this.findComponents()
+      .filter(component => component.length > 1 || (this.edges.get(component[0]) || []).some(edge => edge.target === component[0]))
+      .map(component => this.shortestCycle(component.sort()[0], new Set(component)));
+  }
+
+  /**
+   * Componentes fuertemente conexos del grafo (algoritmo de Tarjan), incluidos
+   * los de un solo archivo
+   * @returns {string[][]}
+   */
+  findComponents() {
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+
+    const visit = file => {
+      index.set(file, index.size);
+      lowLink.set(file, index.get(file));
+      stack.push(file);
+      onStack.add(file);
+
+      (this.edges.get(file) || []).forEach(({ target }) => {
+        if (!index.has(target)) {
+          visit(target);
+          lowLink.set(file, Math.min(lowLink.get(file), lowLink.get(target)));
+        } else if (onStack.has(target)) {
+          lowLink.set(file, Math.min(lowLink.get(file), index.get(target)));
+        }
+      });
+
+      if (lowLink.get(file) === index.get(file)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== file);
+        components.push(component);
+      }
+    };
+
+    [...this.edges.keys()].sort().forEach(file => {
+      if (!index.has(file)) visit(file);
+    });
+
+    return components;
+  }
+
+  /**
+   * Ciclo más corto que parte de un archivo y vuelve a él
+   */
+  shortestCycle(start, members) {
+    return this.shortestPath(start, start, members) || [];
+  }
+
+  /**
+   * Ciclo más corto que pasa por un import (el import queda primero)
+   * @returns {Object[]|null} Imports del ciclo o null si el import no cierra ninguno
+   */
+  cycleThrough(edge, members) {
+    if (!members.has(edge.target)) return null;
+    if (edge.target === edge.file) return [edge];
+
+    const route = this.shortestPath(edge.target, edge.file, members);
+    return route ? [edge, ...route] : null;
+  }
+
+  /**
+   * Camino más corto entre dos archivos sin salir de `members` (búsqueda en anchura)
+   * @returns {Object[]|null} Imports del camino, en orden
+   */
+  shortestPath(from, to, members) {
+    const previous = new Map();
+    const queue = [from];
+
+    while (queue.length > 0) {
+      const file = queue.shift();
+
+      for (const edge of this.edges.get(file) || []) {
+        if (!members.has(edge.target)) continue;
+
+        if (edge.target === to) {
+          const route = [edge];
+          for (let step = previous.get(file); step; step = previous.get(step.file)) {
+            route.unshift(step);
+          }
+          return route;
+        }
+
+        if (edge.target !== from && !previous.has(edge.target)) {
+          previous.set(edge.target, edge);
+          queue.push(edge.target);
+        }
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = ImportGraph;
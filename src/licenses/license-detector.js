@@ -0,0 +1,48 @@
+// Frases que identifican el texto de las licencias más comunes (en orden: las
+// variantes más específicas primero, p. ej. LGPL antes que GPL)
+const LICENSE_SIGNATURES = [
+  { spdx: 'AGPL-3.0', all: [/GNU AFFERO GENERAL PUBLIC LICENSE/i, /Version 3/i] },
+  { spdx: 'LGPL-3.0', all: [/GNU LESSER GENERAL PUBLIC LICENSE/i, /Version 3/i] },
+  { spdx: 'LGPL-2.1', all: [/GNU LESSER GENERAL PUBLIC LICENSE/i, /Version 2\.1/i] },
+  { spdx: 'GPL-3.0', all: [/GNU GENERAL PUBLIC LICENSE/i, /Version 3/i] },
+  { spdx: 'GPL-2.0', all: [/GNU GENERAL PUBLIC LICENSE/i, /Version 2/i] },
+  { spdx: 'Apache-2.0', all: [/Apache License/i, /Version 2\.0/i] },
+  { spdx: 'MPL-2.0', all: [/Mozilla Public License,? (Version|v\.?) ?2\.0/i] },
+  { spdx: 'EPL-2.0', all: [/Eclipse Public License - v 2\.0/i] },
+  { spdx: 'BSL-1.0', all: [/Boost Software License - Version 1\.0/i] },
+  { spdx: 'Unlicense', all: [/free and unencumbered software released into the public domain/i] },
+  { spdx: 'CC0-1.0', all: [/CC0 1\.0 Universal/i] },
+  { spdx: 'BSD-3-Clause', all: [/Redistribution and use in source and binary forms/i, /Neither the name/i] },
+  { spdx: 'BSD-2-Clause', all: [/Redistribution and use in source and binary forms/i] },
+  { spdx: 'ISC', all: [/Permission to use, copy, modify, and\/or distribute this software for any purpose/i] },
+  { spdx: 'MIT', all: [/Permission is hereby granted, free of charge/i] }
+];
+
+/**
+ * Identifica la licencia SPDX de un archivo LICENSE: por la línea
+ * `SPDX-License-Identifier` o por el texto de las licencias más comunes
+ */
+class LicenseDetector {
+  /**
+   * @param {string} text - Contenido del archivo de licencia
+   * @returns {string|null} Identificador SPDX o null si no se reconoce
+   */
+  detect(text) {
+    const identifier = text.match(/SPDX-License-Identifier:\s*([^\s*]+(?:\s+(?:OR|AND|WITH)\s+[^\s*]+)*)/);
+    if (identifier) return identifier[1];
+
+    const signature = LICENSE_SIGNATURES.find(candidate => candidate.all.every(pattern => pattern.test(text)));
+    return signature ? signature.spdx : null;
+  }
+
+  /**
+   * Compara dos identificadores SPDX sin distinguir mayúsculas ni el sufijo
+   * -only/-or-later de las licencias GNU
+   */
+  same(a, b) {
+    const normalize = license => String(license).trim().toLowerCase().replace(/-(only|or-later)$|\+$/, '');
+    return normalize(a) === normalize(b);
+  }
+}
+
+module.exports = LicenseDetector;
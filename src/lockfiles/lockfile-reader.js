@@ -0,0 +1,200 @@
+const YAML = require('yaml');
+
+// Lockfiles de Node.js por orden de prioridad, con el gestor que los genera
+const LOCKFILES = [
+  { file: 'package-lock.json', manager: 'npm' },
+  { file: 'npm-shrinkwrap.json', manager: 'npm' },
+  { file: 'yarn.lock', manager: 'yarn' },
+  { file: 'pnpm-lock.yaml', manager: 'pnpm' },
+  { file: 'bun.lock', manager: 'bun' },
+  { file: 'bun.lockb', manager: 'bun' }
+];
+
+/**
+ * Lee los lockfiles de npm (v1-v3), Yarn (classic y berry) y pnpm para saber
+ * qué versión quedó fijada para cada dependencia declarada en un package.json.
+ * bun.lockb es binario y solo se detecta.
+ */
+class LockfileReader {
+  static get LOCKFILES() {
+    return LOCKFILES;
+  }
+
+  /**
+   * Lockfiles presentes en una carpeta
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del proyecto
+   * @param {string} dir - Carpeta ('' para la raíz)
+   * @returns {Promise<Object[]>} { file (ruta), name, manager }
+   */
+  async detect(fileSystem, dir = '') {
+    const found = [];
+
+    for (const lockfile of LOCKFILES) {
+      const file = dir ? `${dir}/${lockfile.file}` : lockfile.file;
+      if (await fileSystem.exists(file)) {
+        found.push({ file, name: lockfile.file, manager: lockfile.manager });
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Interpreta un lockfile detectado
+   * @param {Object} lockfile - Entrada de detect()
+   * @returns {Promise<Object|null>} { file, manager, format, lockfileVersion, ... }
+   *   o null si el formato no se puede leer (bun)
+   */
+  async read(fileSystem, lockfile) {
+    if (lockfile.manager === 'bun') return null;
+
+    const content = await fileSystem.readFile(lockfile.file);
+    const parsers = { npm: this.parseNpm, yarn: this.parseYarn, pnpm: this.parsePnpm };
+
+    return { file: lockfile.file, manager: lockfile.manager, ...parsers[lockfile.manager].call(this, content) };
+  }
+
+  /**
+   * package-lock.json: `packages` (v2/v3, con rutas "node_modules/x") o
+   * `dependencies` (v1, solo la raíz)
+   */
+  parseNpm(content) {
+    const lock = JSON.parse(content);
+    return {
+      format: 'npm',
+      lockfileVersion: lock.lockfileVersion || 1,
+      packages: lock.packages || null,
+      dependencies: lock.dependencies || {}
+    };
+  }
+
+  /**
+   * yarn.lock: entradas `"nombre@rango, nombre@rango2":` con su `version`.
+   * Berry (Yarn 2+) usa YAML con `__metadata` y especificadores "npm:rango"
+   */
+  parseYarn(content) {
+    const berry = /^__metadata:/m.test(content);
+    const entries = new Map();
+    let specifiers = null;
+
+    content.split(/\r?\n/).forEach(line => {
+      if (/^\S.*:$/.test(line) && !line.startsWith('#')) {
+        specifiers = line.slice(0, -1).split(',').map(spec => spec.trim().replace(/^"|"$/g, ''));
+        return;
+      }
+
+      const version = line.match(/^\s+version:?\s+"?([^"\s]+)"?/);
+      if (!specifiers || !version) return;
+
+      specifiers.forEach(spec => {
+        const at = spec.indexOf('@', 1);
+        if (at === -1) return;
+
+        const name = spec.slice(0, at);
+        const specifier = spec.slice(at + 1).replace(/^npm:(?=[^@]*$)/, '');
+        if (!entries.has(name)) entries.set(name, []);
+        entries.get(name).push({ specifier, version: version[1] });
+      });
+      specifiers = null;
+    });
+
+    return { format: berry ? 'yarn-berry' : 'yarn-classic', lockfileVersion: berry ? 'berry' : 1, entries };
+  }
+
+  /**
+   * pnpm-lock.yaml: `importers` por carpeta (o dependencias en la raíz si no
+   * es un workspace); v6+ guarda { specifier, version }, v5 usa `specifiers`
+   */
+  parsePnpm(content) {
+    const lock = YAML.parse(content) || {};
+    const importers = lock.importers || { '.': lock };
+
+    return { format: 'pnpm', lockfileVersion: String(lock.lockfileVersion || ''), importers };
+  }
+
+  /**
+   * Versión fijada para una dependencia de un paquete
+   * @param {Object} lock - Resultado de read()
+   * @param {string} importer - Carpeta del package.json respecto del lockfile ('' para la misma)
+   * @param {string} name - Nombre de la dependencia
+   * @param {string} range - Rango declarado en package.json
+   * @returns {Object|null|undefined} { version, specifier? } (specifier: rango
+   *   registrado en el lockfile, si lo guarda), null si falta o undefined si
+   *   el lockfile no permite saberlo
+   */
+  resolve(lock, importer, name, range) {
+    if (lock.format === 'npm') {
+      if (!lock.packages) {
+        return importer ? undefined : this.toEntry(lock.dependencies[name]?.version);
+      }
+
+      const prefix = importer ? `${importer}/` : '';
+      let entry = lock.packages[`${prefix}node_modules/${name}`] || lock.packages[`node_modules/${name}`];
+      if (entry?.link) {
+        entry = lock.packages[entry.resolved];
+        return entry ? { version: entry.version || null } : undefined;
+      }
+      return this.toEntry(entry?.version);
+    }
+
+    if (lock.format === 'pnpm') {
+      const project = lock.importers[importer || '.'];
+      if (!project) return undefined;
+
+      for (const section of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+        const entry = project[section]?.[name];
+        if (entry === undefined) continue;
+
+        const version = typeof entry === 'object' ? entry.version : entry;
+        const specifier = typeof entry === 'object' ? entry.specifier : project.specifiers?.[name];
+        // Las versiones llevan las peer dependencies como sufijo: 1.2.3(react@18.2.0) o 1.2.3_react@18.2.0
+        return { version: String(version).split(/[(_]/)[0], specifier };
+      }
+      return null;
+    }
+
+    // Yarn: cada rango declarado tiene su propia entrada
+    const candidates = lock.entries.get(name);
+    if (!candidates) return null;
+
+    const spec = range.replace(/^npm:(?=[^@]*$)/, '');
+    return candidates.find(candidate => candidate.specifier === spec) || candidates[0];
+  }
+
+  /**
+   * Paquetes instalados según un package-lock.json (todas las copias del árbol)
+   * @param {Object} lock - Resultado de read() de un lockfile de npm
+   * @returns {Object[]} { name, version, license, dev, path }
+   */
+  listPackages(lock) {
+    if (lock.format !== 'npm') return [];
+
+    if (lock.packages) {
+      return Object.entries(lock.packages)
+        .filter(([packagePath, entry]) => packagePath.includes('node_modules/') && !entry.link && entry.version)
+        .map(([packagePath, entry]) => ({
+          name: entry.name || packagePath.slice(packagePath.lastIndexOf('node_modules/') + 'node_modules/'.length),
+          version: entry.version,
+          license: entry.license || null,
+          dev: Boolean(entry.dev || entry.devOptional),
+          path: packagePath
+        }));
+    }
+
+    // v1: árbol anidado de `dependencies`, sin licencias
+    const walk = (dependencies, prefix) => Object.entries(dependencies || {}).flatMap(([name, entry]) => {
+      const packagePath = `${prefix}node_modules/${name}`;
+      return [
+        { name, version: entry.version, license: null, dev: Boolean(entry.dev), path: packagePath },
+        ...walk(entry.dependencies, `${packagePath}/`)
+      ];
+    });
+    return walk(lock.dependencies, '').filter(entry => entry.version);
+  }
+
+  toEntry(version) {
+    return version ? { version } : null;
+  }
+}
+
+module.exports = LockfileReader;
@@ -0,0 +1,195 @@
+/**
+ * Cola de trabajos en memoria para procesar revisiones fuera del ciclo
+ * request/response del webhook.
+ *
+ * - Concurrencia configurable.
+ * - Deduplicación por clave (p. ej. "owner/repo#12"): un trabajo nuevo
+ *   reemplaza a los pendientes con la misma clave, y nunca corren dos
+ *   trabajos de la misma clave a la vez.
+ * - Reintentos con backoff exponencial.
+ */
+class JobQueue {
+  /**
+   * @param {Function} worker - async (job) => resultado. Recibe el trabajo con
+   *   `data` y `attempts` (número del intento actual)
+   * @param {Object} options
+   * @param {number} options.concurrency - Trabajos simultáneos (default: 2)
+   * @param {number} options.maxAttempts - Intentos antes de marcar como fallido (default: 3)
+   * @param {number} options.retryDelay - Espera base en ms entre reintentos (default: 2000)
+   * @param {number} options.historyLimit - Trabajos terminados que se conservan (default: 50)
+   * @param {Function} options.onSuperseded - (job, newerJob) => void, al descartar un trabajo
+   */
+  constructor(worker, options = {}) {
+    this.worker = worker;
+    this.concurrency = options.concurrency || 2;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelay = options.retryDelay ?? 2000;
+    this.historyLimit = options.historyLimit || 50;
+    this.onSuperseded = options.onSuperseded || (() => {});
+
+    this.pending = [];
+    this.running = new Map();
+    this.history = [];
+    this.nextId = 1;
+    this.timer = null;
+  }
+
+  /**
+   * Encola un trabajo, reemplazando los pendientes con la misma clave
+   * @param {string} key - Clave de deduplicación
+   * @param {*} data - Datos que recibirá el worker
+   * @param {string} name - Descripción legible del trabajo
+   * @returns {Object} Trabajo encolado
+   */
+  enqueue(key, data, name = key) {
+    const job = {
+      id: this.nextId++,
+      key,
+      name,
+      data,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      createdAt: new Date().toISOString(),
+      runAt: Date.now()
+    };
+
+    this.pending
+      .filter(pendingJob => pendingJob.key === key)
+      .forEach(pendingJob => {
+        console.log(`⏭️  Job #${pendingJob.id} (${pendingJob.name}) superseded by #${job.id}`);
+        this.supersede(pendingJob, job);
+      });
+
+    this.pending.push(job);
+    console.log(`📥 Job #${job.id} queued: ${name}`);
+    this.drain();
+
+    return job;
+  }
+
+  /**
+   * Arranca trabajos pendientes mientras haya capacidad
+   */
+  drain() {
+    while (this.running.size < this.concurrency) {
+      const now = Date.now();
+      const runningKeys = new Set([...this.running.values()].map(job => job.key));
+      const job = this.pending.find(pendingJob => pendingJob.runAt <= now && !runningKeys.has(pendingJob.key));
+
+      if (!job) break;
+
+      this.pending.splice(this.pending.indexOf(job), 1);
+      this.run(job);
+    }
+
+    this.scheduleWakeup();
+  }
+
+  /**
+   * Programa el próximo drain para los trabajos que esperan un reintento
+   */
+  scheduleWakeup() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const delayed = this.pending.filter(job => job.runAt > Date.now());
+    if (delayed.length === 0) return;
+
+    const nextRunAt = Math.min(...delayed.map(job => job.runAt));
+    this.timer = setTimeout(() => this.drain(), Math.max(nextRunAt - Date.now(), 0));
+    this.timer.unref();
+  }
+
+  /**
+   * Ejecuta un trabajo y decide si termina, se reintenta o falla
+   */
+  async run(job) {
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = new Date().toISOString();
+    this.running.set(job.id, job);
+
+    try {
+      job.result = await this.worker(job);
+      this.running.delete(job.id);
+      this.finish(job, 'completed');
+    } catch (error) {
+      this.running.delete(job.id);
+      job.error = error.message;
+
+      // Si ya hay un trabajo más nuevo para la misma clave, no tiene sentido reintentar
+      const newerJob = this.pending.find(pendingJob => pendingJob.key === job.key);
+      if (newerJob) {
+        this.supersede(job, newerJob);
+      } else if (job.attempts < job.maxAttempts) {
+        const delay = this.retryDelay * 2 ** (job.attempts - 1);
+        job.status = 'retrying';
+        job.runAt = Date.now() + delay;
+        job.nextRunAt = new Date(job.runAt).toISOString();
+        this.pending.push(job);
+        console.warn(`🔁 Job #${job.id} (${job.name}) failed, retrying in ${delay}ms: ${error.message}`);
+      } else {
+        this.finish(job, 'failed');
+        console.error(`❌ Job #${job.id} (${job.name}) failed after ${job.attempts} attempts: ${error.message}`);
+      }
+    }
+
+    this.drain();
+  }
+
+  /**
+   * Descarta un trabajo porque hay uno más nuevo con la misma clave
+   */
+  supersede(job, newerJob) {
+    job.supersededBy = newerJob.id;
+    this.finish(job, 'superseded');
+    this.onSuperseded(job, newerJob);
+  }
+
+  /**
+   * Mueve un trabajo al historial con su estado final
+   */
+  finish(job, status) {
+    const index = this.pending.indexOf(job);
+    if (index !== -1) {
+      this.pending.splice(index, 1);
+    }
+
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    this.history.unshift(job);
+    this.history.length = Math.min(this.history.length, this.historyLimit);
+  }
+
+  /**
+   * Representación pública de un trabajo (sin el payload completo)
+   */
+  serialize(job) {
+    const { data, result, runAt, ...publicJob } = job;
+    return publicJob;
+  }
+
+  /**
+   * Estado actual de la cola (usado por GET /jobs)
+   */
+  snapshot() {
+    const count = status => this.history.filter(job => job.status === status).length;
+
+    return {
+      concurrency: this.concurrency,
+      stats: {
+        queued: this.pending.length,
+        running: this.running.size,
+        completed: count('completed'),
+        failed: count('failed'),
+        superseded: count('superseded')
+      },
+      queued: this.pending.map(job => this.serialize(job)),
+      running: [...this.running.values()].map(job => this.serialize(job)),
+      failed: this.history.filter(job => job.status === 'failed').map(job => this.serialize(job))
+    };
+  }
+}
+
+module.exports = JobQueue;
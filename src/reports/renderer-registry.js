@@ -0,0 +1,69 @@
+const MarkdownRenderer = require('./renderers/markdown-renderer');
+const HtmlRenderer = require('./renderers/html-renderer');
+const JsonRenderer = require('./renderers/json-renderer');
+const SarifRenderer = require('./renderers/sarif-renderer');
+const JUnitRenderer = require('./renderers/junit-renderer');
+
+/**
+ * Registro de renderers de reportes. Un renderer es un objeto con `name`,
+ * `mediaType`, `extension`, `embeddable` (se puede publicar como Markdown en
+ * GitHub) y `render(report, options)` sobre el modelo de ReportModel.
+ */
+class RendererRegistry {
+  constructor() {
+    this.renderers = new Map();
+  }
+
+  /**
+   * Registro con los renderers incluidos (markdown, html, json, sarif, junit)
+   */
+  static createDefault() {
+    return new RendererRegistry()
+      .register(new MarkdownRenderer())
+      .register(new HtmlRenderer())
+      .register(new JsonRenderer())
+      .register(new SarifRenderer())
+      .register(new JUnitRenderer());
+  }
+
+  register(renderer) {
+    if (!renderer || !renderer.name || typeof renderer.render !== 'function') {
+      throw new Error('A renderer needs a name and a render(report, options) method');
+    }
+
+    this.renderers.set(renderer.name, renderer);
+    return this;
+  }
+
+  has(name) {
+    return this.renderers.has(name);
+  }
+
+  names() {
+    return [...this.renderers.keys()];
+  }
+
+  /**
+   * @throws {Error} Si el formato no está registrado
+   */
+  get(name) {
+    const renderer = this.renderers.get(name);
+    if (!renderer) {
+      throw new Error(`Unknown report format "${name}" (available: ${this.names().join(', ')})`);
+    }
+    return renderer;
+  }
+
+  /**
+   * Renderiza un reporte normalizado en el formato indicado
+   * @param {string} name - Formato (markdown, html, json, sarif, junit...)
+   * @param {Object} report - Reporte normalizado (ReportModel)
+   * @param {Object} options - Opciones del renderer ({ locale })
+   * @returns {string} Reporte renderizado
+   */
+  render(name, report, options = {}) {
+    return this.get(name).render(report, options);
+  }
+}
+
+module.exports = RendererRegistry;
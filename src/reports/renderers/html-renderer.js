@@ -0,0 +1,112 @@
+const ReportModel = require('../report-model');
+const I18n = require('../../i18n/i18n');
+
+const ICONS = { error: '❌', warning: '⚠️', passed: '✅' };
+const CHANGE_ICONS = { added: '➕', removed: '➖', upgraded: '⬆️', downgraded: '⬇️', changed: '🔁', moved: '🔀' };
+
+class HtmlRenderer {
+  constructor() {
+    this.name = 'html';
+    this.mediaType = 'text/html';
+    this.extension = 'html';
+    this.embeddable = false;
+  }
+
+  /**
+   * Documento HTML autocontenido (artefacto de CI, navegador)
+   * @param {Object} report - Reporte normalizado (ReportModel)
+   * @param {Object} options - { locale } (por defecto, el idioma del reporte)
+   * @returns {string} Documento HTML
+   */
+  render(report, options = {}) {
+    const i18n = new I18n(options.locale || report.locale);
+    const { t } = i18n;
+    const escape = HtmlRenderer.escape;
+    const title = `${t('report.title')}${report.projectName ? ` · ${report.projectName}` : ''}`;
+
+    // En monorepos se agrega la columna del paquete
+    const showPackages = report.packages.length > 1;
+    const packageCell = finding => (showPackages ? `\n        <td>${finding.package !== null ? `<code>${escape(finding.package || '.')}</code>` : ''}</td>` : '');
+
+    const rows = ['error', 'warning', 'passed']
+      .flatMap(severity => ReportModel.findingsBySeverity(report, severity))
+      .map(finding => `      <tr class="${finding.severity}">
+        <td>${ICONS[finding.severity]}</td>${packageCell(finding)}
+        <td><code>${escape(finding.rule || '')}</code></td>
+        <td>${finding.file ? `<code>${escape(finding.file)}${finding.line ? `:${finding.line}` : ''}</code>` : ''}</td>
+        <td>${escape(finding.message)}</td>
+        <td>${escape(finding.suggestion || '')}</td>
+      </tr>`)
+      .join('\n');
+
+    const configErrors = report.configErrors.map(configError => `    <section class="config-error">
+      <h2>⚙️ ${escape(t('report.configErrors'))}</h2>
+      <p>${escape(t('report.configErrorIntro', { file: configError.file }).replace(/`/g, ''))}</p>
+      <ul>${configError.details.map(detail => `<li>${escape(detail)}</li>`).join('')}</ul>
+    </section>`).join('\n');
+
+    const code = value => (value ? `<code>${escape(value)}</code>` : '');
+    const dependencyRows = report.dependencyChanges.map(change => `      <tr>
+        <td>${code(change.file)}</td>
+        <td>${code(change.name)}</td>
+        <td>${CHANGE_ICONS[change.change]} ${escape(t(`report.change.${change.change}`))}</td>
+        <td>${escape(change.change === 'moved' ? `${change.fromSection} → ${change.section}` : change.section)}</td>
+        <td>${code(change.from)}</td>
+        <td>${code(change.to)}</td>
+      </tr>`).join('\n');
+    const dependencyChanges = dependencyRows ? `  <h2>📦 ${escape(t('report.dependencyChanges'))}</h2>
+  <table>
+    <thead>
+      <tr><th>${escape(t('report.location'))}</th><th>${escape(t('report.dependency'))}</th><th>${escape(t('report.changeType'))}</th><th>${escape(t('report.section'))}</th><th>${escape(t('report.before'))}</th><th>${escape(t('report.after'))}</th></tr>
+    </thead>
+    <tbody>
+${dependencyRows}
+    </tbody>
+  </table>
+` : '';
+
+    return `<!DOCTYPE html>
+<html lang="${escape(i18n.locale)}">
+<head>
+  <meta charset="utf-8">
+  <title>${escape(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #24292f; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #d0d7de; padding: .4rem .6rem; text-align: left; vertical-align: top; }
+    tr.error { background: #ffebe9; }
+    tr.warning { background: #fff8c5; }
+    .config-error { border-left: 4px solid #cf222e; padding-left: 1rem; }
+  </style>
+</head>
+<body>
+  <h1>🤖 ${escape(title)}${report.limited ? ` (${escape(t('report.basicAnalysis'))})` : ''}</h1>
+  <ul>
+${report.pullRequest ? `    <li>${escape(t('report.pullRequest'))}: ${escape(report.pullRequest.title || '')}</li>\n` : ''}${report.comparison ? `    <li>${escape(t('report.comparison'))}: <code>${escape(`${report.comparison.base}...${report.comparison.head}`)}</code></li>\n` : ''}    <li>${escape(t('report.projectType'))}: ${escape(report.projectType)}</li>
+${showPackages ? `    <li>${escape(t('report.packages'))}: ${escape(report.packages.map(pkg => `${pkg.path || '.'} (${pkg.type})`).join(', '))}</li>\n` : ''}    <li>${escape(t('report.summary'))}: ${report.summary.passed} ${escape(t('report.passed'))}, ${report.summary.failed} ${escape(t('report.failed'))}, ${report.summary.warnings} ${escape(t('report.warnings'))}</li>
+${report.skippedAnalyzers.length > 0 ? `    <li>${escape(t('report.skipped'))}: ${escape(report.skippedAnalyzers.join(', '))}</li>\n` : ''}  </ul>
+${configErrors ? `${configErrors}\n` : ''}${dependencyChanges}  <table>
+    <thead>
+      <tr><th>${escape(t('report.severity'))}</th>${showPackages ? `<th>${escape(t('report.package'))}</th>` : ''}<th>${escape(t('report.rule'))}</th><th>${escape(t('report.location'))}</th><th>${escape(t('report.message'))}</th><th>${escape(t('report.suggestion'))}</th></tr>
+    </thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+  <p><small>${escape(t('report.reviewedAt'))}: ${escape(report.timestamp)} · ${escape(report.tool.name)} ${escape(report.tool.version)}</small></p>
+</body>
+</html>
+`;
+  }
+
+  static escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = HtmlRenderer;
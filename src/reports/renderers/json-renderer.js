@@ -0,0 +1,19 @@
+class JsonRenderer {
+  constructor() {
+    this.name = 'json';
+    this.mediaType = 'application/json';
+    this.extension = 'json';
+    this.embeddable = false;
+  }
+
+  /**
+   * El reporte normalizado tal cual, para integraciones propias
+   * @param {Object} report - Reporte normalizado (ReportModel)
+   * @returns {string} JSON
+   */
+  render(report) {
+    return `${JSON.stringify(report, null, 2)}\n`;
+  }
+}
+
+module.exports = JsonRenderer;
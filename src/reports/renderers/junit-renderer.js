@@ -0,0 +1,79 @@
+class JUnitRenderer {
+  constructor() {
+    this.name = 'junit';
+    this.mediaType = 'application/xml';
+    this.extension = 'xml';
+    this.embeddable = false;
+  }
+
+  /**
+   * JUnit XML: un testsuite por analizador, los errores como <failure> y las
+   * advertencias en <system-out> (no hacen fallar el build)
+   * @param {Object} report - Reporte normalizado (ReportModel)
+   * @returns {string} Documento XML
+   */
+  render(report) {
+    const escape = JUnitRenderer.escape;
+    const suites = new Map();
+    const suiteFor = name => {
+      if (!suites.has(name)) {
+        suites.set(name, { cases: [], failures: 0, errors: 0 });
+      }
+      return suites.get(name);
+    };
+
+    const testCase = (suite, name, body = '') =>
+      `    <testcase classname="${escape(suite)}" name="${escape(name)}">${body}</testcase>`;
+
+    report.configErrors.forEach(configError => {
+      const suite = suiteFor('Configuration');
+      suite.failures++;
+      suite.cases.push(testCase('Configuration', `config-error ${configError.file}`,
+        `<failure message="${escape(configError.details.join('; '))}"/>`));
+    });
+
+    report.findings.forEach(finding => {
+      // En monorepos, un testsuite por analizador y paquete
+      const suiteName = `${finding.analyzer || report.tool.name}${finding.package !== null && report.packages.length > 1 ? ` (${finding.package || '.'})` : ''}`;
+      const suite = suiteFor(suiteName);
+      const name = [finding.rule, finding.file].filter(Boolean).join(' ') || finding.message;
+
+      if (finding.rule === 'analyzer-error') {
+        suite.errors++;
+        suite.cases.push(testCase(suiteName, name, `<error message="${escape(finding.message)}"/>`));
+      } else if (finding.severity === 'error') {
+        suite.failures++;
+        suite.cases.push(testCase(suiteName, name,
+          `<failure message="${escape(finding.message)}">${escape(finding.suggestion || '')}</failure>`));
+      } else if (finding.severity === 'warning') {
+        suite.cases.push(testCase(suiteName, name, `<system-out>${escape(`WARNING: ${finding.message}`)}</system-out>`));
+      } else {
+        suite.cases.push(testCase(suiteName, name));
+      }
+    });
+
+    const all = [...suites.values()];
+    const total = key => all.reduce((sum, suite) => sum + suite[key], 0);
+
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    xml += `<testsuites name="${escape(report.tool.name)}" tests="${all.reduce((sum, suite) => sum + suite.cases.length, 0)}" failures="${total('failures')}" errors="${total('errors')}" timestamp="${escape(report.timestamp)}">\n`;
+    suites.forEach((suite, name) => {
+      xml += `  <testsuite name="${escape(name)}" tests="${suite.cases.length}" failures="${suite.failures}" errors="${suite.errors}">\n`;
+      xml += suite.cases.map(testCaseXml => `${testCaseXml}\n`).join('');
+      xml += `  </testsuite>\n`;
+    });
+    xml += '</testsuites>\n';
+
+    return xml;
+  }
+
+  static escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = JUnitRenderer;
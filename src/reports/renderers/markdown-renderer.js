@@ -0,0 +1,157 @@
+const ReportModel = require('../report-model');
+const I18n = require('../../i18n/i18n');
+
+// Marca para encontrar (y actualizar) el comentario del bot en el PR
+const REPORT_MARKER = '<!-- pr-code-reviewer:report -->';
+const PROJECT_URL = 'https://github.com/sarboleda72/pr-code-reviewer';
+
+const CHANGE_ICONS = { added: '➕', removed: '➖', upgraded: '⬆️', downgraded: '⬇️', changed: '🔁', moved: '🔀' };
+
+class MarkdownRenderer {
+  constructor() {
+    this.name = 'markdown';
+    this.mediaType = 'text/markdown';
+    this.extension = 'md';
+    this.embeddable = true; // Se puede publicar tal cual en comentarios y Check Runs
+  }
+
+  /**
+   * @param {Object} report - Reporte normalizado (ReportModel)
+   * @param {Object} options - { locale } (por defecto, el idioma del reporte)
+   * @returns {string} Reporte en Markdown
+   */
+  render(report, options = {}) {
+    const { t } = new I18n(options.locale || report.locale);
+    const errors = ReportModel.findingsBySeverity(report, 'error');
+    const warnings = ReportModel.findingsBySeverity(report, 'warning');
+    const successes = ReportModel.findingsBySeverity(report, 'passed');
+
+    let markdown = report.pullRequest ? `${REPORT_MARKER}\n` : '';
+    markdown += `🤖 **${t('report.title')}**${report.limited ? ` (${t('report.basicAnalysis')})` : ''}\n\n`;
+
+    if (report.pullRequest) {
+      markdown += `📋 **${t('report.pullRequest')}:** ${report.pullRequest.title}\n`;
+    } else if (report.projectName) {
+      markdown += `📁 **${t('report.project')}:** ${report.projectName}\n`;
+    }
+    if (report.comparison) {
+      markdown += `🔀 **${t('report.comparison')}:** \`${report.comparison.base}...${report.comparison.head}\`\n`;
+    }
+    if (report.changedFiles) {
+      markdown += `📝 **${t('report.filesChanged')}:** ${report.changedFiles.length}\n`;
+    }
+    markdown += `🔧 **${t('report.projectType')}:** ${report.projectType}\n`;
+    if (report.packages.length > 1) {
+      markdown += `📦 **${t('report.packages')}:** ${report.packages.map(pkg => `${pkg.path || '.'} (${pkg.type})`).join(', ')}\n`;
+    }
+    markdown += `📊 **${t('report.summary')}:** ${report.summary.passed} ✅ | ${report.summary.failed} ❌ | ${report.summary.warnings} ⚠️\n`;
+    if (report.skippedAnalyzers.length > 0) {
+      markdown += `⏭️ **${t('report.skipped')}:** ${report.skippedAnalyzers.join(', ')}\n`;
+    }
+    markdown += `\n`;
+
+    if (report.limited) {
+      markdown += `> ℹ️ *${t('report.limitedNote')}*\n\n`;
+    }
+
+    // Configuración del repositorio inválida
+    if (report.configErrors.length > 0) {
+      markdown += `## ⚙️ ${t('report.configErrors')}\n\n`;
+      report.configErrors.forEach(configError => {
+        markdown += `**❌ ${t('report.configErrorIntro', { file: configError.file })}**\n`;
+        markdown += configError.details.map(detail => `- ${detail}\n`).join('');
+        markdown += `\n`;
+      });
+    }
+
+    if (report.dependencyChanges.length > 0) {
+      markdown += `## 📦 ${t('report.dependencyChanges')}\n\n`;
+      markdown += this.renderDependencyChanges(report.dependencyChanges, t);
+    }
+
+    if (errors.length > 0) {
+      markdown += `## ❌ ${t('report.issues')}\n\n`;
+      markdown += this.renderGroups(report, errors, t, findings => findings.map(finding => this.renderFinding('❌', finding)).join(''));
+    }
+
+    if (warnings.length > 0) {
+      markdown += `## ⚠️ ${t('report.warningsSection')}\n\n`;
+      markdown += this.renderGroups(report, warnings, t, findings => findings.map(finding => this.renderFinding('⚠️', finding)).join(''));
+    }
+
+    if (successes.length > 0) {
+      markdown += `## ✅ ${t('report.successes')}\n\n`;
+      markdown += this.renderGroups(report, successes, t, findings => `${findings.map(finding => `✅ ${finding.message}\n`).join('')}\n`);
+    }
+
+    if (report.limited) {
+      markdown += `## 📋 ${t('report.checklist')}\n\n`;
+      markdown += t('report.checklistItems').map(item => `- [ ] ${item}\n`).join('');
+      markdown += `\n`;
+    } else if (errors.length > 0 || warnings.length > 0) {
+      markdown += `## 📚 ${t('report.recommendations')}\n\n`;
+      markdown += t('report.recommendationList').map(item => `- ${item}\n`).join('');
+      markdown += `\n`;
+    }
+
+    markdown += `---\n`;
+    markdown += `🤖 *${t('report.footer')} [PR Code Reviewer](${PROJECT_URL})*  \n`;
+    markdown += `📊 ${t('report.reviewedAt')}: ${report.timestamp}`;
+    const sha = report.pullRequest?.sha || report.comparison?.sha;
+    if (sha) {
+      markdown += `  \n🔄 ${t('report.commit')}: \`${sha.substring(0, 7)}\``;
+    }
+
+    return `${markdown}\n`;
+  }
+
+  /**
+   * En monorepos agrupa los hallazgos por paquete; con un solo paquete los
+   * renderiza tal cual
+   */
+  renderGroups(report, findings, t, renderFindings) {
+    if (report.packages.length <= 1) {
+      return renderFindings(findings);
+    }
+
+    return ReportModel.groupByPackage(report, findings).map(group => {
+      const title = group.package
+        ? `📦 ${group.package.path || '.'} · ${group.package.name} (${group.package.type})`
+        : `🗂️ ${t('report.repository')}`;
+      return `### ${title}\n\n${renderFindings(group.findings)}`;
+    }).join('');
+  }
+
+  /**
+   * Tabla de cambios de dependencias por package.json
+   */
+  renderDependencyChanges(changes, t) {
+    const cell = value => (value ? `\`${value.replace(/\|/g, '\\|')}\`` : '');
+    const files = [...new Set(changes.map(change => change.file))];
+
+    return files.map(file => {
+      const rows = changes.filter(change => change.file === file).map(change => {
+        const section = change.change === 'moved' ? `${change.fromSection} → ${change.section}` : change.section;
+        return `| ${cell(change.name)} | ${CHANGE_ICONS[change.change]} ${t(`report.change.${change.change}`)} | ${section} | ${cell(change.from)} | ${cell(change.to)} |\n`;
+      });
+
+      return `**\`${file}\`**\n\n` +
+        `| ${t('report.dependency')} | ${t('report.changeType')} | ${t('report.section')} | ${t('report.before')} | ${t('report.after')} |\n` +
+        `|---|---|---|---|---|\n${rows.join('')}\n`;
+    }).join('');
+  }
+
+  renderFinding(icon, finding) {
+    // La ubicación se agrega solo si el mensaje no la menciona
+    const location = finding.file && !finding.message.includes(finding.file) ? ` (\`${finding.file}${finding.line ? `:${finding.line}` : ''}\`)` : '';
+    let markdown = `${icon} **${finding.message}**${location}\n`;
+    if (finding.suggestion) {
+      markdown += `💡 *${finding.suggestion}*\n`;
+    }
+    return `${markdown}\n`;
+  }
+}
+
+MarkdownRenderer.REPORT_MARKER = REPORT_MARKER;
+
+module.exports = MarkdownRenderer;
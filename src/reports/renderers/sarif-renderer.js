@@ -0,0 +1,81 @@
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+class SarifRenderer {
+  constructor() {
+    this.name = 'sarif';
+    this.mediaType = 'application/sarif+json';
+    this.extension = 'sarif';
+    this.embeddable = false;
+  }
+
+  /**
+   * SARIF 2.1.0 para herramientas de code scanning. Los errores de los
+   * analizadores se reportan como notificaciones de la ejecución.
+   * @param {Object} report - Reporte normalizado (ReportModel)
+   * @returns {string} Documento SARIF
+   */
+  render(report) {
+    const rules = new Map();
+    const results = [];
+    const notifications = [];
+
+    const addResult = (finding, level) => {
+      const ruleId = finding.rule || 'finding';
+      if (!rules.has(ruleId)) {
+        rules.set(ruleId, { id: ruleId, shortDescription: { text: finding.message } });
+      }
+
+      results.push({
+        ruleId,
+        level,
+        message: { text: [finding.message, finding.suggestion].filter(Boolean).join('\n') },
+        ...(finding.file ? {
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: finding.file },
+              region: { startLine: finding.line || 1 }
+            }
+          }]
+        } : {})
+      });
+    };
+
+    report.configErrors.forEach(configError => {
+      addResult({
+        rule: 'config-error',
+        file: configError.file,
+        message: `Invalid configuration: ${configError.details.join('; ')}`
+      }, 'error');
+    });
+
+    report.findings.forEach(finding => {
+      if (finding.rule === 'analyzer-error') {
+        notifications.push({ level: 'error', message: { text: finding.message } });
+      } else if (finding.severity !== 'passed') {
+        addResult(finding, finding.severity);
+      }
+    });
+
+    return `${JSON.stringify({
+      $schema: SARIF_SCHEMA,
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: report.tool.name,
+            version: report.tool.version,
+            informationUri: 'https://github.com/sarboleda72/pr-code-reviewer',
+            rules: [...rules.values()]
+          }
+        },
+        invocations: [{
+          executionSuccessful: notifications.length === 0,
+          toolExecutionNotifications: notifications
+        }],
+        results
+      }]
+    }, null, 2)}\n`;
+  }
+}
+
+module.exports = SarifRenderer;
@@ -0,0 +1,156 @@
+const { version } = require('../../package.json');
+
+/**
+ * Modelo normalizado del resultado de una revisión. Los renderers solo
+ * trabajan con este modelo, sin importar si viene de CodeReviewer (análisis
+ * local) o del análisis de un Pull Request.
+ *
+ * findings: { severity: 'error'|'warning'|'passed', rule, analyzer, message,
+ *             suggestion, file, line, files, package }
+ * packages: paquetes del monorepo { path, name, type, source }; `package` es
+ *           la ruta del paquete del hallazgo (null: hallazgo del repositorio)
+ * dependencyChanges: cambios de dependencias de los package.json del PR
+ *           { file, name, change, section, fromSection, from, to }
+ */
+class ReportModel {
+  /**
+   * Desde el resultado de CodeReviewer.analyzeProject / analyzeFileSystem
+   * @param {Object} results - Resultado con `analyzers`
+   * @returns {Object} Reporte normalizado
+   */
+  static fromProjectResults(results) {
+    const findings = [];
+
+    results.analyzers.forEach(analyzer => {
+      const scope = { package: analyzer.package };
+
+      if (analyzer.error) {
+        findings.push(ReportModel.finding('error', {
+          rule: 'analyzer-error',
+          ...scope,
+          message: `${analyzer.analyzer}: ${analyzer.error}`
+        }, analyzer.analyzer));
+        return;
+      }
+
+      analyzer.failed.forEach(failure => findings.push(ReportModel.finding('error', { ...scope, ...failure }, analyzer.analyzer)));
+      analyzer.warnings.forEach(warning => findings.push(ReportModel.finding('warning', { ...scope, ...warning }, analyzer.analyzer)));
+      analyzer.passed.forEach(success => findings.push(ReportModel.finding('passed', { ...scope, ...success }, analyzer.analyzer)));
+    });
+
+    return ReportModel.create({
+      projectName: results.projectName,
+      projectType: results.projectType,
+      locale: results.locale,
+      timestamp: results.timestamp,
+      summary: results.summary,
+      configErrors: results.configErrors,
+      skippedAnalyzers: results.skippedAnalyzers,
+      packages: results.packages,
+      dependencyChanges: ReportModel.collectDependencyChanges(results.analyzers),
+      findings
+    });
+  }
+
+  /**
+   * Desde el análisis de un Pull Request (issues/warnings/successes)
+   * @param {Object} analysis - Resultado de reviewPullRequest o del análisis de fallback
+   * @param {Object} options - { pr, files (pulls.listFiles), limited (análisis sin acceso a archivos),
+   *   projectName y comparison ({ base, head, sha }) para los diffs locales }
+   * @returns {Object} Reporte normalizado
+   */
+  static fromPullRequest(analysis, { pr = null, files = null, limited = false, projectName, comparison = null } = {}) {
+    const toFinding = severity => ({ type, ...finding }) => ReportModel.finding(severity, { rule: type, ...finding });
+
+    return ReportModel.create({
+      projectName: pr?.base?.repo?.name || projectName,
+      projectType: analysis.projectType,
+      locale: analysis.locale,
+      summary: analysis.summary,
+      configErrors: analysis.configErrors,
+      packages: analysis.packages,
+      dependencyChanges: analysis.dependencyChanges,
+      pullRequest: pr ? { number: pr.number, title: pr.title, sha: pr.head?.sha, url: pr.html_url } : null,
+      comparison,
+      changedFiles: files ? files.map(file => file.filename) : null,
+      limited,
+      findings: [
+        ...analysis.issues.map(toFinding('error')),
+        ...analysis.warnings.map(toFinding('warning')),
+        ...analysis.successes.map(toFinding('passed'))
+      ]
+    });
+  }
+
+  static create(fields) {
+    return {
+      tool: { name: 'pr-code-reviewer', version },
+      projectName: null,
+      projectType: 'general',
+      locale: 'en',
+      timestamp: new Date().toISOString(),
+      pullRequest: null,
+      comparison: null,
+      changedFiles: null,
+      limited: false,
+      configErrors: [],
+      skippedAnalyzers: [],
+      packages: [],
+      dependencyChanges: [],
+      ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined)),
+      summary: { passed: 0, failed: 0, warnings: 0, ...fields.summary }
+    };
+  }
+
+  static finding(severity, { rule, message, suggestion, path, file, line, files, package: packagePath }, analyzer = null) {
+    return {
+      severity,
+      rule: rule || null,
+      analyzer,
+      message: ReportModel.plainMessage(message),
+      suggestion: suggestion || null,
+      file: path || file || null,
+      line: line || null,
+      files: files || null,
+      package: packagePath !== undefined ? packagePath : null
+    };
+  }
+
+  /**
+   * Cambios de dependencias informados por los analizadores (PackageJsonAnalyzer)
+   */
+  static collectDependencyChanges(analyzers = []) {
+    return analyzers.flatMap(analyzer => analyzer.dependencyChanges || []);
+  }
+
+  /**
+   * Quita el emoji inicial de los mensajes: cada renderer decide cómo marcar la severidad
+   */
+  static plainMessage(message = '') {
+    return message.replace(/^[^\p{L}\p{N}."'`]+/u, '').trim();
+  }
+
+  /**
+   * Agrupa hallazgos por paquete: primero los del repositorio (package null)
+   * y después cada paquete en el orden de report.packages
+   * @returns {Object[]} { package (null o { path, name, type }), findings }
+   */
+  static groupByPackage(report, findings) {
+    const groups = [{ package: null, findings: findings.filter(finding => finding.package === null) }];
+
+    report.packages.forEach(pkg => {
+      groups.push({ package: pkg, findings: findings.filter(finding => finding.package === pkg.path) });
+    });
+
+    return groups.filter(group => group.findings.length > 0);
+  }
+
+  /**
+   * Hallazgos de una severidad
+   */
+  static findingsBySeverity(report, severity) {
+    return report.findings.filter(finding => finding.severity === severity);
+  }
+}
+
+module.exports = ReportModel;
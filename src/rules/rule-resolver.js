@@ -0,0 +1,155 @@
+const ConfigError = require('../errors/config-error');
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Motor de resolución de reglas.
+ *
+ * - Combina capas de reglas (servidor, tipo de proyecto, repositorio) con un
+ *   merge profundo.
+ * - Resuelve cadenas de "extends" recursivas (un set puede extender uno o
+ *   varios sets) y detecta ciclos.
+ * - Las listas se agregan por defecto (sin duplicados). Para controlarlo de
+ *   forma explícita se usa { "$append": [...] } o { "$replace": [...] };
+ *   "$replace" descarta lo heredado de capas o sets anteriores.
+ */
+class RuleResolver {
+  /**
+   * @param {Function} loadRuleSet - Carga un set que no está en las reglas
+   *   (p. ej. desde rules/<nombre>-rules.json). Devuelve el set o null.
+   */
+  constructor(loadRuleSet = () => null) {
+    this.loadRuleSet = loadRuleSet;
+  }
+
+  /**
+   * Indica si un valor es una directiva de lista ($append / $replace)
+   */
+  isListDirective(value) {
+    return isObject(value) &&
+      Object.keys(value).length === 1 &&
+      ('$append' in value || '$replace' in value);
+  }
+
+  /**
+   * Merge profundo de dos capas. Las directivas $replace se conservan para
+   * que sigan aplicando cuando la capa se combine luego con su set padre.
+   */
+  merge(base, override) {
+    if (override === undefined) return base;
+    if (base === undefined) return override;
+
+    if (this.isListDirective(base) || this.isListDirective(override) ||
+        Array.isArray(base) || Array.isArray(override)) {
+      return this.mergeLists(base, override);
+    }
+
+    if (isObject(base) && isObject(override)) {
+      const merged = { ...base };
+      Object.entries(override).forEach(([key, value]) => {
+        merged[key] = this.merge(base[key], value);
+      });
+      return merged;
+    }
+
+    return override;
+  }
+
+  /**
+   * Combina dos listas respetando las directivas $append / $replace
+   */
+  mergeLists(base, override) {
+    const items = value => {
+      if (Array.isArray(value)) return value;
+      if (this.isListDirective(value)) return value.$append || value.$replace;
+      return [value];
+    };
+    const union = (a, b) => [...new Set([...a, ...b])];
+
+    if (this.isListDirective(override) && '$replace' in override) {
+      return override;
+    }
+
+    const combined = union(items(base), items(override));
+    return this.isListDirective(base) && '$replace' in base
+      ? { $replace: combined }
+      : combined;
+  }
+
+  /**
+   * Elimina las directivas de un set ya resuelto y deja listas planas
+   */
+  finalize(value) {
+    if (this.isListDirective(value)) {
+      return [...(value.$append || value.$replace)];
+    }
+
+    if (isObject(value)) {
+      const finalized = {};
+      Object.entries(value).forEach(([key, item]) => {
+        finalized[key] = this.finalize(item);
+      });
+      return finalized;
+    }
+
+    return value;
+  }
+
+  /**
+   * Resuelve todos los sets de reglas y el set efectivo del tipo de proyecto
+   * @param {Object} rules - Reglas combinadas (sin resolver)
+   * @param {string} projectType - Tipo de proyecto detectado
+   * @returns {Object} Sets resueltos + "project" con las reglas efectivas
+   * @throws {ConfigError} Si hay ciclos o se extiende un set inexistente
+   */
+  resolve(rules, projectType = 'general') {
+    const resolved = {};
+    const cache = new Map();
+
+    Object.keys(rules).forEach(name => {
+      // Ajustes que no son sets de reglas (p. ej. "locale") se copian tal cual
+      resolved[name] = isObject(rules[name]) ? this.resolveSet(rules, name, cache, []) : rules[name];
+    });
+
+    return {
+      ...resolved,
+      project: resolved[projectType] || resolved.general || {}
+    };
+  }
+
+  /**
+   * Resuelve un set siguiendo su cadena de "extends"
+   */
+  resolveSet(rules, name, cache, chain) {
+    if (chain.includes(name)) {
+      throw new ConfigError('rules', [`Circular "extends" chain: ${[...chain, name].join(' -> ')}`]);
+    }
+
+    if (cache.has(name)) {
+      return cache.get(name);
+    }
+
+    let ruleSet = rules[name];
+    if (ruleSet === undefined) {
+      ruleSet = this.loadRuleSet(name);
+    }
+    if (!isObject(ruleSet)) {
+      const from = chain.length > 0 ? `"${chain[chain.length - 1]}" extends` : 'Requested';
+      throw new ConfigError('rules', [`${from} unknown rule set "${name}"`]);
+    }
+
+    const { extends: parents, ...ownRules } = ruleSet;
+    const parentNames = parents === undefined ? [] : [].concat(parents);
+
+    let merged = {};
+    parentNames.forEach(parentName => {
+      merged = this.merge(merged, this.resolveSet(rules, parentName, cache, [...chain, name]));
+    });
+
+    const result = this.finalize(this.merge(merged, ownRules));
+    cache.set(name, result);
+    return result;
+  }
+}
+
+module.exports = RuleResolver;
@@ -0,0 +1,163 @@
+const path = require('path');
+const YAML = require('yaml');
+const { minimatch } = require('minimatch');
+
+// Manifiestos que definen un paquete, en orden de prioridad, con su tipo de proyecto
+const MANIFESTS = [
+  { file: 'package.json', type: 'nodejs' },
+  { file: 'pyproject.toml', type: 'python' }
+];
+
+const DEFAULT_EXCLUDE = ['**/node_modules/**', '**/.venv/**', '**/venv/**', '**/dist/**', '**/build/**'];
+
+/**
+ * Descubre los paquetes de un monorepo: los declarados como workspaces
+ * (npm/yarn `workspaces`, pnpm-workspace.yaml, lerna.json) y los package.json
+ * o pyproject.toml anidados. La raíz del repositorio siempre es un paquete.
+ */
+class WorkspaceDetector {
+  /**
+   * @param {LocalFileSystem|GitHubFileSystem} fileSystem - Contenido del repositorio
+   * @param {string} rootType - Tipo de proyecto de la raíz
+   * @param {Object} config - Reglas `workspaces` ({ exclude, nested })
+   * @returns {Promise<Object[]>} Paquetes { path ('' para la raíz), name, type,
+   *   manifest, source: 'root'|'workspaces'|'pnpm'|'lerna'|'nested' }
+   */
+  async detect(fileSystem, rootType, config = {}) {
+    const exclude = config.exclude || DEFAULT_EXCLUDE;
+    const declared = await this.readWorkspaceGlobs(fileSystem);
+
+    const rootManifest = await this.findManifest(fileSystem, '');
+    const packages = [{
+      path: '',
+      name: (rootManifest && await this.readPackageName(fileSystem, rootManifest.path)) || fileSystem.name,
+      type: rootType,
+      manifest: rootManifest ? rootManifest.path : null,
+      source: 'root'
+    }];
+
+    // Carpetas con un manifiesto (fuera de node_modules, .venv...)
+    const manifestDirs = new Map();
+    (await fileSystem.listFiles()).forEach(file => {
+      const dir = path.posix.dirname(file);
+      const manifest = MANIFESTS.find(candidate => candidate.file === path.posix.basename(file));
+      if (!manifest || dir === '.' || exclude.some(glob => minimatch(file, glob, { dot: true }))) return;
+
+      const current = manifestDirs.get(dir);
+      if (!current || MANIFESTS.indexOf(manifest) < MANIFESTS.indexOf(current)) {
+        manifestDirs.set(dir, manifest);
+      }
+    });
+
+    for (const dir of [...manifestDirs.keys()].sort()) {
+      const source = this.matchWorkspace(dir, declared);
+      if (source === false || (!source && config.nested === false)) continue;
+
+      const manifest = manifestDirs.get(dir);
+      const manifestPath = `${dir}/${manifest.file}`;
+      packages.push({
+        path: dir,
+        name: (await this.readPackageName(fileSystem, manifestPath)) || path.posix.basename(dir),
+        type: manifest.type,
+        manifest: manifestPath,
+        source: source || 'nested'
+      });
+    }
+
+    return packages;
+  }
+
+  /**
+   * Globs de workspaces declarados en la raíz
+   * @returns {Promise<Object[]>} { glob, negated, source }
+   */
+  async readWorkspaceGlobs(fileSystem) {
+    const globs = [];
+    const add = (list, source) => {
+      (Array.isArray(list) ? list : []).filter(glob => typeof glob === 'string').forEach(glob => {
+        const negated = glob.startsWith('!');
+        globs.push({ glob: glob.replace(/^!/, '').replace(/^\.\//, '').replace(/\/+$/, ''), negated, source });
+      });
+    };
+
+    const packageJson = await this.readJson(fileSystem, 'package.json');
+    if (packageJson?.workspaces) {
+      add(Array.isArray(packageJson.workspaces) ? packageJson.workspaces : packageJson.workspaces.packages, 'workspaces');
+    }
+
+    if (await fileSystem.exists('pnpm-workspace.yaml')) {
+      try {
+        add(YAML.parse(await fileSystem.readFile('pnpm-workspace.yaml'))?.packages, 'pnpm');
+      } catch (error) {
+        console.warn(`⚠️  Could not parse pnpm-workspace.yaml: ${error.message}`);
+      }
+    }
+
+    const lerna = await this.readJson(fileSystem, 'lerna.json');
+    if (lerna) {
+      add(lerna.packages || ['packages/*'], 'lerna');
+    }
+
+    return globs;
+  }
+
+  /**
+   * Herramienta que declara la carpeta como workspace, false si una
+   * negación la excluye o null si no está declarada
+   */
+  matchWorkspace(dir, declared) {
+    let source = null;
+
+    declared.forEach(({ glob, negated, source: tool }) => {
+      if (minimatch(dir, glob, { dot: true })) {
+        source = negated ? false : (source || tool);
+      }
+    });
+
+    return source;
+  }
+
+  /**
+   * Manifiesto de una carpeta
+   * @returns {Promise<Object|null>} { path, type } o null
+   */
+  async findManifest(fileSystem, dir) {
+    for (const manifest of MANIFESTS) {
+      const manifestPath = dir ? `${dir}/${manifest.file}` : manifest.file;
+      if (await fileSystem.exists(manifestPath)) {
+        return { path: manifestPath, type: manifest.type };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Nombre declarado en package.json o pyproject.toml ([project] o [tool.poetry])
+   */
+  async readPackageName(fileSystem, manifestPath) {
+    if (manifestPath.endsWith('.json')) {
+      const manifest = await this.readJson(fileSystem, manifestPath);
+      return typeof manifest?.name === 'string' ? manifest.name : null;
+    }
+
+    try {
+      const match = (await fileSystem.readFile(manifestPath)).match(/^\s*name\s*=\s*["']([^"']+)["']/m);
+      return match ? match[1] : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async readJson(fileSystem, file) {
+    if (!(await fileSystem.exists(file))) return null;
+
+    try {
+      return JSON.parse(await fileSystem.readFile(file));
+    } catch (error) {
+      console.warn(`⚠️  Could not parse ${file}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = WorkspaceDetector;
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ArchitectureAnalyzer = require('../../src/analyzers/architecture-analyzer');
+const { memoryFileSystem, addedFile } = require('./fixtures');
+
+const layers = [
+  { name: 'routes', files: 'src/routes/**', allow: ['services'] },
+  { name: 'services', files: 'src/services/**', allow: [] }
+];
+const rules = { project: { architecture: { layers } } };
+const run = (fileSystem, changedFiles) => new ArchitectureAnalyzer().analyze(fileSystem, rules, { changedFiles });
+
+const layerFiles = {
+  'src/routes/users.js': "const service = require('../services/users');\n",
+  'src/services/users.js': "const routes = require('../routes/users');\n"
+};
+
+test('reports layer violations and cycles of the whole project', async () => {
+  const results = await run(memoryFileSystem(layerFiles));
+
+  assert.deepEqual(results.failed.map(finding => finding.rule), ['layer-violation']);
+  assert.equal(results.failed[0].file, 'src/services/users.js');
+  assert.deepEqual(results.warnings.map(finding => finding.rule), ['circular-dependency']);
+});
+
+test('in a PR the pass message only speaks about the added imports', async () => {
+  const fileSystem = memoryFileSystem({
+    ...layerFiles,
+    'src/routes/health.js': "const service = require('../services/health');\n",
+    'src/services/health.js': 'module.exports = {};\n'
+  });
+
+  const results = await run(fileSystem, [addedFile('src/routes/health.js', "const service = require('../services/health');\n")]);
+
+  assert.deepEqual(results.failed, []);
+  assert.deepEqual(results.warnings, []);
+  assert.equal(results.passed[0].rule, 'architecture-respected');
+  assert.match(results.passed[0].message, /No new layer violations .* 1 local import/);
+});
+
+test('in a PR only the changed files and the files they import are read', async () => {
+  const fileSystem = memoryFileSystem({
+    ...layerFiles,
+    'src/routes/health.js': "const service = require('../services/health');\n",
+    'src/services/health.js': 'module.exports = {};\n',
+    'src/services/other.js': 'module.exports = {};\n'
+  });
+
+  await run(fileSystem, [addedFile('src/routes/health.js', "const service = require('../services/health');\n")]);
+  assert.deepEqual(fileSystem.reads.sort(), ['src/routes/health.js', 'src/services/health.js']);
+});
+
+test('reports a cycle closed by an added import even when a shorter one exists', async () => {
+  const c = "const a = require('./a');\n";
+  const fileSystem = memoryFileSystem({
+    'src/utils/a.js': "const b = require('./b');\nconst c = require('./c');\n",
+    'src/utils/b.js': "const a = require('./a');\n",
+    'src/utils/c.js': c
+  });
+
+  const results = await run(fileSystem, [addedFile('src/utils/c.js', c)]);
+
+  assert.equal(results.warnings.length, 1);
+  assert.deepEqual(results.warnings[0].files, ['src/utils/c.js', 'src/utils/a.js']);
+  assert.equal(results.warnings[0].line, 1);
+});
+
+test('a cycle closed by two added imports is reported once', async () => {
+  const results = await run(memoryFileSystem(layerFiles), Object.entries(layerFiles)
+    .map(([file, content]) => addedFile(file, content)));
+
+  assert.equal(results.warnings.filter(finding => finding.rule === 'circular-dependency').length, 1);
+});
+
+test('reaching maxFiles is reported as a warning instead of a console message', async () => {
+  const warn = test.mock.method(console, 'warn', () => {});
+  const results = await new ArchitectureAnalyzer().analyze(memoryFileSystem(layerFiles), {
+    project: { architecture: { layers, maxFiles: 1 } }
+  });
+  test.mock.restoreAll();
+
+  assert.equal(warn.mock.callCount(), 0);
+  assert.deepEqual(results.warnings.map(finding => finding.message), [
+    '⚠️  More than 1 source files to read, the import graph is incomplete and some violations or cycles may be missing'
+  ]);
+  assert.deepEqual(results.passed, []);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CheckRunPublisher = require('../../src/github/check-run-publisher');
+const I18n = require('../../src/i18n/i18n');
+
+test('annotates findings on their line, folders on their first file and the rest on line 1', () => {
+  const analysis = {
+    issues: [
+      { type: 'secret-detected', message: '❌ Secret', file: 'src/config.js', line: 12 },
+      { type: 'lockfile-out-of-sync', message: '❌ Out of sync', path: 'package.json', line: 4, suggestion: 'Reinstall' },
+      { type: 'env-file-committed', message: '❌ Env', file: '.env' },
+      { type: 'gitignore-exists', message: '❌ No file' }
+    ],
+    warnings: [
+      { type: 'junk-file-committed', message: '⚠️  Junk', file: 'dist/', files: ['dist/app.js', 'dist/gone.js'] },
+      { type: 'dependency-folder', message: '⚠️  Folder', file: 'node_modules/' }
+    ]
+  };
+  const files = ['.env', 'dist/app.js', 'node_modules/lodash/index.js', 'package.json', 'src/config.js'];
+
+  const annotations = new CheckRunPublisher().buildAnnotations(analysis, files);
+
+  assert.deepEqual(annotations.map(({ path, start_line: line, annotation_level: level }) => [path, line, level]), [
+    ['src/config.js', 12, 'failure'],
+    ['package.json', 4, 'failure'],
+    ['.env', 1, 'failure'],
+    ['dist/app.js', 1, 'warning'],
+    ['node_modules/lodash/index.js', 1, 'warning']
+  ]);
+  assert.deepEqual(annotations[1], {
+    path: 'package.json',
+    start_line: 4,
+    end_line: 4,
+    annotation_level: 'failure',
+    title: 'lockfile-out-of-sync',
+    message: 'Out of sync',
+    raw_details: 'Reinstall'
+  });
+});
+
+test('truncates long summaries with a translated notice', () => {
+  const publisher = new CheckRunPublisher();
+  const report = 'x'.repeat(70000);
+
+  const english = publisher.truncate(report);
+  const spanish = publisher.truncate(report, new I18n('es').t);
+
+  assert.equal(english.length, 65535);
+  assert.ok(english.endsWith('\n\n… *Report truncated*'));
+  assert.ok(spanish.endsWith('\n\n… *Reporte recortado*'));
+  assert.equal(publisher.truncate('short'), 'short');
+});
+
+test('completes the check run in the analysis language, in batches of 50 annotations', async () => {
+  const updates = [];
+  const octokit = { rest: { checks: { update: async params => updates.push(params) } } };
+  const annotations = Array.from({ length: 60 }, (_, index) => ({ path: `f${index}.js`, start_line: 1 }));
+  test.mock.method(console, 'log', () => {});
+
+  await new CheckRunPublisher().complete(octokit, {
+    owner: 'acme',
+    repo: 'shop',
+    checkRunId: 7,
+    analysis: { locale: 'es', summary: { failed: 0, warnings: 2 } },
+    report: 'x'.repeat(70000),
+    annotations
+  });
+  test.mock.restoreAll();
+
+  assert.deepEqual(updates.map(update => update.output.annotations.length), [10, 50]);
+  assert.equal(updates[1].conclusion, 'neutral');
+  assert.equal(updates[1].output.title, '0 problemas, 2 advertencias');
+  assert.ok(updates[1].output.summary.endsWith('*Reporte recortado*'));
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { run, parseArgs, shouldFail } = require('../../src/cli');
+const { createProject, removeProject } = require('./fixtures');
+
+let stderr;
+test.beforeEach(() => {
+  stderr = [];
+  test.mock.method(console, 'error', (...messages) => stderr.push(messages.join(' ')));
+  test.mock.method(console, 'warn', () => {});
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+// Proyecto sin errores: solo advierte que .gitignore no cubre .venv/ ni __pycache__/
+const project = (files = {}) => createProject({
+  'README.md': '# Project\n',
+  '.gitignore': 'node_modules/\n.env\n',
+  '.env.example': '',
+  ...files
+});
+
+test('parseArgs reads commands, flags and both option syntaxes', () => {
+  assert.deepEqual(parseArgs(['analyze', 'app', '--format=json', '--fail-on', 'warning', '--quiet']), {
+    command: 'analyze',
+    args: ['app'],
+    options: { format: 'json', 'fail-on': 'warning', quiet: true }
+  });
+  assert.deepEqual(parseArgs(['-v']).options, { format: 'markdown', 'fail-on': 'error', version: true });
+  assert.equal(parseArgs(['analyze', '--base', 'main', '--head=feature']).options.head, 'feature');
+});
+
+test('parseArgs rejects unknown options and invalid values', () => {
+  const invalid = [
+    [['--verbose'], /Unknown option: --verbose/],
+    [['--format'], /--format requires a value/],
+    [['--format', 'xml'], /Invalid --format "xml"/],
+    [['--fail-on=info'], /Invalid --fail-on "info"/],
+    [['--locale', 'fr'], /Invalid --locale "fr"/],
+    [['--head', 'feature'], /--head requires --base/]
+  ];
+
+  invalid.forEach(([argv, message]) => assert.throws(() => parseArgs(argv), message));
+});
+
+test('shouldFail follows --fail-on and analyzer errors', () => {
+  const results = (failed, warnings, analyzers = []) => ({ summary: { failed, warnings }, analyzers });
+
+  assert.equal(shouldFail(results(0, 2), 'error'), false);
+  assert.equal(shouldFail(results(0, 2), 'warning'), true);
+  assert.equal(shouldFail(results(1, 0), 'error'), true);
+  assert.equal(shouldFail(results(0, 0, [{ error: 'boom' }]), 'error'), true);
+  assert.equal(shouldFail(results(0, 0), 'warning'), false);
+});
+
+test('exits with 0 or 1 according to --fail-on', async () => {
+  const root = project();
+  const output = path.join(root, 'report.json');
+
+  assert.equal(await run(['analyze', root, '--quiet', '--format', 'json', '--output', output]), 0);
+  assert.equal(JSON.parse(fs.readFileSync(output, 'utf8')).summary.failed, 0);
+  assert.equal(await run(['analyze', root, '--quiet', '--fail-on', 'warning', '--output', output]), 1);
+  assert.match(stderr.at(-1), /^📊 \d+ passed, 0 failed, [1-9]\d* warnings$/);
+  removeProject(root);
+});
+
+test('exits with 2 on invalid usage and invalid rules files', async () => {
+  const root = project({ 'rules.json': '{ invalid' });
+
+  assert.equal(await run(['analyze', root, '--format', 'xml']), 2);
+  assert.equal(await run(['analyze', path.join(root, 'missing')]), 2);
+  assert.equal(await run(['deploy']), 2);
+  assert.equal(await run([]), 2);
+  assert.equal(await run(['analyze', root, '--quiet', '--rules', path.join(root, 'rules.json')]), 2);
+  assert.match(stderr.at(-1), /Could not parse file/);
+  removeProject(root);
+});
+
+test('--quiet also silences warnings and restores the console afterwards', async () => {
+  const root = project({ 'package.json': '{}', 'pnpm-workspace.yaml': 'packages: [' });
+  const output = path.join(root, 'report.md');
+  const { log, warn } = console;
+
+  await run(['analyze', root, '--quiet', '--output', output]);
+  assert.equal(console.warn.mock.callCount(), 0);
+
+  await run(['analyze', root, '--output', output]);
+  assert.ok(console.warn.mock.calls.some(call => /pnpm-workspace\.yaml/.test(call.arguments[0])));
+  assert.equal(console.log, log);
+  assert.equal(console.warn, warn);
+  removeProject(root);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CodeReviewer = require('../../src/code-reviewer');
+const LocalFileSystem = require('../../src/filesystem/local-file-system');
+const { createProject, removeProject } = require('./fixtures');
+
+test.beforeEach(() => {
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+  test.mock.method(console, 'error', () => {});
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+// Analizador que registra lo que ve y reporta un hallazgo en cada archivo
+const recordingAnalyzer = (name, scope) => ({
+  name,
+  scope,
+  calls: [],
+  async analyze(fileSystem, rules, context) {
+    const files = (await fileSystem.listFiles()).sort();
+    this.calls.push({
+      name: fileSystem.name,
+      files,
+      package: context.package?.path,
+      changedFiles: context.changedFiles?.map(file => file.filename)
+    });
+    return { analyzer: name, passed: [], failed: [], warnings: files.map(file => ({ rule: 'seen', file, message: file })) };
+  }
+});
+
+const monorepo = () => createProject({
+  'package.json': { name: 'monorepo', workspaces: ['packages/*'] },
+  'index.js': '',
+  'packages/api/package.json': { name: '@acme/api' },
+  'packages/api/src/server.js': '',
+  'services/ml/pyproject.toml': '[project]\nname = "ml"\n',
+  'services/ml/app.py': ''
+});
+
+test('package-scoped analyzers run once per package on a scoped file system', async () => {
+  const root = monorepo();
+  const reviewer = new CodeReviewer();
+  const perPackage = recordingAnalyzer('Per Package', 'package');
+  const repoWide = recordingAnalyzer('Repository');
+  reviewer.analyzers = [perPackage, repoWide];
+
+  const results = await reviewer.analyzeFileSystem(new LocalFileSystem(root), null, {
+    changedFiles: [{ filename: 'packages/api/src/server.js', status: 'modified' }, { filename: 'index.js', status: 'modified' }]
+  });
+
+  assert.deepEqual(results.packages.map(pkg => [pkg.path, pkg.type]), [['', 'nodejs'], ['packages/api', 'nodejs'], ['services/ml', 'python']]);
+  // Cada paquete ve solo su carpeta, sin los paquetes anidados
+  assert.deepEqual(perPackage.calls.map(({ name, files, package: pkg, changedFiles }) => ({ name, files, pkg, changedFiles })), [
+    { name: 'monorepo', files: ['index.js', 'package.json'], pkg: '', changedFiles: ['index.js'] },
+    { name: '@acme/api', files: ['package.json', 'src/server.js'], pkg: 'packages/api', changedFiles: ['src/server.js'] },
+    { name: 'ml', files: ['app.py', 'pyproject.toml'], pkg: 'services/ml', changedFiles: [] }
+  ]);
+  assert.equal(repoWide.calls.length, 1);
+  assert.equal(repoWide.calls[0].files.length, 6);
+
+  // Las rutas de los hallazgos vuelven a ser relativas a la raíz del repositorio
+  const packageResults = results.analyzers.filter(result => result.analyzer === 'Per Package');
+  assert.deepEqual(packageResults.map(result => result.package), ['', 'packages/api', 'services/ml']);
+  assert.deepEqual(packageResults[2].warnings.map(warning => warning.file), ['services/ml/app.py', 'services/ml/pyproject.toml']);
+  assert.equal(results.summary.warnings, 12);
+  removeProject(root);
+});
+
+test('a single project runs package-scoped analyzers once on the whole tree', async () => {
+  const root = createProject({ 'package.json': { name: 'app' }, 'src/index.js': '' });
+  const reviewer = new CodeReviewer();
+  const perPackage = recordingAnalyzer('Per Package', 'package');
+  reviewer.analyzers = [perPackage];
+
+  const results = await reviewer.analyzeFileSystem(new LocalFileSystem(root));
+
+  assert.equal(perPackage.calls.length, 1);
+  assert.deepEqual(perPackage.calls[0].files, ['package.json', 'src/index.js']);
+  assert.equal(results.analyzers[0].package, undefined);
+  removeProject(root);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const DependencyAnalyzer = require('../../src/analyzers/dependency-analyzer');
+const LocalFileSystem = require('../../src/filesystem/local-file-system');
+const { createProject, removeProject, memoryFileSystem } = require('./fixtures');
+
+const rules = { project: { prohibitedFolders: ['node_modules', '.venv'] } };
+const failed = results => results.failed.map(finding => finding.file);
+
+// Repositorio git con `tracked` en el índice; el resto de `files` queda sin versionar
+const gitProject = (files, tracked) => {
+  const root = createProject(files);
+  execFileSync('git', ['-C', root, 'init', '-q']);
+  execFileSync('git', ['-C', root, 'add', ...tracked]);
+  return root;
+};
+
+test('an installed but ignored node_modules is not reported', async () => {
+  const root = gitProject({
+    '.gitignore': 'node_modules/\n',
+    'package.json': '{}',
+    'package-lock.json': '{}',
+    'node_modules/lodash/index.js': ''
+  }, ['.gitignore', 'package.json', 'package-lock.json']);
+
+  const results = await new DependencyAnalyzer().analyze(new LocalFileSystem(root), rules);
+
+  assert.deepEqual(results.failed, []);
+  assert.ok(results.passed.some(finding => finding.rule === 'node-modules-not-committed'));
+  removeProject(root);
+});
+
+test('committed dependency folders are reported once, at any depth', async () => {
+  const root = gitProject({
+    'package.json': '{}',
+    'node_modules/lodash/index.js': '',
+    'node_modules/lodash/node_modules/dep/index.js': '',
+    'tools/deep/scripts/.venv/bin/python': ''
+  }, ['.']);
+
+  const results = await new DependencyAnalyzer().analyze(new LocalFileSystem(root), rules);
+
+  assert.deepEqual(failed(results), ['node_modules/', 'tools/deep/scripts/.venv/']);
+  assert.equal(results.passed.some(finding => finding.rule === 'node-modules-not-committed'), false);
+  removeProject(root);
+});
+
+test('without a tracked file list the disk is walked', async () => {
+  const fileSystem = memoryFileSystem({ 'package.json': '{}', 'node_modules/lodash/index.js': '' });
+  fileSystem.readdir = async dir => (dir === '' ? ['package.json', 'node_modules'] : []);
+  fileSystem.isDirectory = async item => item === 'node_modules';
+
+  assert.deepEqual(failed(await new DependencyAnalyzer().analyze(fileSystem, rules)), ['node_modules/']);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const DependencyAuditAnalyzer = require('../../src/analyzers/dependency-audit-analyzer');
+const LocalFileSystem = require('../../src/filesystem/local-file-system');
+const { createProject, removeProject } = require('./fixtures');
+
+const lockfile = {
+  name: 'app',
+  lockfileVersion: 3,
+  packages: {
+    '': { name: 'app' },
+    'node_modules/lodash': { version: '4.17.15', license: 'MIT' }
+  }
+};
+const advisories = {
+  advisories: [{ id: 'GHSA-1', package: 'lodash', vulnerable: '<4.17.19', fixed: '4.17.19', severity: 'high' }]
+};
+
+const run = (root, dependencyAudit, serverFiles) => new DependencyAuditAnalyzer().analyze(
+  new LocalFileSystem(path.join(root, 'repo')),
+  { project: { dependencyAudit } },
+  { serverFiles: new Set(serverFiles) }
+);
+const rules = results => results.failed.map(finding => finding.rule);
+
+test('reads repository paths through the file system', async () => {
+  const root = createProject({
+    'repo/package.json': { name: 'app' },
+    'repo/package-lock.json': lockfile,
+    'repo/security/advisories.json': advisories
+  });
+
+  const results = await run(root, { advisoryDatabase: './security/advisories.json' });
+  assert.deepEqual(rules(results), ['vulnerable-dependency']);
+  removeProject(root);
+});
+
+test('repository config cannot read files outside the repository', async () => {
+  const root = createProject({
+    'repo/package.json': { name: 'app' },
+    'repo/package-lock.json': lockfile,
+    'outside.json': advisories
+  });
+
+  for (const file of [path.join(root, 'outside.json'), '../outside.json', 'security/../../outside.json']) {
+    const results = await run(root, { advisoryDatabase: file });
+    assert.deepEqual(rules(results), ['dependency-audit-config-invalid'], file);
+  }
+  removeProject(root);
+});
+
+test('missing and invalid files get the same message', async () => {
+  const root = createProject({
+    'repo/package.json': { name: 'app' },
+    'repo/package-lock.json': lockfile,
+    'repo/invalid.json': '{'
+  });
+
+  const missing = await run(root, { advisoryDatabase: 'missing.json' });
+  const invalid = await run(root, { advisoryDatabase: 'invalid.json' });
+  assert.equal(
+    missing.failed[0].message.replace('missing.json', ''),
+    invalid.failed[0].message.replace('invalid.json', '')
+  );
+  removeProject(root);
+});
+
+test('server rules can point outside the repository', async () => {
+  const root = createProject({
+    'repo/package.json': { name: 'app' },
+    'repo/package-lock.json': lockfile,
+    'outside.json': advisories
+  });
+  const file = path.join(root, 'outside.json');
+
+  const results = await run(root, { advisoryDatabase: file }, [file]);
+  assert.deepEqual(rules(results), ['vulnerable-dependency']);
+  removeProject(root);
+});
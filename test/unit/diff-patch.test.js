@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DiffPatch = require('../../src/diff/diff-patch');
+
+const patch = [
+  '@@ -1,4 +1,5 @@',
+  ' const a = 1;',
+  '-const b = 2;',
+  '+const b = 3;',
+  '+const c = 4;',
+  ' const d = 5;',
+  '@@ -20,2 +21,3 @@ function tail() {',
+  ' return a;',
+  '+// added',
+  ' }',
+  '\\ No newline at end of file'
+].join('\n');
+
+test('maps the hunks to lines of the new file', () => {
+  const diff = new DiffPatch(patch);
+
+  assert.deepEqual(diff.rightLines.map(({ line, type }) => [line, type]), [
+    [1, 'context'],
+    [2, 'added'],
+    [3, 'added'],
+    [4, 'context'],
+    [21, 'context'],
+    [22, 'added'],
+    [23, 'context']
+  ]);
+  assert.deepEqual(diff.addedLines().map(({ line, content }) => [line, content]), [
+    [2, 'const b = 3;'],
+    [3, 'const c = 4;'],
+    [22, '// added']
+  ]);
+});
+
+test('only lines shown in the diff are commentable', () => {
+  const diff = new DiffPatch(patch);
+
+  assert.equal(diff.isCommentable(2), true);
+  assert.equal(diff.isCommentable(21), true);
+  assert.equal(diff.isCommentable(10), false);
+  assert.equal(diff.firstCommentableLine().line, 2);
+  assert.equal(diff.lastCommentableLine().line, 23);
+});
+
+test('hunks without a line count and empty patches', () => {
+  assert.deepEqual(new DiffPatch('@@ -0,0 +1 @@\n+only').addedLines().map(({ line }) => line), [1]);
+  assert.deepEqual(new DiffPatch(undefined).rightLines, []);
+  assert.equal(new DiffPatch('').firstCommentableLine(), null);
+});
+
+test('a deleted-only hunk falls back to a context line', () => {
+  const diff = new DiffPatch('@@ -5,3 +5,2 @@\n keep\n-gone\n keep too');
+  assert.equal(diff.firstCommentableLine().line, 5);
+});
+
+test('locates files and folders in the changed files', () => {
+  const changedFiles = [
+    { filename: 'src/a.js', status: 'modified', patch },
+    { filename: 'old.js', status: 'removed', patch: '@@ -1 +0,0 @@\n-x' },
+    { filename: 'image.png', status: 'added' }
+  ];
+
+  assert.deepEqual(DiffPatch.locate(changedFiles, 'src/a.js'), { path: 'src/a.js', line: 2 });
+  assert.deepEqual(DiffPatch.locate(changedFiles, 'src/'), { path: 'src/a.js', line: 2 });
+  assert.deepEqual(DiffPatch.locate(changedFiles, 'old.js'), {});
+  assert.deepEqual(DiffPatch.locate(changedFiles, 'image.png'), {});
+  assert.deepEqual(DiffPatch.locate(undefined, 'src/a.js'), {});
+});
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Crea un proyecto temporal con los archivos indicados ({ ruta: contenido })
+ * @returns {string} Ruta del proyecto
+ */
+function createProject(files = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pr-reviewer-test-'));
+
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  });
+
+  return root;
+}
+
+function removeProject(root) {
+  fs.rmSync(root, { recursive: true, force: true });
+}
+
+/**
+ * Sistema de archivos en memoria con la interfaz de LocalFileSystem; `reads`
+ * registra los archivos leídos
+ * @param {Object} files - { ruta: contenido }
+ */
+function memoryFileSystem(files = {}) {
+  return {
+    name: 'memory',
+    location: 'memory',
+    reads: [],
+    async exists(file) {
+      return file in files || Object.keys(files).some(other => other.startsWith(`${file}/`));
+    },
+    async readFile(file) {
+      if (!(file in files)) throw Object.assign(new Error(`ENOENT: ${file}`), { code: 'ENOENT' });
+      this.reads.push(file);
+      return files[file];
+    },
+    async getSize(file) {
+      return file in files ? Buffer.byteLength(files[file]) : null;
+    },
+    async listFiles() {
+      return Object.keys(files).sort();
+    }
+  };
+}
+
+/**
+ * Entrada de pulls.listFiles para un archivo nuevo (todas sus líneas agregadas)
+ */
+function addedFile(filename, content) {
+  const lines = content.replace(/\n$/, '').split('\n');
+  return {
+    filename,
+    status: 'added',
+    additions: lines.length,
+    patch: `@@ -0,0 +1,${lines.length} @@\n${lines.map(line => `+${line}`).join('\n')}`
+  };
+}
+
+module.exports = { createProject, removeProject, memoryFileSystem, addedFile };
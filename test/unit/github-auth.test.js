@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GitHubAuth = require('../../src/github/github-auth');
+
+// Autenticación en modo App con la API simulada: `responses` se consume en orden
+const createAuth = (responses, env = {}) => {
+  const auth = new GitHubAuth(env);
+  const calls = [];
+  auth.mode = 'app';
+  auth.appOctokit = {
+    rest: {
+      apps: {
+        getRepoInstallation: async ({ owner, repo }) => {
+          calls.push(`${owner}/${repo}`);
+          const response = responses.shift();
+          if (response instanceof Error) throw response;
+          return { data: { id: response } };
+        }
+      }
+    }
+  };
+  auth.getInstallationOctokit = async installationId => ({ installationId });
+  return { auth, calls };
+};
+
+const apiError = (status, message) => Object.assign(new Error(message), { status });
+
+test('caches the installation found for a repository', async () => {
+  const { auth, calls } = createAuth([11]);
+
+  assert.deepEqual(await auth.getOctokitForRepo('octo', 'app'), { installationId: 11 });
+  assert.deepEqual(await auth.getOctokitForRepo('octo', 'app'), { installationId: 11 });
+  assert.deepEqual(calls, ['octo/app']);
+});
+
+test('falls back to GITHUB_INSTALLATION_ID only when the App is not installed, without caching it', async () => {
+  const { auth, calls } = createAuth([apiError(404, 'Not Found'), 22], { GITHUB_INSTALLATION_ID: '7' });
+
+  assert.deepEqual(await auth.getOctokitForRepo('octo', 'app'), { installationId: 7 });
+  assert.deepEqual(await auth.getOctokitForRepo('octo', 'app'), { installationId: 22 });
+  assert.deepEqual(calls, ['octo/app', 'octo/app']);
+});
+
+test('other API errors are not hidden by the fallback', async () => {
+  const { auth } = createAuth([apiError(500, 'Server Error')], { GITHUB_INSTALLATION_ID: '7' });
+
+  await assert.rejects(auth.getOctokitForRepo('octo', 'app'), error => error.status === 500);
+  assert.equal(auth.repositoryInstallations.size, 0);
+});
+
+test('reports a missing installation when there is no fallback', async () => {
+  const { auth } = createAuth([apiError(404, 'Not Found')]);
+
+  await assert.rejects(auth.getOctokitForRepo('octo', 'app'), /GitHub App is not installed on octo\/app: Not Found/);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GitHubWebhookHandler = require('../../src/github-webhook-handler');
+
+const payload = {
+  action: 'opened',
+  installation: { id: 1 },
+  repository: { full_name: 'octo/app', name: 'app', owner: { login: 'octo' } },
+  pull_request: { number: 5, head: { sha: 'abcdef1234567' } }
+};
+
+// Handler con autenticación y Check Runs simulados; `calls` registra lo publicado
+const createHandler = ({ auth = async () => ({}) } = {}) => {
+  const handler = new GitHubWebhookHandler();
+  const calls = [];
+  handler.outputs = { check: true, review: false, comment: false };
+  handler.githubAuth = { getOctokitForPayload: auth };
+  handler.checkRunPublisher = {
+    create: async () => 42,
+    start: async () => calls.push('start'),
+    complete: async (octokit, { conclusion }) => calls.push(`complete:${conclusion}`)
+  };
+  return { handler, calls };
+};
+
+test.beforeEach(() => {
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+  test.mock.method(console, 'error', () => {});
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('REVIEW_RETRY_DELAY_MS=0 is kept', () => {
+  process.env.REVIEW_RETRY_DELAY_MS = '0';
+  try {
+    assert.equal(new GitHubWebhookHandler().jobQueue.retryDelay, 0);
+  } finally {
+    delete process.env.REVIEW_RETRY_DELAY_MS;
+  }
+  assert.equal(new GitHubWebhookHandler().jobQueue.retryDelay, 2000);
+});
+
+test('closes the check run when authentication fails on the last attempt', async () => {
+  let first = true;
+  const { handler, calls } = createHandler({
+    auth: async () => {
+      if (first) {
+        first = false;
+        throw new Error('auth down');
+      }
+      return {};
+    }
+  });
+  handler.checkRuns.set(7, Promise.resolve(42));
+
+  await assert.rejects(handler.processPullRequestJob({ id: 7, data: payload, attempts: 3, maxAttempts: 3 }), /auth down/);
+  assert.deepEqual(calls, ['complete:failure']);
+  assert.equal(handler.checkRuns.size, 0);
+});
+
+test('closes the check run when the fallback cannot be published', async () => {
+  const { handler, calls } = createHandler();
+  handler.analyzeFullPR = async () => {
+    throw new Error('API error');
+  };
+  handler.publishReview = async () => {
+    throw new Error('still failing');
+  };
+
+  await assert.rejects(handler.processPullRequestJob({ id: 8, data: payload, attempts: 2, maxAttempts: 2 }), /still failing/);
+  assert.deepEqual(calls, ['start', 'complete:failure']);
+  assert.equal(handler.checkRuns.size, 0);
+});
+
+test('keeps the check run open while attempts remain', async () => {
+  const { handler, calls } = createHandler();
+  handler.analyzeFullPR = async () => {
+    throw new Error('API error');
+  };
+
+  await assert.rejects(handler.processPullRequestJob({ id: 9, data: payload, attempts: 1, maxAttempts: 3 }), /API error/);
+  assert.deepEqual(calls, ['start']);
+  assert.equal(await handler.checkRuns.get(9), 42);
+});
+
+test('forgets the check run after a successful review', async () => {
+  const { handler } = createHandler();
+  handler.analyzeFullPR = async () => ({ success: true });
+
+  await handler.processPullRequestJob({ id: 10, data: payload, attempts: 1, maxAttempts: 3 });
+  assert.equal(handler.checkRuns.size, 0);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GitignoreMatcher = require('../../src/git/gitignore-matcher');
+const LocalFileSystem = require('../../src/filesystem/local-file-system');
+const { createProject, removeProject } = require('./fixtures');
+
+const matcher = content => new GitignoreMatcher().add(content);
+
+test('unanchored patterns match at any depth, anchored ones only from the root', () => {
+  const rules = matcher('*.log\n/build\ndocs/tmp\n');
+
+  assert.equal(rules.isIgnored('debug.log'), true);
+  assert.equal(rules.isIgnored('src/deep/debug.log'), true);
+  assert.equal(rules.isIgnored('build/app.js'), true);
+  assert.equal(rules.isIgnored('src/build/app.js'), false);
+  assert.equal(rules.isIgnored('docs/tmp/a.md'), true);
+  assert.equal(rules.isIgnored('src/docs/tmp/a.md'), false);
+});
+
+test('trailing slash only matches directories', () => {
+  const rules = matcher('cache/\n');
+
+  assert.equal(rules.isIgnored('cache', true), true);
+  assert.equal(rules.isIgnored('cache/file.txt'), true);
+  assert.equal(rules.isIgnored('cache'), false);
+});
+
+test('wildcards, character classes and double stars', () => {
+  const rules = matcher('file?.txt\n*.[oa]\n**/logs\nassets/**/*.psd\nout/**\n');
+
+  assert.equal(rules.isIgnored('file1.txt'), true);
+  assert.equal(rules.isIgnored('file10.txt'), false);
+  assert.equal(rules.isIgnored('lib/main.o'), true);
+  assert.equal(rules.isIgnored('lib/main.c'), false);
+  assert.equal(rules.isIgnored('a/b/logs/x'), true);
+  assert.equal(rules.isIgnored('assets/logo.psd'), true);
+  assert.equal(rules.isIgnored('assets/a/b/logo.psd'), true);
+  assert.equal(rules.isIgnored('out/a/b.js'), true);
+  assert.equal(rules.isIgnored('out', true), false);
+  assert.equal(rules.isIgnored('src/*.js'), false);
+});
+
+test('negation re-includes files unless their folder is ignored', () => {
+  const rules = matcher('*.env\n!example.env\nsecret/\n!secret/keep.txt\n.vscode/*\n!.vscode/extensions.json\n');
+
+  assert.equal(rules.isIgnored('prod.env'), true);
+  assert.equal(rules.isIgnored('example.env'), false);
+  assert.equal(rules.isIgnored('secret/keep.txt'), true);
+  assert.equal(rules.isIgnored('.vscode/settings.json'), true);
+  assert.equal(rules.isIgnored('.vscode/extensions.json'), false);
+  assert.equal(rules.match('.vscode/extensions.json', false).negated, true);
+});
+
+test('comments, blank lines, escapes and trailing spaces', () => {
+  const rules = matcher('# comment\n\n\\#notes\n\\!important\nspaced   \n');
+
+  assert.equal(rules.patterns.length, 3);
+  assert.equal(rules.isIgnored('#notes'), true);
+  assert.equal(rules.isIgnored('!important'), true);
+  assert.equal(rules.isIgnored('spaced'), true);
+  assert.equal(rules.isIgnored('comment'), false);
+});
+
+test('explains which rule ignores a path', () => {
+  const rules = new GitignoreMatcher().add('node_modules/\n', '', '.gitignore');
+
+  assert.deepEqual(rules.explain('node_modules/pkg/index.js'), {
+    path: 'node_modules',
+    isDirectory: true,
+    pattern: 'node_modules/',
+    source: '.gitignore',
+    line: 1
+  });
+  assert.equal(rules.explain('src/index.js'), null);
+});
+
+test('nested .gitignore files apply to their folder and take precedence', async () => {
+  const root = createProject({
+    '.gitignore': '*.tmp\nignored/\n',
+    'pkg/.gitignore': '!keep.tmp\n/local.txt\n',
+    'pkg/keep.tmp': '',
+    'pkg/local.txt': '',
+    'local.txt': '',
+    'ignored/.gitignore': '!*\n'
+  });
+
+  const rules = await GitignoreMatcher.fromFileSystem(new LocalFileSystem(root));
+  assert.equal(rules.isIgnored('pkg/other.tmp'), true);
+  assert.equal(rules.isIgnored('pkg/keep.tmp'), false);
+  assert.equal(rules.isIgnored('pkg/local.txt'), true);
+  assert.equal(rules.isIgnored('local.txt'), false);
+  // Las carpetas ignoradas no se recorren: su .gitignore no cuenta
+  assert.equal(rules.patterns.some(pattern => pattern.source === 'ignored/.gitignore'), false);
+  removeProject(root);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const I18n = require('../../src/i18n/i18n');
+const GitHubWebhookHandler = require('../../src/github-webhook-handler');
+
+// Claves de un catálogo como rutas con puntos
+const keys = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) =>
+  (value && typeof value === 'object' && !Array.isArray(value) ? keys(value, `${prefix}${key}.`) : [`${prefix}${key}`]));
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('lists the supported locales without reading the disk again', () => {
+  const readdir = test.mock.method(fs, 'readdirSync');
+
+  assert.deepEqual(I18n.supportedLocales(), ['en', 'es']);
+  I18n.supportedLocales().push('fr');
+  assert.equal(I18n.resolveLocale('fr'), null);
+  assert.equal(readdir.mock.callCount(), 0);
+});
+
+test('resolves the first supported candidate', () => {
+  assert.equal(I18n.resolveLocale(undefined, '', 'ES-es', 'en'), 'es');
+  assert.equal(I18n.resolveLocale('pt_BR', 'en_US'), 'en');
+  assert.equal(I18n.resolveLocale('pt'), null);
+});
+
+test('the server and the CLI share the default locale', () => {
+  const previous = process.env.REVIEW_LOCALE;
+  delete process.env.REVIEW_LOCALE;
+  try {
+    assert.equal(new GitHubWebhookHandler().defaultLocale, I18n.DEFAULT_LOCALE);
+    assert.equal(new I18n().locale, I18n.DEFAULT_LOCALE);
+  } finally {
+    if (previous !== undefined) process.env.REVIEW_LOCALE = previous;
+  }
+});
+
+test('interpolates parameters and falls back to English', () => {
+  const { t } = new I18n('es-AR');
+
+  assert.equal(t('env.found', { file: '.env' }), new I18n('es').t('env.found', { file: '.env' }));
+  assert.equal(new I18n('en').t('env.found', { file: '.env' }), 'Environment file found: .env');
+  assert.equal(t('missing.key'), 'missing.key');
+});
+
+test('every catalog has the same keys as the English one', () => {
+  const english = keys(I18n.loadCatalog('en')).sort();
+
+  I18n.supportedLocales().forEach(locale => {
+    assert.deepEqual(keys(I18n.loadCatalog(locale)).sort(), english, locale);
+  });
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ImportGraph = require('../../src/imports/import-graph');
+
+const build = modules => {
+  const graph = new ImportGraph(Object.keys(modules));
+  Object.entries(modules).forEach(([file, content]) => graph.addModule(file, content));
+  return graph;
+};
+const files = cycle => cycle.map(edge => edge.file);
+
+test('parses require, import, export-from and dynamic imports with their lines', () => {
+  const imports = new ImportGraph([]).parseImports([
+    "const a = require('./a');",
+    "import b, { c } from './b';",
+    "import './side-effect';",
+    "export * from './d';",
+    "export { e } from './e';",
+    "const f = await import('./f');",
+    "import type { G } from './g';"
+  ].join('\n'));
+
+  assert.deepEqual(imports, [
+    { specifier: './a', line: 1 },
+    { specifier: './b', line: 2 },
+    { specifier: './side-effect', line: 3 },
+    { specifier: './d', line: 4 },
+    { specifier: './e', line: 5 },
+    { specifier: './f', line: 6 },
+    { specifier: './g', line: 7 }
+  ]);
+});
+
+test('ignores imports inside comments but not inside strings', () => {
+  const imports = new ImportGraph([]).parseImports([
+    "// const a = require('./a');",
+    '/* import b from "./b";',
+    '*/ const url = "http://example.com"; require(\'./c\');'
+  ].join('\n'));
+
+  assert.deepEqual(imports, [{ specifier: './c', line: 3 }]);
+});
+
+test('resolves relative imports like Node and TypeScript', () => {
+  const graph = new ImportGraph(['src/a.js', 'src/lib/index.ts', 'src/util.ts', 'src/data.json']);
+
+  assert.equal(graph.resolve('src/main.js', './a'), 'src/a.js');
+  assert.equal(graph.resolve('src/main.js', './a.js'), 'src/a.js');
+  assert.equal(graph.resolve('src/main.js', './lib'), 'src/lib/index.ts');
+  assert.equal(graph.resolve('src/main.ts', './util.js'), 'src/util.ts');
+  assert.equal(graph.resolve('src/main.js', './data.json'), 'src/data.json');
+  assert.equal(graph.resolve('src/main.js', 'lodash'), null);
+  assert.equal(graph.resolve('src/main.js', '../../outside'), null);
+  assert.equal(graph.resolve('src/main.js', './missing'), null);
+});
+
+test('finds one shortest cycle per strongly connected component', () => {
+  const graph = build({
+    'a.js': "require('./b'); require('./c');",
+    'b.js': "require('./a');",
+    'c.js': "require('./d');",
+    'd.js': "require('./a');",
+    'e.js': "require('./e');",
+    'f.js': "require('./a');"
+  });
+
+  const cycles = graph.findCycles().map(files).sort();
+  assert.deepEqual(cycles, [['a.js', 'b.js'], ['e.js']]);
+});
+
+test('finds the shortest cycle through a given import', () => {
+  const graph = build({
+    'a.js': "require('./b');\nrequire('./c');",
+    'b.js': "require('./a');",
+    'c.js': "require('./a');"
+  });
+  const members = new Set(['a.js', 'b.js', 'c.js']);
+  const edge = graph.edges.get('a.js').find(candidate => candidate.target === 'c.js');
+
+  assert.deepEqual(files(graph.cycleThrough(edge, members)), ['a.js', 'c.js']);
+  assert.equal(graph.cycleThrough(edge, new Set(['a.js', 'b.js'])), null);
+});
+
+test('components include modules without cycles', () => {
+  const graph = build({ 'a.js': "require('./b');", 'b.js': '' });
+
+  assert.deepEqual(graph.findComponents().map(component => component.sort()).sort(), [['a.js'], ['b.js']]);
+  assert.deepEqual(graph.findCycles(), []);
+});
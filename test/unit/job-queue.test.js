@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JobQueue = require('../../src/queue/job-queue');
+
+// Espera a que la cola no tenga trabajos pendientes ni en curso
+const idle = async queue => {
+  while (queue.pending.length > 0 || queue.running.size > 0) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+// Promesa que se resuelve desde afuera (para bloquear un worker)
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+test.beforeEach(() => {
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+  test.mock.method(console, 'error', () => {});
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('runs a job and keeps it in the history as completed', async () => {
+  const queue = new JobQueue(async job => job.data * 2);
+  const job = queue.enqueue('repo#1', 21);
+  await idle(queue);
+
+  assert.equal(job.status, 'completed');
+  assert.equal(job.result, 42);
+  assert.equal(job.attempts, 1);
+  assert.deepEqual(queue.history, [job]);
+});
+
+test('a new job supersedes the pending jobs with the same key', async () => {
+  const gate = deferred();
+  const processed = [];
+  const superseded = [];
+  const queue = new JobQueue(async job => {
+    processed.push(job.data);
+    if (job.data === 'first') await gate.promise;
+  }, { concurrency: 1, onSuperseded: (job, newer) => superseded.push([job.data, newer.data]) });
+
+  queue.enqueue('repo#1', 'first');
+  const second = queue.enqueue('repo#1', 'second');
+  const third = queue.enqueue('repo#1', 'third');
+  gate.resolve();
+  await idle(queue);
+
+  assert.deepEqual(processed, ['first', 'third']);
+  assert.equal(second.status, 'superseded');
+  assert.equal(second.supersededBy, third.id);
+  assert.deepEqual(superseded, [['second', 'third']]);
+});
+
+test('never runs two jobs with the same key at the same time', async () => {
+  const gate = deferred();
+  let active = 0;
+  let maxActive = 0;
+  const queue = new JobQueue(async job => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    if (job.data === 1) await gate.promise;
+    active--;
+  }, { concurrency: 2 });
+
+  queue.enqueue('repo#1', 1);
+  queue.enqueue('repo#1', 2);
+  assert.equal(queue.running.size, 1);
+
+  gate.resolve();
+  await idle(queue);
+  assert.equal(maxActive, 1);
+});
+
+test('jobs with different keys run concurrently', async () => {
+  const gate = deferred();
+  const queue = new JobQueue(() => gate.promise, { concurrency: 2 });
+
+  queue.enqueue('repo#1', 1);
+  queue.enqueue('repo#2', 2);
+  queue.enqueue('repo#3', 3);
+  assert.equal(queue.running.size, 2);
+  assert.equal(queue.pending.length, 1);
+
+  gate.resolve();
+  await idle(queue);
+  assert.equal(queue.snapshot().stats.completed, 3);
+});
+
+test('retries failed jobs with exponential backoff', async () => {
+  const startedAt = [];
+  const queue = new JobQueue(async () => {
+    startedAt.push(Date.now());
+    if (startedAt.length < 3) throw new Error('temporary');
+    return 'ok';
+  }, { retryDelay: 20, maxAttempts: 3 });
+
+  const job = queue.enqueue('repo#1', null);
+  await idle(queue);
+
+  assert.equal(job.status, 'completed');
+  assert.equal(job.attempts, 3);
+  // Los temporizadores pueden adelantarse ~1ms
+  assert.ok(startedAt[1] - startedAt[0] >= 19);
+  assert.ok(startedAt[2] - startedAt[1] >= 39);
+});
+
+test('marks a job as failed after maxAttempts', async () => {
+  const queue = new JobQueue(async () => {
+    throw new Error('boom');
+  }, { retryDelay: 1, maxAttempts: 2 });
+
+  const job = queue.enqueue('repo#1', null);
+  await idle(queue);
+
+  assert.equal(job.status, 'failed');
+  assert.equal(job.attempts, 2);
+  assert.equal(job.error, 'boom');
+  assert.equal(queue.snapshot().failed[0].id, job.id);
+});
+
+test('does not retry a failed job when a newer one with the same key is pending', async () => {
+  const gate = deferred();
+  const processed = [];
+  const queue = new JobQueue(async job => {
+    processed.push(job.data);
+    if (job.data === 'first') {
+      await gate.promise;
+      throw new Error('boom');
+    }
+  }, { retryDelay: 1, maxAttempts: 3 });
+
+  const first = queue.enqueue('repo#1', 'first');
+  const second = queue.enqueue('repo#1', 'second');
+  gate.resolve();
+  await idle(queue);
+
+  assert.equal(first.status, 'superseded');
+  assert.equal(first.attempts, 1);
+  assert.equal(first.supersededBy, second.id);
+  assert.equal(second.status, 'completed');
+  assert.deepEqual(processed, ['first', 'second']);
+});
+
+test('snapshot hides the job payload', () => {
+  const queue = new JobQueue(() => new Promise(() => {}), { concurrency: 1 });
+  queue.enqueue('repo#1', { token: 'secret' });
+  queue.enqueue('repo#2', { token: 'secret' });
+
+  const snapshot = queue.snapshot();
+  assert.equal(snapshot.stats.running, 1);
+  assert.equal(snapshot.stats.queued, 1);
+  assert.equal('data' in snapshot.running[0], false);
+  assert.equal('data' in snapshot.queued[0], false);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const JunkFilesAnalyzer = require('../../src/analyzers/junk-files-analyzer');
+const LocalFileSystem = require('../../src/filesystem/local-file-system');
+const GitCommands = require('../../src/git/git-commands');
+const { createProject, removeProject, memoryFileSystem } = require('./fixtures');
+
+const project = files => memoryFileSystem(Object.fromEntries(Object.entries(files).map(([file, content]) => [file, content ?? ''])));
+const run = (files, junkFiles = {}) => new JunkFilesAnalyzer().analyze(project(files), { project: { junkFiles } });
+// Repositorio git con todos los archivos en el índice, incluso los ignorados
+const gitProject = files => {
+  const root = createProject(files);
+  execFileSync('git', ['-C', root, 'init', '-q']);
+  execFileSync('git', ['-C', root, 'add', '-f', '.']);
+  return root;
+};
+const commands = results => results.warnings.map(finding => finding.suggestion.match(/`([^`]+)`/)[1]);
+
+test('reports one finding per junk file or folder with its git rm command', async () => {
+  const results = await run({
+    'src/index.js': null,
+    '.DS_Store': null,
+    'dist/app.js': null,
+    'dist/app.css': null,
+    'logs/my debug.log': null,
+    'bin/tool.dll': null
+  });
+
+  assert.deepEqual(results.warnings.map(({ file, files }) => [file, files.length]), [
+    ['.DS_Store', 1],
+    ['dist/', 2],
+    ['logs/my debug.log', 1]
+  ]);
+  assert.deepEqual(commands(results), [
+    'git rm --cached .DS_Store',
+    'git rm -r --cached dist',
+    "git rm --cached 'logs/my debug.log'"
+  ]);
+});
+
+test('a folder with allowed files only untracks the others', async () => {
+  const results = await run({
+    '.vscode/extensions.json': null,
+    '.vscode/settings.json': null,
+    '.vscode/launch.json': null
+  }, { allow: ['.vscode/extensions.json'] });
+
+  assert.deepEqual(results.warnings.map(finding => finding.files), [['.vscode/launch.json', '.vscode/settings.json']]);
+  assert.deepEqual(commands(results), ['git rm --cached .vscode/launch.json .vscode/settings.json']);
+});
+
+test('files re-included by a .gitignore negation are committed on purpose', async () => {
+  const root = gitProject({
+    '.gitignore': '.vscode/*\n!.vscode/extensions.json\n',
+    '.vscode/extensions.json': '{}',
+    '.vscode/settings.json': '{}'
+  });
+
+  // settings.json lo reporta GitignoreAnalyzer (ignorado pero versionado)
+  const results = await new JunkFilesAnalyzer().analyze(new LocalFileSystem(root), { project: {} });
+
+  assert.deepEqual(results.warnings, []);
+  assert.equal(results.passed[0].rule, 'no-junk-files');
+  removeProject(root);
+});
+
+test('ignored files are left to the gitignore analyzer and custom categories apply', async () => {
+  const root = gitProject({
+    '.gitignore': '*.log\n',
+    'debug.log': '',
+    'out/app.js': '',
+    'node_modules/pkg/.DS_Store': ''
+  });
+
+  const results = await new JunkFilesAnalyzer().analyze(new LocalFileSystem(root), {
+    project: { junkFiles: { categories: { logs: { patterns: ['*.log'] }, build: { patterns: ['out/'], severity: 'error' } } } }
+  });
+
+  assert.deepEqual(results.warnings, []);
+  assert.deepEqual(results.failed.map(finding => [finding.file, finding.message]), [
+    ['out/', "❌ 'out/' contains 1 committed file(s) (build output, matches out/)"]
+  ]);
+  removeProject(root);
+});
+
+test('quotes paths for the shell', () => {
+  assert.equal(GitCommands.quote('src/a-b_c@1.0+x.js'), 'src/a-b_c@1.0+x.js');
+  assert.equal(GitCommands.quote("it's here.txt"), `'it'\\''s here.txt'`);
+  assert.equal(GitCommands.removeCached(['a b', 'c'], { recursive: true }), "git rm -r --cached 'a b' c");
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LargeFilesAnalyzer = require('../../src/analyzers/large-files-analyzer');
+const { memoryFileSystem, addedFile } = require('./fixtures');
+
+// Límites pequeños para no generar archivos de megabytes
+const largeFiles = { warnSize: 100, errorSize: 1000, binaryMinSize: 10 };
+const run = (files, context, config = largeFiles) =>
+  new LargeFilesAnalyzer().analyze(memoryFileSystem(files), { project: { largeFiles: config } }, context);
+const summary = findings => findings.map(({ rule, file, files }) => ({ rule, file, ...(files ? { files } : {}) }));
+
+test('warns above warnSize and fails above errorSize', async () => {
+  const results = await run({
+    'small.txt': 'x'.repeat(100),
+    'data/medium.csv': 'x'.repeat(101),
+    'data/huge.csv': 'x'.repeat(1001)
+  });
+
+  assert.deepEqual(summary(results.failed), [{ rule: 'file-too-large', file: 'data/huge.csv' }]);
+  assert.deepEqual(summary(results.warnings), [{ rule: 'large-file', file: 'data/medium.csv' }]);
+  assert.equal(results.failed[0].message, '❌ data/huge.csv is 1001 B (limit 1000 B)');
+  assert.match(results.warnings[0].suggestion, /git lfs track "\*\.csv"/);
+});
+
+test('groups binaries by extension and detects them by content', async () => {
+  const results = await run({
+    'assets/a.png': 'x'.repeat(20),
+    'assets/b.png': 'x'.repeat(20),
+    'assets/tiny.png': 'x',
+    'bin/tool': `\u007fELF${'x'.repeat(20)}`,
+    'data/blob': `head\0${'x'.repeat(20)}`,
+    'docs/manual': '%PDF-1.7 xxxxxxxxxxxxxxx',
+    'img/raw': '\uFFFDPNG\r\n\u001a\nxxxxxxxxxxxx',
+    'src/index.js': 'x'.repeat(20)
+  });
+
+  assert.deepEqual(summary(results.warnings), [
+    { rule: 'binary-file', file: 'assets/a.png', files: ['assets/a.png', 'assets/b.png'] },
+    { rule: 'binary-file', file: 'bin/tool', files: ['bin/tool'] },
+    { rule: 'binary-file', file: 'data/blob', files: ['data/blob'] },
+    { rule: 'binary-file', file: 'docs/manual', files: ['docs/manual'] },
+    { rule: 'binary-file', file: 'img/raw', files: ['img/raw'] }
+  ]);
+  assert.equal(results.warnings[0].message, '⚠️  2 binary file(s) not stored with Git LFS (*.png): assets/a.png, assets/b.png');
+});
+
+test('groups archives of any size and lists the first files', async () => {
+  const results = await run({
+    'releases/v1.zip': '',
+    'releases/v2.zip': '',
+    'releases/v3.zip': '',
+    'releases/v4.zip': '',
+    'vendor/lib.jar': ''
+  });
+
+  assert.deepEqual(summary(results.warnings).map(({ rule, file }) => [rule, file]), [
+    ['archive-file', 'releases/v1.zip'],
+    ['archive-file', 'vendor/lib.jar']
+  ]);
+  assert.equal(results.warnings[0].message,
+    '⚠️  4 archive(s) committed (*.zip): releases/v1.zip, releases/v2.zip, releases/v3.zip...');
+});
+
+test('skips files stored with Git LFS according to .gitattributes', async () => {
+  const results = await run({
+    '.gitattributes': '*.psd filter=lfs diff=lfs merge=lfs -text\n*.zip filter=lfs diff=lfs merge=lfs -text\n',
+    'design/logo.psd': 'x'.repeat(2000),
+    'design/sub/.gitattributes': '*.zip -filter\n',
+    'design/sub/assets.zip': '',
+    'releases/v1.zip': ''
+  });
+
+  assert.deepEqual(results.failed, []);
+  assert.deepEqual(summary(results.warnings), [
+    { rule: 'archive-file', file: 'design/sub/assets.zip', files: ['design/sub/assets.zip'] }
+  ]);
+});
+
+test('in a PR only checks the diff and warns about huge additions', async () => {
+  const results = await run({
+    'old.png': 'x'.repeat(20),
+    'data/seed.sql': 'x\n'.repeat(5)
+  }, {
+    changedFiles: [addedFile('data/seed.sql', 'x\n'.repeat(5)), { filename: 'gone.png', status: 'removed' }]
+  }, { ...largeFiles, maxAddedLines: 4 });
+
+  assert.deepEqual(summary(results.warnings), [{ rule: 'large-diff', file: 'data/seed.sql' }]);
+  assert.equal(results.warnings[0].line, 1);
+});
+
+test('passes when nothing is large, binary or archived', async () => {
+  const results = await run({ 'src/index.js': 'module.exports = 1;\n' }, undefined, {});
+
+  assert.deepEqual(results.warnings, []);
+  assert.equal(results.passed[0].message, '✅ No files over 1 MB and no binaries or archives outside Git LFS');
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LicenseDetector = require('../../src/licenses/license-detector');
+
+const detector = new LicenseDetector();
+
+test('reads the SPDX-License-Identifier line, including expressions', () => {
+  assert.equal(detector.detect('// SPDX-License-Identifier: MIT\n'), 'MIT');
+  assert.equal(detector.detect('/* SPDX-License-Identifier: MIT OR Apache-2.0 */'), 'MIT OR Apache-2.0');
+  assert.equal(detector.detect('SPDX-License-Identifier: GPL-2.0-only WITH Classpath-exception-2.0'), 'GPL-2.0-only WITH Classpath-exception-2.0');
+});
+
+test('recognizes the text of common licenses, most specific first', () => {
+  assert.equal(detector.detect('MIT License\n\nPermission is hereby granted, free of charge, to any person'), 'MIT');
+  assert.equal(detector.detect('Apache License\nVersion 2.0, January 2004'), 'Apache-2.0');
+  assert.equal(detector.detect('GNU LESSER GENERAL PUBLIC LICENSE\nVersion 3, 29 June 2007'), 'LGPL-3.0');
+  assert.equal(detector.detect('GNU GENERAL PUBLIC LICENSE\nVersion 2, June 1991'), 'GPL-2.0');
+  assert.equal(detector.detect('Redistribution and use in source and binary forms ... Neither the name of'), 'BSD-3-Clause');
+  assert.equal(detector.detect('Redistribution and use in source and binary forms, with or without'), 'BSD-2-Clause');
+  assert.equal(detector.detect('All rights reserved.'), null);
+});
+
+test('compares identifiers without case or GNU suffixes', () => {
+  assert.equal(detector.same('mit', 'MIT'), true);
+  assert.equal(detector.same('GPL-3.0-only', 'GPL-3.0'), true);
+  assert.equal(detector.same('GPL-3.0-or-later', 'GPL-3.0'), true);
+  assert.equal(detector.same('GPL-2.0+', 'GPL-2.0'), true);
+  assert.equal(detector.same('MIT', 'ISC'), false);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const LocalFileSystem = require('../../src/filesystem/local-file-system');
+const { createProject, removeProject } = require('./fixtures');
+
+test('lists files without entering dependency and build folders', async () => {
+  const root = createProject({
+    'src/index.js': '',
+    'node_modules/pkg/index.js': '',
+    'packages/web/node_modules/pkg/index.js': '',
+    '.venv/lib/site.py': '',
+    'dist/bundle.js': '',
+    '.env': ''
+  });
+
+  assert.deepEqual((await new LocalFileSystem(root).listFiles()).sort(), ['.env', 'src/index.js']);
+  assert.deepEqual(
+    (await new LocalFileSystem(root, { excludeDirectories: ['node_modules'] }).listFiles()).sort(),
+    ['.env', '.venv/lib/site.py', 'dist/bundle.js', 'src/index.js']
+  );
+  removeProject(root);
+});
+
+test('walks the tree once per instance and returns copies', async () => {
+  const root = createProject({ 'a.js': '' });
+  const fileSystem = new LocalFileSystem(root);
+
+  const first = await fileSystem.listFiles();
+  first.push('mutated.js');
+  fs.writeFileSync(path.join(root, 'b.js'), '');
+
+  assert.deepEqual(await fileSystem.listFiles(), ['a.js']);
+  assert.deepEqual((await new LocalFileSystem(root).listFiles()).sort(), ['a.js', 'b.js']);
+  removeProject(root);
+});
+
+test('listTrackedFiles is null outside a git repository', async () => {
+  const root = createProject({ 'a.js': '' });
+  const fileSystem = new LocalFileSystem(root);
+
+  assert.equal(await fileSystem.listTrackedFiles(), null);
+  assert.equal(await fileSystem.listTrackedFiles(), null);
+  removeProject(root);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const LocalGit = require('../../src/git/local-git');
+const { createProject, removeProject } = require('./fixtures');
+
+const git = (root, ...args) => execFileSync('git', ['-C', root, '-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+  encoding: 'utf8',
+  stdio: ['ignore', 'pipe', 'ignore']
+}).trim();
+
+const srcSha = 'a'.repeat(40);
+const dstSha = 'b'.repeat(40);
+
+test('parseRaw reads statuses, renames and copies', () => {
+  const raw = [
+    `:100644 100644 ${srcSha} ${dstSha} M`, 'src/a.js',
+    `:000000 100644 ${'0'.repeat(40)} ${dstSha} A`, 'with space.txt',
+    `:100644 100644 ${srcSha} ${dstSha} R087`, 'old/name.js', 'new/name.js',
+    `:100644 100644 ${srcSha} ${srcSha} C100`, 'a.js', 'copy.js',
+    `:100644 000000 ${srcSha} ${'0'.repeat(40)} D`, 'gone.js',
+    ''
+  ].join('\0');
+
+  assert.deepEqual(new LocalGit('.').parseRaw(raw).map(({ status, filename, previousFilename }) => [status, filename, previousFilename]), [
+    ['modified', 'src/a.js', undefined],
+    ['added', 'with space.txt', undefined],
+    ['renamed', 'new/name.js', 'old/name.js'],
+    ['copied', 'copy.js', 'a.js'],
+    ['removed', 'gone.js', undefined]
+  ]);
+});
+
+test('parseNumstat reads renames and binary files', () => {
+  const numstat = ['3\t1\tsrc/a.js', '2\t0\t', 'old/name.js', 'new/name.js', '-\t-\tlogo.png', ''].join('\0');
+  const stats = new LocalGit('.').parseNumstat(numstat);
+
+  assert.deepEqual(stats.get('src/a.js'), { additions: 3, deletions: 1, binary: false });
+  assert.deepEqual(stats.get('new/name.js'), { additions: 2, deletions: 0, binary: false });
+  assert.deepEqual(stats.get('logo.png'), { additions: 0, deletions: 0, binary: true });
+  assert.equal(stats.has('old/name.js'), false);
+});
+
+test('lists changed files with one patch per file, from any folder of the repository', async () => {
+  const root = createProject({
+    'packages/api/index.js': 'module.exports = 1;\n',
+    'packages/api/old name.js': 'line 1\nline 2\nline 3\nline 4\nline 5\n',
+    'README.md': '# App\n'
+  });
+  git(root, 'init', '-q');
+  git(root, 'add', '-A');
+  git(root, 'commit', '-qm', 'base');
+  const base = git(root, 'rev-parse', 'HEAD');
+
+  execFileSync('sh', ['-c', [
+    'printf "module.exports = 2;\\n" > packages/api/index.js',
+    'git mv "packages/api/old name.js" "packages/api/new name.js"',
+    'printf "line 6\\n" >> "packages/api/new name.js"',
+    'printf "\\000\\001" > logo.png',
+    'git rm -q README.md'
+  ].join(' && ')], { cwd: root });
+  git(root, 'add', '-A');
+  git(root, 'commit', '-qm', 'head');
+  const head = git(root, 'rev-parse', 'HEAD');
+
+  const localGit = new LocalGit(path.join(root, 'packages', 'api'));
+  const files = await localGit.listChangedFiles(base, head);
+
+  assert.deepEqual(files.map(({ filename, status, additions, deletions }) => [filename, status, additions, deletions]), [
+    ['README.md', 'removed', 0, 1],
+    ['logo.png', 'added', 0, 0],
+    ['packages/api/index.js', 'modified', 1, 1],
+    ['packages/api/new name.js', 'renamed', 1, 0]
+  ]);
+  assert.equal(files[0].patch, '@@ -1 +0,0 @@\n-# App');
+  assert.equal(files[1].patch, undefined);
+  assert.equal(files[2].patch, '@@ -1 +1 @@\n-module.exports = 1;\n+module.exports = 2;');
+  assert.match(files[3].patch, /^@@ -3,3 \+3,4 @@[^]*\n\+line 6$/);
+  assert.equal(files[3].previous_filename, 'packages/api/old name.js');
+
+  // El árbol es relativo a la raíz (como el diff) y los archivos versionados a repoPath
+  assert.ok((await localGit.listTree(head)).some(entry => entry.path === 'packages/api/index.js'));
+  assert.deepEqual(await localGit.listTrackedFiles(), ['index.js', 'new name.js']);
+
+  // Las lecturas de blobs comparten un proceso
+  const [index, renamed] = await Promise.all(files.slice(2).map(file => localGit.readBlob(file.sha)));
+  assert.equal(index, 'module.exports = 2;\n');
+  assert.match(renamed, /line 6\n$/);
+  await assert.rejects(localGit.readBlob('0'.repeat(40)), /not found/);
+  assert.equal(await localGit.readBlob(files[2].sha), index);
+
+  localGit.stop();
+  removeProject(root);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LockfileAnalyzer = require('../../src/analyzers/lockfile-analyzer');
+const { memoryFileSystem } = require('./fixtures');
+
+const json = value => JSON.stringify(value, null, 2);
+const npmLock = (dependencies, root = {}) => json({
+  lockfileVersion: 3,
+  packages: {
+    '': root,
+    ...Object.fromEntries(Object.entries(dependencies).map(([name, version]) => [`node_modules/${name}`, { version }]))
+  }
+});
+const run = (files, context) => new LockfileAnalyzer().analyze(memoryFileSystem(files), {}, context);
+const rules = findings => findings.map(finding => finding.rule);
+
+test('reports multiple lockfiles and prefers the packageManager one', async () => {
+  const results = await run({
+    'package.json': json({ packageManager: 'yarn@1.22.19' }),
+    'package-lock.json': npmLock({}),
+    'yarn.lock': ''
+  });
+
+  assert.deepEqual(rules(results.failed), ['lockfile-multiple']);
+  assert.deepEqual(results.failed[0].files, ['package-lock.json', 'yarn.lock']);
+  assert.match(results.failed[0].suggestion, /keep yarn\.lock/);
+});
+
+test('packageManager must match the lockfile and satisfy engines', async () => {
+  const results = await run({
+    'package.json': json({ packageManager: 'pnpm@8.15.0+sha256.abc', engines: { pnpm: '>=9' } }),
+    'package-lock.json': npmLock({})
+  });
+
+  assert.deepEqual(rules(results.failed), ['package-manager-lockfile-mismatch', 'package-manager-engines-mismatch']);
+  assert.equal(results.failed[0].message,
+    '❌ package.json declares "packageManager": "pnpm@8.15.0+sha256.abc" but the lockfile is package-lock.json');
+  assert.equal(results.failed[1].message,
+    '❌ "packageManager": "pnpm@8.15.0+sha256.abc" in package.json does not satisfy engines pnpm >=9');
+});
+
+test('the lockfile format must be readable by the declared manager version', async () => {
+  const results = await run({
+    'package.json': json({ engines: { npm: '^6.14.0' } }),
+    'package-lock.json': npmLock({})
+  });
+
+  assert.deepEqual(rules(results.failed), ['lockfile-format-mismatch']);
+});
+
+test('locked versions must satisfy the declared ranges', async () => {
+  const manifest = json({
+    dependencies: { lodash: '^4.17.0', chalk: '^5.0.0', 'old-name': 'npm:new-name@^2.0.0', local: 'file:../local' },
+    devDependencies: { jest: '^29.0.0' },
+    optionalDependencies: { fsevents: '^2.3.0' }
+  });
+  const results = await run({
+    'package.json': manifest,
+    'package-lock.json': npmLock({ lodash: '4.17.21', chalk: '4.1.2', 'old-name': '2.1.0', local: '0.0.0' })
+  });
+
+  assert.deepEqual(results.failed.map(finding => [finding.rule, finding.line]), [
+    ['lockfile-out-of-sync', 4],
+    ['lockfile-missing-dependency', 9]
+  ]);
+  assert.equal(results.failed[0].message, '❌ chalk@^5.0.0 from package.json is locked to 4.1.2 in package-lock.json');
+  assert.deepEqual(results.passed, []);
+});
+
+test('a lockfile matching package.json passes', async () => {
+  const results = await run({
+    'package.json': json({ packageManager: 'npm@10.2.0', dependencies: { lodash: '^4.17.0' } }),
+    'package-lock.json': npmLock({ lodash: '4.17.21' })
+  });
+
+  assert.deepEqual(results.failed, []);
+  assert.deepEqual(rules(results.passed), ['lockfile-in-sync']);
+});
+
+test('in a PR, package.json dependency changes need the lockfile too', async () => {
+  const files = {
+    'package.json': json({ dependencies: { lodash: '^4.17.0' } }),
+    'package-lock.json': npmLock({ lodash: '4.17.21' })
+  };
+  const dependencyChange = {
+    filename: 'package.json',
+    status: 'modified',
+    patch: '@@ -1,3 +1,3 @@\n {\n-  "dependencies": { "lodash": "^4.16.0" }\n+  "dependencies": { "lodash": "^4.17.0" }\n }'
+  };
+  const versionBump = {
+    filename: 'package.json',
+    status: 'modified',
+    patch: '@@ -1,2 +1,2 @@\n-  "version": "1.0.0",\n+  "version": "1.1.0",'
+  };
+
+  const withoutLockfile = await run(files, { changedFiles: [dependencyChange] });
+  const withLockfile = await run(files, { changedFiles: [dependencyChange, { filename: 'package-lock.json', status: 'modified' }] });
+  const onlyVersion = await run(files, { changedFiles: [versionBump] });
+
+  assert.deepEqual(rules(withoutLockfile.warnings), ['lockfile-not-updated']);
+  assert.equal(withoutLockfile.warnings[0].message, '⚠️  package.json changes dependencies but package-lock.json was not updated');
+  assert.deepEqual(withLockfile.warnings, []);
+  assert.deepEqual(onlyVersion.warnings, []);
+});
+
+test('workspace members are checked against the root lockfile', async () => {
+  const results = await run({
+    'package.json': json({ workspaces: ['packages/*'] }),
+    'package-lock.json': json({
+      lockfileVersion: 3,
+      packages: { '': {}, 'node_modules/react': { version: '18.2.0' }, 'packages/web': { name: 'web' } }
+    }),
+    'packages/web/package.json': json({ dependencies: { react: '^17.0.0' } })
+  }, {
+    packages: [{ path: '', source: 'root' }, { path: 'packages/web', source: 'workspaces' }]
+  });
+
+  assert.deepEqual(results.failed.map(({ rule, file, package: pkg }) => [rule, file, pkg]), [
+    ['lockfile-out-of-sync', 'packages/web/package.json', 'packages/web']
+  ]);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LockfileReader = require('../../src/lockfiles/lockfile-reader');
+const { memoryFileSystem } = require('./fixtures');
+
+const reader = new LockfileReader();
+const read = async (file, content) => reader.read(memoryFileSystem({ [file]: content }), {
+  file,
+  manager: LockfileReader.LOCKFILES.find(lockfile => lockfile.file === file).manager
+});
+
+test('detects lockfiles in a folder in priority order', async () => {
+  const fileSystem = memoryFileSystem({ 'pkg/yarn.lock': '', 'pkg/package-lock.json': '{}', 'bun.lockb': '' });
+
+  assert.deepEqual(await reader.detect(fileSystem, 'pkg'), [
+    { file: 'pkg/package-lock.json', name: 'package-lock.json', manager: 'npm' },
+    { file: 'pkg/yarn.lock', name: 'yarn.lock', manager: 'yarn' }
+  ]);
+  assert.equal(await reader.read(fileSystem, { file: 'bun.lockb', manager: 'bun' }), null);
+});
+
+test('npm v3: resolves root, workspace and linked packages', async () => {
+  const lock = await read('package-lock.json', JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'root' },
+      'node_modules/lodash': { version: '4.17.21', license: 'MIT' },
+      'node_modules/shared': { resolved: 'packages/shared', link: true },
+      'packages/shared': { name: 'shared', version: '1.2.0' },
+      'packages/web/node_modules/lodash': { version: '3.10.1', dev: true }
+    }
+  }));
+
+  assert.deepEqual(reader.resolve(lock, '', 'lodash', '^4.0.0'), { version: '4.17.21' });
+  assert.deepEqual(reader.resolve(lock, 'packages/web', 'lodash', '^3.0.0'), { version: '3.10.1' });
+  assert.deepEqual(reader.resolve(lock, 'packages/api', 'lodash', '^4.0.0'), { version: '4.17.21' });
+  assert.deepEqual(reader.resolve(lock, '', 'shared', '*'), { version: '1.2.0' });
+  assert.equal(reader.resolve(lock, '', 'missing', '^1.0.0'), null);
+
+  assert.deepEqual(reader.listPackages(lock), [
+    { name: 'lodash', version: '4.17.21', license: 'MIT', dev: false, path: 'node_modules/lodash' },
+    { name: 'lodash', version: '3.10.1', license: null, dev: true, path: 'packages/web/node_modules/lodash' }
+  ]);
+});
+
+test('npm v1: nested dependencies', async () => {
+  const lock = await read('package-lock.json', JSON.stringify({
+    lockfileVersion: 1,
+    dependencies: {
+      express: { version: '4.18.2', dependencies: { debug: { version: '2.6.9', dev: true } } }
+    }
+  }));
+
+  assert.deepEqual(reader.resolve(lock, '', 'express', '^4.0.0'), { version: '4.18.2' });
+  assert.equal(reader.resolve(lock, 'packages/web', 'express', '^4.0.0'), undefined);
+  assert.deepEqual(reader.listPackages(lock).map(({ name, path, dev }) => [name, path, dev]), [
+    ['express', 'node_modules/express', false],
+    ['debug', 'node_modules/express/node_modules/debug', true]
+  ]);
+});
+
+test('yarn classic: one entry per declared range', async () => {
+  const lock = await read('yarn.lock', [
+    '# yarn lockfile v1',
+    '',
+    '"@scope/pkg@^1.0.0", "@scope/pkg@^1.1.0":',
+    '  version "1.4.0"',
+    '',
+    'debug@^2.6.0:',
+    '  version "2.6.9"',
+    '',
+    'debug@^4.0.0:',
+    '  version "4.3.4"',
+    ''
+  ].join('\n'));
+
+  assert.equal(lock.format, 'yarn-classic');
+  assert.deepEqual(reader.resolve(lock, '', '@scope/pkg', '^1.1.0'), { specifier: '^1.1.0', version: '1.4.0' });
+  assert.deepEqual(reader.resolve(lock, '', 'debug', '^4.0.0'), { specifier: '^4.0.0', version: '4.3.4' });
+  assert.equal(reader.resolve(lock, '', 'missing', '^1.0.0'), null);
+});
+
+test('yarn berry: npm: specifiers', async () => {
+  const lock = await read('yarn.lock', [
+    '__metadata:',
+    '  version: 6',
+    '',
+    '"react@npm:^18.2.0":',
+    '  version: 18.2.0',
+    ''
+  ].join('\n'));
+
+  assert.equal(lock.format, 'yarn-berry');
+  assert.deepEqual(reader.resolve(lock, '', 'react', '^18.2.0'), { specifier: '^18.2.0', version: '18.2.0' });
+});
+
+test('pnpm: v6 importers and v5 specifiers, without peer suffixes', async () => {
+  const v6 = await read('pnpm-lock.yaml', [
+    "lockfileVersion: '6.0'",
+    'importers:',
+    '  .:',
+    '    dependencies:',
+    '      react-dom:',
+    '        specifier: ^18.2.0',
+    '        version: 18.2.0(react@18.2.0)',
+    '  packages/web:',
+    '    devDependencies:',
+    '      vitest:',
+    '        specifier: ^1.0.0',
+    '        version: 1.6.0',
+    ''
+  ].join('\n'));
+  const v5 = await read('pnpm-lock.yaml', [
+    'lockfileVersion: 5.4',
+    'specifiers:',
+    '  react: ^17.0.0',
+    'dependencies:',
+    '  react: 17.0.2_scheduler@0.20.2',
+    ''
+  ].join('\n'));
+
+  assert.deepEqual(reader.resolve(v6, '', 'react-dom', '^18.2.0'), { version: '18.2.0', specifier: '^18.2.0' });
+  assert.deepEqual(reader.resolve(v6, 'packages/web', 'vitest', '^1.0.0'), { version: '1.6.0', specifier: '^1.0.0' });
+  assert.equal(reader.resolve(v6, 'packages/web', 'react-dom', '^18.2.0'), null);
+  assert.equal(reader.resolve(v6, 'packages/api', 'react-dom', '^18.2.0'), undefined);
+  assert.deepEqual(reader.resolve(v5, '', 'react', '^17.0.0'), { version: '17.0.2', specifier: '^17.0.0' });
+});
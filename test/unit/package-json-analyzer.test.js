@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PackageJsonAnalyzer = require('../../src/analyzers/package-json-analyzer');
+const { memoryFileSystem, addedFile } = require('./fixtures');
+
+const manifest = (dependencies, devDependencies) => `${JSON.stringify({ name: 'app', dependencies, devDependencies }, null, 2)}\n`;
+
+const run = (baseText, headText, patch) => new PackageJsonAnalyzer().analyze(
+  memoryFileSystem({ 'package.json': headText }),
+  { project: {} },
+  {
+    baseFileSystem: memoryFileSystem(baseText === null ? {} : { 'package.json': baseText }),
+    changedFiles: [{ filename: 'package.json', status: baseText === null ? 'added' : 'modified', patch }]
+  }
+);
+
+const duplicates = results => results.warnings
+  .filter(finding => finding.rule === 'dependency-duplicate')
+  .map(({ path, line }) => [path, line]);
+
+test('reports a duplicate added by the diff on its added line', async () => {
+  const base = manifest({ lodash: '^4.17.21' }, {});
+  const head = manifest({ lodash: '^4.17.21' }, { lodash: '^4.17.21' });
+  const patch = '@@ -5,5 +5,7 @@\n   },\n-  "devDependencies": {}\n+  "devDependencies": {\n+    "lodash": "^4.17.21"\n+  }\n }';
+
+  assert.deepEqual(duplicates(await run(base, head, patch)), [['package.json', 7]]);
+});
+
+test('pre-existing duplicates are only reported when the diff rewrites their line', async () => {
+  const base = manifest({ lodash: '^4.17.21' }, { lodash: '^4.17.21' });
+  const head = manifest({ lodash: '^4.17.21', express: '^4.18.2' }, { lodash: '^4.17.21' });
+  const patch = '@@ -1,7 +1,8 @@\n {\n   "name": "app",\n   "dependencies": {\n-    "lodash": "^4.17.21"\n+    "lodash": "^4.17.21",\n+    "express": "^4.18.2"\n   },';
+
+  const results = await run(base, head, patch);
+  assert.deepEqual(duplicates(results), [['package.json', 4]]);
+
+  const untouched = await run(base, head, '@@ -1,7 +1,8 @@\n {\n   "name": "app",\n   "dependencies": {\n     "lodash": "^4.17.21",\n+    "express": "^4.18.2"\n   },');
+  assert.deepEqual(duplicates(untouched), []);
+});
+
+test('a new package.json reports every duplicate', async () => {
+  const head = manifest({ jest: '^29.0.0' }, { jest: '^29.0.0' });
+
+  assert.deepEqual(duplicates(await run(null, head, addedFile('package.json', head).patch)), [['package.json', 7]]);
+  assert.deepEqual(duplicates(await run(null, head, undefined)), [['package.json', 7]]);
+});
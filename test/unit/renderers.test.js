@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RendererRegistry = require('../../src/reports/renderer-registry');
+const ReportModel = require('../../src/reports/report-model');
+
+const renderers = RendererRegistry.createDefault();
+
+// Resultado de analyzeFileSystem con un monorepo, un error de configuración y de analizador
+const report = () => ReportModel.fromProjectResults({
+  projectName: 'shop & co',
+  projectType: 'nodejs',
+  locale: 'en',
+  timestamp: '2026-01-01T00:00:00.000Z',
+  summary: { passed: 1, failed: 2, warnings: 1 },
+  configErrors: [{ file: '.pr-reviewer.json', details: ['"locale" must be one of: en, es'] }],
+  skippedAnalyzers: [],
+  packages: [{ path: '', name: 'shop', type: 'nodejs', source: 'root' }, { path: 'packages/web', name: 'web', type: 'nodejs', source: 'workspaces' }],
+  analyzers: [
+    {
+      analyzer: 'Secret Scanning Analyzer',
+      passed: [],
+      failed: [{ rule: 'secret-detected', file: 'src/config.js', line: 12, message: '❌ Token in "<script>" & \'quotes\'', suggestion: 'Move it to <env>' }],
+      warnings: []
+    },
+    {
+      analyzer: 'Project Structure Analyzer',
+      package: 'packages/web',
+      passed: [{ rule: 'structure-ok', message: '✅ Structure is fine' }],
+      failed: [],
+      warnings: [{ rule: 'structure-missing-folders', message: '⚠️  Missing folders: src/', suggestion: 'Create them' }]
+    },
+    { analyzer: 'Architecture Layers Analyzer', error: 'Cannot read <file>', passed: [], failed: [], warnings: [] }
+  ]
+});
+
+/**
+ * XML bien formado: etiquetas balanceadas, atributos entre comillas y
+ * solo entidades válidas
+ */
+const assertWellFormedXml = xml => {
+  const tags = /<(\/?)([\w-]+)(?:\s+[\w-]+="[^"<]*")*\s*(\/?)>/g;
+  const body = xml.replace(/^<\?xml [^?]*\?>\n/, '');
+  const stack = [];
+
+  for (const [, closing, name, selfClosing] of body.matchAll(tags)) {
+    if (selfClosing) continue;
+    if (closing) {
+      assert.equal(stack.pop(), name);
+    } else {
+      stack.push(name);
+    }
+  }
+
+  assert.deepEqual(stack, []);
+  assert.doesNotMatch(body.replace(tags, ''), /[<>]/);
+  assert.doesNotMatch(body, /&(?!(amp|lt|gt|quot|apos|#\d+);)/);
+};
+
+test('SARIF: one result per error or warning with its location', () => {
+  const sarif = JSON.parse(renderers.render('sarif', report()));
+  const [run] = sarif.runs;
+
+  assert.equal(sarif.version, '2.1.0');
+  assert.equal(run.tool.driver.name, 'pr-code-reviewer');
+  assert.deepEqual(run.results.map(result => [result.ruleId, result.level]), [
+    ['config-error', 'error'],
+    ['secret-detected', 'error'],
+    ['structure-missing-folders', 'warning']
+  ]);
+  assert.deepEqual(run.results[1].locations, [{
+    physicalLocation: { artifactLocation: { uri: 'src/config.js' }, region: { startLine: 12 } }
+  }]);
+  assert.equal(run.results[0].locations[0].physicalLocation.region.startLine, 1);
+  assert.equal(run.results[2].locations, undefined);
+  assert.equal(run.results[1].message.text, 'Token in "<script>" & \'quotes\'\nMove it to <env>');
+  assert.deepEqual(run.tool.driver.rules.map(rule => rule.id), ['config-error', 'secret-detected', 'structure-missing-folders']);
+
+  // Los errores de los analizadores son notificaciones de la ejecución
+  assert.equal(run.invocations[0].executionSuccessful, false);
+  assert.equal(run.invocations[0].toolExecutionNotifications[0].message.text, 'Architecture Layers Analyzer: Cannot read <file>');
+});
+
+test('JUnit: well-formed XML with escaped messages and a suite per analyzer and package', () => {
+  const xml = renderers.render('junit', report());
+
+  assertWellFormedXml(xml);
+  assert.match(xml, /^<testsuites name="pr-code-reviewer" tests="5" failures="2" errors="1" /m);
+  assert.match(xml, /<testsuite name="Project Structure Analyzer \(packages\/web\)" tests="2" failures="0" errors="0">/);
+  assert.ok(xml.includes('<failure message="Token in &quot;&lt;script&gt;&quot; &amp; \'quotes\'">Move it to &lt;env&gt;</failure>'));
+  assert.ok(xml.includes('<error message="Architecture Layers Analyzer: Cannot read &lt;file&gt;"/>'));
+  assert.ok(xml.includes('<system-out>WARNING: Missing folders: src/</system-out>'));
+  assert.ok(xml.includes('<failure message="&quot;locale&quot; must be one of: en, es"/>'));
+});
+
+test('JSON: the normalized report as is', () => {
+  const json = JSON.parse(renderers.render('json', report()));
+
+  assert.deepEqual(json, JSON.parse(JSON.stringify(report())));
+  assert.deepEqual(json.findings[0], {
+    severity: 'error',
+    rule: 'secret-detected',
+    analyzer: 'Secret Scanning Analyzer',
+    message: 'Token in "<script>" & \'quotes\'',
+    suggestion: 'Move it to <env>',
+    file: 'src/config.js',
+    line: 12,
+    files: null,
+    package: null
+  });
+});
+
+test('HTML: escaped content, package column and translated headings', () => {
+  const html = renderers.render('html', report());
+  const spanish = renderers.render('html', report(), { locale: 'es' });
+
+  assert.match(html, /^<!DOCTYPE html>\n<html lang="en">/);
+  assert.ok(html.includes('<title>Code Structure Review · shop &amp; co</title>'));
+  assert.ok(html.includes('<td>Token in &quot;&lt;script&gt;&quot; &amp; &#39;quotes&#39;</td>'));
+  assert.ok(html.includes('<code>src/config.js:12</code>'));
+  assert.ok(html.includes('<td><code>packages/web</code></td>'));
+  assert.doesNotMatch(html, /<script>/);
+  assert.equal((html.match(/<tr class="/g) || []).length, 4);
+  assert.match(spanish, /<html lang="es">/);
+  assert.ok(spanish.includes('<title>Revisión de Estructura de Código · shop &amp; co</title>'));
+});
+
+test('unknown formats are rejected', () => {
+  assert.throws(() => renderers.render('pdf', report()), /Unknown report format "pdf" \(available: markdown, html, json, sarif, junit\)/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RequiredFilesAnalyzer = require('../../src/analyzers/required-files-analyzer');
+const { memoryFileSystem } = require('./fixtures');
+
+const mit = 'MIT License\n\nPermission is hereby granted, free of charge, to any person obtaining a copy\n';
+const run = (files, project) => new RequiredFilesAnalyzer().analyze(memoryFileSystem(files), { project });
+const rules = results => [...results.failed, ...results.warnings].map(finding => finding.rule);
+
+test('required files match paths and globs without case', async () => {
+  const project = { requiredFiles: ['.gitignore', 'README.md', 'LICENSE*', 'CHANGELOG.md'] };
+  const results = await run({ 'readme.md': '# App\n', 'License.txt': mit }, project);
+
+  assert.deepEqual(results.failed.map(finding => finding.file), ['CHANGELOG.md']);
+  assert.equal(results.failed[0].message, '❌ Required file missing: CHANGELOG.md');
+});
+
+test('README headings accept alternatives, setext titles and ignore code blocks', async () => {
+  const requiredContent = [{ file: 'README.md', headings: [['Installation', 'Setup'], 'Usage', 'License'] }];
+  const readme = [
+    '# App',
+    '## 🚀 1. Setup',
+    'Usage',
+    '-----',
+    '```md',
+    '## License',
+    '```'
+  ].join('\n');
+
+  const results = await run({ 'README.md': readme }, { requiredContent });
+
+  assert.deepEqual(results.warnings.map(finding => finding.message), ['⚠️  README.md has no section for: License']);
+});
+
+test('license files are identified and compared with package.json', async () => {
+  const requiredContent = [{ file: 'LICENSE*', license: true, allowedLicenses: ['MIT', 'Apache-2.0'] }];
+
+  const ok = await run({ LICENSE: mit, 'package.json': '{"license":"MIT"}' }, { requiredContent });
+  assert.deepEqual(rules(ok), []);
+  assert.equal(ok.passed[0].message, '✅ LICENSE has the required content');
+
+  const mismatch = await run({ LICENSE: mit, 'package.json': '{"license":"ISC"}' }, { requiredContent });
+  assert.deepEqual(rules(mismatch), ['license-file-mismatch']);
+
+  const spdx = await run({ 'LICENSE.md': 'SPDX-License-Identifier: GPL-3.0-only\n' }, { requiredContent });
+  assert.deepEqual(rules(spdx), ['license-file-not-allowed']);
+
+  const unknown = await run({ LICENSE: 'All rights reserved.\n' }, { requiredContent });
+  assert.deepEqual(rules(unknown), ['license-file-unrecognized']);
+
+  const missing = await run({}, { requiredContent });
+  assert.deepEqual(missing.warnings.map(finding => finding.message), ['⚠️  No license file found (LICENSE*)']);
+});
+
+test('JSON fields, severity and invalid rules', async () => {
+  const requiredContent = [
+    { file: 'package.json', fields: ['name', 'engines', 'scripts.test'], severity: 'error' },
+    { file: 'README.md' }
+  ];
+  const manifest = JSON.stringify({ name: 'app', engines: {}, scripts: { test: 'echo "Error: no test specified" && exit 1' } });
+
+  const results = await run({ 'package.json': manifest }, { requiredContent });
+
+  assert.deepEqual(results.failed.map(finding => finding.message), ['❌ package.json is missing required fields: engines, scripts.test']);
+  assert.deepEqual(results.warnings.map(finding => finding.rule), ['required-content-rule-invalid']);
+});
+
+test('a missing required file is not reported again by its content rule', async () => {
+  const results = await run({}, {
+    requiredFiles: ['README.md'],
+    requiredContent: [{ file: 'README.md', headings: ['Usage'] }]
+  });
+
+  assert.deepEqual(rules(results), ['required-file-missing']);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ReviewCommentPublisher = require('../../src/github/review-comment-publisher');
+
+const changedFiles = [
+  { filename: '.gitignore', status: 'modified', patch: '@@ -1,2 +1,3 @@\n node_modules/\n+dist/\n .env' },
+  { filename: 'gone.js', status: 'removed', patch: '@@ -1 +0,0 @@\n-x' }
+];
+
+test('places findings on diff lines and keeps the rest for the review body', () => {
+  const analysis = {
+    issues: [
+      { message: '❌ A', path: '.gitignore', line: 2 },
+      { message: '❌ B', path: '.gitignore', line: 10 },
+      { message: '❌ C', path: 'gone.js', line: 1 },
+      { message: '❌ D' }
+    ],
+    warnings: [{ message: '⚠️  E', suggestion: 'Fix it', path: '.gitignore', line: 2 }]
+  };
+
+  const { comments, unplaced } = new ReviewCommentPublisher().buildReview(analysis, changedFiles);
+
+  assert.equal(comments.length, 1);
+  assert.deepEqual({ path: comments[0].path, line: comments[0].line, side: comments[0].side }, { path: '.gitignore', line: 2, side: 'RIGHT' });
+  assert.equal(comments[0].body, '**❌ A**\n\n**⚠️  E**\n💡 *Fix it*');
+  assert.deepEqual(unplaced.issues.map(issue => issue.message), ['❌ B', '❌ C', '❌ D']);
+  assert.deepEqual(unplaced.warnings, []);
+});
+
+test('renders suggestion blocks that append to or replace the line', () => {
+  const publisher = new ReviewCommentPublisher();
+  const appended = publisher.buildReview({
+    issues: [
+      { message: '❌ A', path: '.gitignore', line: 3, fix: { append: '.env.*' } },
+      { message: '❌ B', path: '.gitignore', line: 3, fix: { append: '.env.*' } }
+    ],
+    warnings: []
+  }, changedFiles).comments[0];
+  const replaced = publisher.buildReview({
+    issues: [{ message: '❌ A', path: '.gitignore', line: 2, fix: { replace: 'build/' } }],
+    warnings: []
+  }, changedFiles).comments[0];
+
+  assert.match(appended.body, /```suggestion\n\.env\n\.env\.\*\n```$/);
+  assert.match(replaced.body, /```suggestion\nbuild\/\n```$/);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RuleResolver = require('../../src/rules/rule-resolver');
+const ConfigError = require('../../src/errors/config-error');
+
+test('deep-merges objects and lets later layers override values', () => {
+  const merged = new RuleResolver().merge(
+    { general: { secretScanning: { maxFileSize: 10, excludePaths: ['a'] } } },
+    { general: { secretScanning: { maxFileSize: 20 } } }
+  );
+
+  assert.deepEqual(merged, { general: { secretScanning: { maxFileSize: 20, excludePaths: ['a'] } } });
+});
+
+test('lists are unioned unless $replace is used', () => {
+  const resolver = new RuleResolver();
+
+  assert.deepEqual(resolver.merge(['a', 'b'], ['b', 'c']), ['a', 'b', 'c']);
+  assert.deepEqual(resolver.merge(['a'], { $append: ['b'] }), ['a', 'b']);
+  assert.deepEqual(resolver.merge(['a'], { $replace: ['b'] }), { $replace: ['b'] });
+  assert.deepEqual(resolver.finalize({ files: { $replace: ['b'] } }), { files: ['b'] });
+});
+
+test('$replace in a child set discards what it inherits', () => {
+  const resolved = new RuleResolver().resolve({
+    base: { requiredFiles: ['README.md', 'LICENSE'] },
+    child: { extends: 'base', requiredFiles: { $replace: ['README.md'] } },
+    appended: { extends: 'base', requiredFiles: { $append: ['CHANGELOG.md'] } }
+  }, 'child');
+
+  assert.deepEqual(resolved.child.requiredFiles, ['README.md']);
+  assert.deepEqual(resolved.appended.requiredFiles, ['README.md', 'LICENSE', 'CHANGELOG.md']);
+  assert.equal(resolved.project, resolved.child);
+});
+
+test('a $replace layer keeps replacing when merged with the set it extends', () => {
+  const resolver = new RuleResolver();
+  const serverRules = { base: { requiredFiles: ['LICENSE'] }, nodejs: { extends: 'base' } };
+  const repositoryRules = { nodejs: { requiredFiles: { $replace: ['README.md'] } } };
+
+  const resolved = resolver.resolve(resolver.merge(serverRules, repositoryRules), 'nodejs');
+  assert.deepEqual(resolved.project.requiredFiles, ['README.md']);
+});
+
+test('resolves extends chains with several parents in order', () => {
+  const resolved = new RuleResolver().resolve({
+    a: { value: 'a', list: ['a'] },
+    b: { value: 'b', list: ['b'] },
+    c: { extends: ['a', 'b'], list: ['c'] },
+    d: { extends: 'c' }
+  }, 'd');
+
+  assert.deepEqual(resolved.project, { value: 'b', list: ['a', 'b', 'c'] });
+});
+
+test('loads sets that are not in the rules through the callback', () => {
+  const resolved = new RuleResolver(name => (name === 'shared' ? { list: ['shared'] } : null))
+    .resolve({ nodejs: { extends: 'shared', list: ['own'] } }, 'nodejs');
+
+  assert.deepEqual(resolved.project.list, ['shared', 'own']);
+});
+
+test('copies settings that are not rule sets and falls back to general', () => {
+  const resolved = new RuleResolver().resolve({ locale: 'en', general: { a: 1 } }, 'python');
+
+  assert.equal(resolved.locale, 'en');
+  assert.deepEqual(resolved.project, { a: 1 });
+});
+
+test('rejects circular and unknown extends', () => {
+  const resolver = new RuleResolver();
+
+  assert.throws(
+    () => resolver.resolve({ a: { extends: 'b' }, b: { extends: 'a' } }, 'a'),
+    error => error instanceof ConfigError && /Circular "extends" chain: a -> b -> a/.test(error.details[0])
+  );
+  assert.throws(
+    () => resolver.resolve({ a: { extends: 'missing' } }, 'a'),
+    error => error instanceof ConfigError && /"a" extends unknown rule set "missing"/.test(error.details[0])
+  );
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StructureAnalyzer = require('../../src/analyzers/structure-analyzer');
+const { memoryFileSystem, addedFile } = require('./fixtures');
+
+const project = files => memoryFileSystem(Object.fromEntries(files.map(file => [file, ''])));
+const run = (files, projectRules, changedFiles) => new StructureAnalyzer().analyze(project(files), { project: projectRules }, { changedFiles });
+const messages = findings => findings.map(finding => finding.message);
+
+test('required and forbidden directories', async () => {
+  const results = await run(['src/index.js', 'src/helpers/a.js', 'src/helpers/deep/b.js', 'tmp/c.txt', 'node_modules/x/helpers/c.js'], {
+    structure: { requiredDirectories: ['src', './docs/'], forbiddenDirectories: ['**/helpers', 'tmp/'] }
+  });
+
+  assert.deepEqual(messages(results.failed), [
+    '❌ Required folder missing: docs/',
+    '❌ Folder not allowed by the project structure: src/helpers/',
+    '❌ Folder not allowed by the project structure: tmp/'
+  ]);
+});
+
+test('a recommended sub-folder is only suggested when its parent exists', async () => {
+  const recommendedStructure = { src: ['controllers', 'services'], tests: ['unit'], config: [] };
+
+  const results = await run(['src/controllers/user.js', 'index.js'], {
+    recommendedStructure,
+    structure: { recommendedDirectories: ['docs/'] }
+  });
+  assert.deepEqual(messages(results.warnings), ['⚠️  Consider adding: src/services/, config/, docs/ for better organization']);
+
+  const complete = await run(['src/controllers/a.js', 'src/services/b.js', 'config/c.json'], { recommendedStructure });
+  assert.deepEqual(complete.warnings, []);
+  assert.deepEqual(messages(complete.passed), ['✅ Project structure follows the configured rules']);
+});
+
+test('placement rules group misplaced files and honour exclude and severity', async () => {
+  const files = ['src/controllers/a.controller.js', 'b.controller.js', 'lib/c.controller.js', 'd.controller.js', 'e.controller.js', 'test/f.controller.js'];
+
+  const results = await run(files, {
+    structure: {
+      placement: [{ files: '**/*.controller.js', directory: 'src/controllers/', exclude: ['test/**'], severity: 'error' }]
+    }
+  });
+
+  assert.deepEqual(results.failed.map(({ rule, file, files: grouped }) => ({ rule, file, files: grouped })), [{
+    rule: 'structure-misplaced-files',
+    file: 'b.controller.js',
+    files: ['b.controller.js', 'd.controller.js', 'e.controller.js', 'lib/c.controller.js']
+  }]);
+  assert.equal(results.failed[0].message,
+    '❌ 4 file(s) matching `**/*.controller.js` outside src/controllers/: b.controller.js, d.controller.js, e.controller.js...');
+});
+
+test('naming conventions for files and directories, ignoring extensions', async () => {
+  const files = ['src/user-service.js', 'src/UserModel.js', 'src/user.controller.js', 'src/My_Folder/index.js'];
+
+  const results = await run(files, {
+    structure: {
+      naming: [
+        { files: 'src/**/*.js', pattern: 'kebab-case' },
+        { directories: 'src/*', pattern: '^[a-z-]+$' }
+      ]
+    }
+  });
+
+  assert.deepEqual(results.warnings.map(finding => finding.files), [['src/UserModel.js'], ['src/My_Folder']]);
+});
+
+test('grouped findings are anchored on a file of the diff', async () => {
+  const files = ['a.controller.js', 'b.controller.js'];
+  const changedFiles = [addedFile('b.controller.js', 'module.exports = {};\n')];
+
+  const results = await run(files, { structure: { placement: [{ files: '*.controller.js', directory: 'src' }] } }, changedFiles);
+
+  assert.deepEqual(results.warnings.map(({ file, path, line }) => ({ file, path, line })), [{ file: 'b.controller.js', path: 'b.controller.js', line: 1 }]);
+});
+
+test('invalid rules and excluded folders', async () => {
+  const results = await run(['dist/BadName.js', 'src/ok.js'], {
+    structure: {
+      placement: [{ files: '*.js' }],
+      naming: [{ files: '**/*.js', pattern: '[' }, { files: '**/*.js', pattern: 'kebab-case' }]
+    }
+  });
+
+  assert.deepEqual(results.warnings.map(finding => finding.rule), ['structure-rule-invalid', 'structure-rule-invalid']);
+  assert.match(results.warnings[1].message, /"pattern":"\["/);
+});
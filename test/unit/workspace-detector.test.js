@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WorkspaceDetector = require('../../src/workspaces/workspace-detector');
+const { memoryFileSystem } = require('./fixtures');
+
+const json = value => JSON.stringify(value);
+const detect = (files, config) => new WorkspaceDetector().detect(memoryFileSystem(files), 'nodejs', config);
+const summary = packages => packages.map(({ path, name, type, source }) => [path, name, type, source]);
+
+test('npm and yarn workspaces, in both package.json forms', async () => {
+  const packages = await detect({
+    'package.json': json({ name: 'monorepo', workspaces: ['packages/*'] }),
+    'packages/api/package.json': json({ name: '@acme/api' }),
+    'packages/web/package.json': json({}),
+    'packages/api/node_modules/dep/package.json': json({ name: 'dep' })
+  });
+  const yarn = await detect({
+    'package.json': json({ workspaces: { packages: ['./apps/*/'] } }),
+    'apps/site/package.json': json({ name: 'site' })
+  });
+
+  assert.deepEqual(summary(packages), [
+    ['', 'monorepo', 'nodejs', 'root'],
+    ['packages/api', '@acme/api', 'nodejs', 'workspaces'],
+    ['packages/web', 'web', 'nodejs', 'workspaces']
+  ]);
+  assert.deepEqual(summary(yarn).slice(1), [['apps/site', 'site', 'nodejs', 'workspaces']]);
+});
+
+test('pnpm-workspace.yaml and lerna.json', async () => {
+  const pnpm = await detect({
+    'package.json': json({ name: 'root' }),
+    'pnpm-workspace.yaml': "packages:\n  - 'libs/**'\n",
+    'libs/core/utils/package.json': json({ name: 'utils' })
+  });
+  const lerna = await detect({
+    'package.json': json({ name: 'root' }),
+    'lerna.json': json({ version: '1.0.0' }),
+    'packages/a/package.json': json({ name: 'a' })
+  });
+
+  assert.deepEqual(summary(pnpm).slice(1), [['libs/core/utils', 'utils', 'nodejs', 'pnpm']]);
+  assert.deepEqual(summary(lerna).slice(1), [['packages/a', 'a', 'nodejs', 'lerna']]);
+});
+
+test('negated globs exclude packages even if they are nested manifests', async () => {
+  const packages = await detect({
+    'package.json': json({ workspaces: ['packages/*', '!packages/legacy'] }),
+    'packages/app/package.json': json({ name: 'app' }),
+    'packages/legacy/package.json': json({ name: 'legacy' })
+  });
+
+  assert.deepEqual(packages.map(pkg => pkg.path), ['', 'packages/app']);
+});
+
+test('nested manifests are packages unless nested is false', async () => {
+  const files = {
+    'package.json': json({ name: 'root', workspaces: ['packages/*'] }),
+    'packages/app/package.json': json({ name: 'app' }),
+    'tools/lint/package.json': json({ name: 'lint' }),
+    'services/ml/pyproject.toml': '[project]\nname = "ml-service"\n',
+    'dist/package.json': json({ name: 'bundle' })
+  };
+
+  assert.deepEqual(summary(await detect(files)), [
+    ['', 'root', 'nodejs', 'root'],
+    ['packages/app', 'app', 'nodejs', 'workspaces'],
+    ['services/ml', 'ml-service', 'python', 'nested'],
+    ['tools/lint', 'lint', 'nodejs', 'nested']
+  ]);
+  assert.deepEqual((await detect(files, { nested: false })).map(pkg => pkg.path), ['', 'packages/app']);
+});
+
+test('a single project is only the root package', async () => {
+  const fileSystem = memoryFileSystem({ 'pyproject.toml': '[tool.poetry]\nname = "service"\n', 'src/app.py': '' });
+  const packages = await new WorkspaceDetector().detect(fileSystem, 'python');
+
+  assert.deepEqual(packages, [{ path: '', name: 'service', type: 'python', manifest: 'pyproject.toml', source: 'root' }]);
+});